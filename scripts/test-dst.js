@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict'
+import { spawnSync } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+
+// The business day maths around the clock change weekends, run under hosts in different zones
+const HOST_TIME_ZONES = ['UTC', 'America/New_York', 'America/Los_Angeles', 'Europe/London']
+
+async function testDaylightSavingWeekends() {
+  const {
+    addBusinessDays,
+    businessTimeOn,
+    formatOperationalDate,
+    moveBusinessDays,
+    secondsSinceMidnight,
+    startOfOperationalDay,
+    toBusinessClock,
+    toBusinessTime,
+  } = await import('../src/app/utils/dayjs.js')
+  const { findShiftGaps } = await import('../src/app/utils/gaps.js')
+
+  const iso = time => time.toISOString()
+
+  // Spring forward, 2025-03-09 skips 2:00 to 3:00
+  assert.equal(iso(businessTimeOn('2025-03-09T17:00:00Z', 2.5 * 3600)), '2025-03-09T07:30:00.000Z')
+  assert.equal(
+    toBusinessClock(businessTimeOn('2025-03-09T17:00:00Z', 2.5 * 3600)).format('HH:mm'),
+    '03:30',
+  )
+  assert.equal(toBusinessTime('2025-03-09T07:30:00Z').utcOffset(), -4 * 60)
+  assert.equal(iso(businessTimeOn('2025-03-09T17:00:00Z', 9 * 3600)), '2025-03-09T13:00:00.000Z')
+  assert.equal(iso(businessTimeOn('2025-03-08T17:00:00Z', 9 * 3600)), '2025-03-08T14:00:00.000Z')
+  assert.equal(iso(addBusinessDays('2025-03-08T17:00:00Z', 1)), '2025-03-09T05:00:00.000Z')
+  assert.equal(iso(addBusinessDays('2025-03-08T17:00:00Z', 2)), '2025-03-10T04:00:00.000Z')
+  assert.equal(iso(moveBusinessDays('2025-03-08T14:00:00Z', 2)), '2025-03-10T13:00:00.000Z')
+  assert.equal(secondsSinceMidnight('2025-03-09T13:00:00Z'), 9 * 3600)
+
+  // Fall back, 2025-11-02 repeats 1:00 to 2:00 and the first 1:30 is the one taken
+  assert.equal(iso(businessTimeOn('2025-11-02T17:00:00Z', 1.5 * 3600)), '2025-11-02T05:30:00.000Z')
+  assert.equal(iso(businessTimeOn('2025-11-02T17:00:00Z', 9 * 3600)), '2025-11-02T14:00:00.000Z')
+  assert.equal(iso(addBusinessDays('2025-11-01T17:00:00Z', 1)), '2025-11-02T04:00:00.000Z')
+  assert.equal(iso(addBusinessDays('2025-11-01T17:00:00Z', 2)), '2025-11-03T05:00:00.000Z')
+  assert.equal(secondsSinceMidnight('2025-11-02T06:30:00Z'), 1.5 * 3600)
+
+  // A night route past midnight on the clock change belongs to the day before
+  assert.equal(formatOperationalDate('2025-03-09T07:30:00Z'), '2025-03-08')
+  assert.equal(formatOperationalDate('2025-11-02T06:30:00Z'), '2025-11-01')
+  assert.equal(iso(startOfOperationalDay('2025-03-09T13:00:00Z')), '2025-03-09T05:00:00.000Z')
+
+  // Business days keep their dates while the host changes its own clocks, London on 2025-03-30
+  assert.equal(formatOperationalDate('2025-03-30T14:00:00Z'), '2025-03-30')
+  assert.equal(iso(addBusinessDays('2025-03-29T14:00:00Z', 1)), '2025-03-30T04:00:00.000Z')
+  assert.equal(
+    toBusinessClock('2025-03-30T04:00:00Z').format('YYYY-MM-DD HH:mm'),
+    '2025-03-30 00:00',
+  )
+
+  // Gaps are real minutes, the day the clocks skip an hour is 23 hours long
+  const [gap] = findShiftGaps({
+    services: [],
+    startTime: '2025-03-09T05:00:00Z',
+    endTime: '2025-03-10T04:00:00Z',
+  })
+  assert.equal(gap.duration, 23 * 60)
+  const gaps = findShiftGaps({
+    services: [{ start: '2025-11-01T14:00:00Z', end: '2025-11-01T15:00:00Z' }],
+    startTime: null,
+    endTime: null,
+  })
+  assert.equal(gaps.length, 2)
+  assert.equal(gaps[0].duration + gaps[1].duration, 25 * 60 - 60)
+
+  console.log(`DST weekends pass with the host in ${process.env.HOST_TIME_ZONE}`)
+}
+
+if (process.env.HOST_TIME_ZONE) {
+  testDaylightSavingWeekends().catch(error => {
+    console.error(error)
+    process.exit(1)
+  })
+} else {
+  for (const timeZone of HOST_TIME_ZONES) {
+    const { status } = spawnSync(process.execPath, [fileURLToPath(import.meta.url)], {
+      env: { ...process.env, TZ: timeZone, HOST_TIME_ZONE: timeZone },
+      stdio: 'inherit',
+    })
+    if (status !== 0) process.exit(status ?? 1)
+  }
+}
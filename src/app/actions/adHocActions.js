@@ -0,0 +1,36 @@
+'use server'
+
+import { updateServiceLocks } from '@/app/actions/lockActions'
+import { readFromDiskCache, writeToDiskCache } from '@/app/utils/diskCache'
+
+const CACHE_FILE = 'adHocServices.json'
+
+// Emergency and one-off visits dispatchers added outside the service setups, by id
+export async function getAdHocServices() {
+  return (await readFromDiskCache({ file: CACHE_FILE, cacheAgeAcceptable: Infinity })) || {}
+}
+
+/**
+ * Publish the place a dispatcher picked for a service from the insertion options
+ * The service is locked at the picked tech and times so later runs plan around it. Ad-hoc
+ * services are stored as well, /api/services hands them out with the visits of the setups.
+ * @param {Object} service - Service placed, adHoc set when it has no setup
+ * @param {Object} option - Insertion option picked, see findInsertions
+ * @returns {Promise<Object>} The schedule locks, see EMPTY_LOCKS
+ */
+export async function saveInsertion(service, option) {
+  const { techId, techName, start, end } = option
+  if (!service?.id || !techId || Number.isNaN(Date.parse(start))) {
+    throw new Error(`Invalid insertion for service ${service?.id}`)
+  }
+
+  if (service.adHoc) {
+    const services = await getAdHocServices()
+    await writeToDiskCache({
+      file: CACHE_FILE,
+      data: { ...services, [service.id]: { ...service, start, end } },
+    })
+    console.log(`Ad-hoc service saved: ${service.id}`)
+  }
+  return updateServiceLocks([{ id: service.id, techId, techName, start, end }], true)
+}
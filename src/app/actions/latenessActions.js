@@ -0,0 +1,28 @@
+'use server'
+
+import { readFromDiskCache, writeToDiskCache } from '@/app/utils/diskCache'
+import { parseLatenessTolerance } from '@/app/utils/lateness'
+
+const CACHE_FILE = 'latenessTolerances.json'
+
+// Minutes late each setup accepts, by setup id. Set by dispatchers and never expire.
+export async function getLatenessTolerances() {
+  return (await readFromDiskCache({ file: CACHE_FILE, cacheAgeAcceptable: Infinity })) || {}
+}
+
+// Set how late a setup's visits may start, null goes back to the tolerance of its service code
+export async function updateLatenessTolerance(setupId, minutes) {
+  const tolerance = minutes === null ? null : parseLatenessTolerance(minutes)
+  if (minutes !== null && tolerance === null) {
+    throw new Error(`Invalid lateness tolerance: ${minutes}`)
+  }
+
+  const data = Object.fromEntries(
+    Object.entries(await getLatenessTolerances()).filter(([id]) => id !== String(setupId)),
+  )
+  if (tolerance !== null) data[setupId] = tolerance
+
+  console.log(`Lateness tolerance updated for setup ${setupId}: ${tolerance}`)
+  await writeToDiskCache({ file: CACHE_FILE, data })
+  return data
+}
@@ -0,0 +1,130 @@
+'use server'
+
+import { readFromDiskCache, writeToDiskCache } from '@/app/utils/diskCache'
+import { EMPTY_LOCKS, getLockReason, getTechDayKey } from '@/app/utils/locks'
+
+const CACHE_FILE = 'scheduleLocks.json'
+const PUBLISHED_FILE = 'publishedSchedule.json'
+
+export async function getScheduleLocks() {
+  // Locks are set by dispatchers and never expire, a freeze horizon given an expiry lifts then
+  const locks = {
+    ...EMPTY_LOCKS,
+    ...(await readFromDiskCache({ file: CACHE_FILE, cacheAgeAcceptable: Infinity })),
+  }
+  if (locks.horizonExpiresAt && new Date(locks.horizonExpiresAt) <= new Date()) {
+    console.log(`Freeze horizon expired: ${locks.horizon}`)
+    return saveScheduleLocks({ ...locks, horizon: null, horizonExpiresAt: null })
+  }
+  return locks
+}
+
+// Tech and times of every service the schedule runs published, by service id
+export async function getPublishedSchedule() {
+  return (await readFromDiskCache({ file: PUBLISHED_FILE, cacheAgeAcceptable: Infinity })) || {}
+}
+
+/**
+ * Publish a schedule, in place of what was published before for the same range. Only a published
+ * schedule is what the freeze horizon holds to, running a schedule publishes nothing.
+ * @param {Object[]} services - Scheduled services to publish
+ * @param {Object} range - { start, end, techId } the schedule covers, techId when it is for one
+ */
+export async function savePublishedSchedule(services, { start, end, techId }) {
+  const published = await getPublishedSchedule()
+  const isReplaced = assignment =>
+    new Date(assignment.start) >= new Date(start) &&
+    new Date(assignment.start) < new Date(end) &&
+    (!techId || assignment.techId === techId)
+
+  const data = Object.fromEntries(
+    Object.entries(published).filter(([, assignment]) => !isReplaced(assignment)),
+  )
+  for (const { id, techId, techName, start, end } of services) {
+    data[id] = {
+      techId,
+      techName,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+    }
+  }
+  await writeToDiskCache({ file: PUBLISHED_FILE, data })
+}
+
+// Keep the published assignments of the given services, and drop those nothing locks anymore
+async function saveScheduleLocks(locks, services = []) {
+  const assignments = { ...locks.assignments }
+  for (const { id, techId, techName, start, end } of services) {
+    assignments[id] = {
+      techId,
+      techName,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+    }
+  }
+  const data = {
+    ...locks,
+    assignments: Object.fromEntries(
+      Object.entries(assignments).filter(([id, assignment]) =>
+        getLockReason({ id, ...assignment }, locks),
+      ),
+    ),
+  }
+
+  await writeToDiskCache({ file: CACHE_FILE, data })
+  return data
+}
+
+export async function updateServiceLocks(services, locked) {
+  const locks = await getScheduleLocks()
+  const ids = services.map(service => service.id)
+  const lockedIds = locked
+    ? [...new Set([...locks.services, ...ids])]
+    : locks.services.filter(id => !ids.includes(id))
+
+  console.log(`Service lock updated for ${ids.length} services: ${locked}`)
+  return saveScheduleLocks({ ...locks, services: lockedIds }, locked ? services : [])
+}
+
+// Lock a tech's whole day, with the services they have on it
+export async function updateTechDayLock(techId, date, services, locked) {
+  const locks = await getScheduleLocks()
+  const key = getTechDayKey(techId, date)
+  const techDays = locks.techDays.filter(techDay => techDay !== key)
+  if (locked) techDays.push(key)
+
+  console.log(`Tech-day lock updated for ${key}: ${locked}`)
+  return saveScheduleLocks({ ...locks, techDays }, locked ? services : [])
+}
+
+/**
+ * Freeze everything published to start before the horizon, null lifts the freeze
+ * The published schedule is snapshotted here, whatever the dispatcher has on screen
+ * @param {string|null} horizon - Time nothing before moves anymore
+ * @param {string|null} [expiresAt] - Time the freeze lifts by itself, null to keep it until cleared
+ * @returns {Promise<Object>} The schedule locks, see EMPTY_LOCKS
+ */
+export async function updateFreezeHorizon(horizon, expiresAt = null) {
+  if (horizon && Number.isNaN(Date.parse(horizon))) {
+    throw new Error(`Invalid freeze horizon: ${horizon}`)
+  }
+  if (expiresAt && Number.isNaN(Date.parse(expiresAt))) {
+    throw new Error(`Invalid freeze expiry: ${expiresAt}`)
+  }
+
+  const locks = await getScheduleLocks()
+  const published = horizon ? await getPublishedSchedule() : {}
+  const frozenServices = Object.entries(published)
+    .filter(([, assignment]) => new Date(assignment.start) < new Date(horizon))
+    .map(([id, assignment]) => ({ id, ...assignment }))
+
+  console.log(`Freeze horizon updated: ${horizon}, ${frozenServices.length} services frozen`)
+  return saveScheduleLocks(
+    {
+      ...locks,
+      horizon: horizon ? new Date(horizon).toISOString() : null,
+      horizonExpiresAt: horizon && expiresAt ? new Date(expiresAt).toISOString() : null,
+    },
+    frozenServices,
+  )
+}
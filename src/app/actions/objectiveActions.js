@@ -0,0 +1,37 @@
+'use server'
+
+import { OBJECTIVE_PROFILES } from '@/app/utils/constants'
+import { readFromDiskCache, writeToDiskCache } from '@/app/utils/diskCache'
+import { parseObjectiveWeights } from '@/app/utils/objective'
+
+const CACHE_FILE = 'objectiveProfiles.json'
+
+// Profiles are saved by dispatchers and never expire
+async function getSavedProfiles() {
+  return (await readFromDiskCache({ file: CACHE_FILE, cacheAgeAcceptable: Infinity })) || {}
+}
+
+// Built-in profiles and the ones dispatchers saved, a saved one wins on a name clash
+export async function getObjectiveProfiles() {
+  return { ...OBJECTIVE_PROFILES, ...(await getSavedProfiles()) }
+}
+
+// Save the weights a profile overrides, schedule requests pick it with ?profile=
+export async function saveObjectiveProfile(name, weights) {
+  const parsed = parseObjectiveWeights(weights)
+  if (parsed.error) throw new Error(parsed.error)
+
+  const data = { ...(await getSavedProfiles()), [name]: parsed.weights }
+  console.log(`Objective profile saved: ${name}`, parsed.weights)
+  await writeToDiskCache({ file: CACHE_FILE, data })
+  return { ...OBJECTIVE_PROFILES, ...data }
+}
+
+export async function deleteObjectiveProfile(name) {
+  const data = Object.fromEntries(
+    Object.entries(await getSavedProfiles()).filter(([profile]) => profile !== name),
+  )
+  console.log(`Objective profile deleted: ${name}`)
+  await writeToDiskCache({ file: CACHE_FILE, data })
+  return { ...OBJECTIVE_PROFILES, ...data }
+}
@@ -0,0 +1,32 @@
+'use server'
+
+import { readFromDiskCache, writeToDiskCache } from '@/app/utils/diskCache'
+import { parsePriorityOverride } from '@/app/utils/priority'
+
+const CACHE_FILE = 'priorityOverrides.json'
+
+// Overrides by setup id, set by dispatchers and never expire
+export async function getPriorityOverrides() {
+  return (await readFromDiskCache({ file: CACHE_FILE, cacheAgeAcceptable: Infinity })) || {}
+}
+
+/**
+ * Set what raises or lowers the priority of a setup's visits, null clears it
+ * @param {number|string} setupId - Service setup the override is for
+ * @param {Object|null} override - { tier, inspectionDeadline, missedLastVisit }, all optional
+ * @returns {Promise<Object>} Every override by setup id
+ */
+export async function updatePriorityOverride(setupId, override) {
+  const parsed = override == null ? null : parsePriorityOverride(override)
+  if (parsed?.error) throw new Error(parsed.error)
+
+  const overrides = await getPriorityOverrides()
+  const data = Object.fromEntries(
+    Object.entries(overrides).filter(([id]) => id !== String(setupId)),
+  )
+  if (parsed) data[setupId] = parsed.override
+
+  console.log(`Priority override updated for setup ${setupId}:`, data[setupId] || null)
+  await writeToDiskCache({ file: CACHE_FILE, data })
+  return data
+}
@@ -0,0 +1,21 @@
+'use server'
+
+import { readFromDiskCache, writeToDiskCache } from '@/app/utils/diskCache'
+import { parseSpeedProfile } from '@/app/map/utils/travelTime'
+
+const CACHE_FILE = 'travelSpeeds.json'
+
+// The speed table dispatchers saved, it never expires. Parts it leaves out keep the defaults.
+export async function getTravelSpeedProfile() {
+  return (await readFromDiskCache({ file: CACHE_FILE, cacheAgeAcceptable: Infinity })) || {}
+}
+
+// Replace the saved speed table, every schedule run after this estimates drives with it
+export async function saveTravelSpeedProfile(values) {
+  const parsed = parseSpeedProfile(values)
+  if (parsed.error) throw new Error(parsed.error)
+
+  console.log('Travel speed table saved:', parsed.profile)
+  await writeToDiskCache({ file: CACHE_FILE, data: parsed.profile })
+  return parsed.profile
+}
@@ -0,0 +1,47 @@
+import { getLatenessTolerances, updateLatenessTolerance } from '@/app/actions/latenessActions'
+import { LATENESS_TOLERANCE_BY_CODE } from '@/app/utils/constants'
+import { parseLatenessTolerance } from '@/app/utils/lateness'
+import { createJsonResponse } from '@/app/utils/response'
+
+// Minutes late each setup accepts, with the tolerance of each service code for setups without one
+export async function GET() {
+  try {
+    return createJsonResponse({
+      bySetup: await getLatenessTolerances(),
+      byCode: LATENESS_TOLERANCE_BY_CODE,
+    })
+  } catch (error) {
+    console.error('Error in lateness tolerances API:', error)
+    return createJsonResponse({ error: error.message || 'Internal server error' }, { status: 500 })
+  }
+}
+
+// Set the tolerance of a setup from { setupId, minutes }, null minutes go back to its service
+// code's. Visits loaded after this get the new tolerance.
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return createJsonResponse({ error: 'Invalid request: expected a JSON body' }, { status: 400 })
+  }
+
+  const { setupId, minutes = null } = body || {}
+  if (setupId === undefined || setupId === null || setupId === '') {
+    return createJsonResponse({ error: 'Invalid request: setupId is required' }, { status: 400 })
+  }
+  if (minutes !== null && parseLatenessTolerance(minutes) === null) {
+    return createJsonResponse(
+      { error: `Invalid lateness tolerance ${minutes}, expected minutes of at least 0` },
+      { status: 400 },
+    )
+  }
+
+  try {
+    const bySetup = await updateLatenessTolerance(setupId, minutes)
+    return createJsonResponse({ bySetup, byCode: LATENESS_TOLERANCE_BY_CODE })
+  } catch (error) {
+    console.error('Error in lateness tolerances API:', error)
+    return createJsonResponse({ error: error.message || 'Internal server error' }, { status: 500 })
+  }
+}
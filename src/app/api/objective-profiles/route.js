@@ -0,0 +1,69 @@
+import {
+  deleteObjectiveProfile,
+  getObjectiveProfiles,
+  saveObjectiveProfile,
+} from '@/app/actions/objectiveActions'
+import { OBJECTIVE_PROFILES } from '@/app/utils/constants'
+import { parseObjectiveWeights } from '@/app/utils/objective'
+import { createJsonResponse } from '@/app/utils/response'
+
+const isProfileName = name => typeof name === 'string' && name.trim().length > 0
+
+// Built-in and saved objective profiles by name, schedule requests pick one with ?profile=
+export async function GET() {
+  try {
+    return createJsonResponse(await getObjectiveProfiles())
+  } catch (error) {
+    console.error('Error in objective profiles API:', error)
+    return createJsonResponse({ error: error.message || 'Internal server error' }, { status: 500 })
+  }
+}
+
+// Save a profile from { name, weights }, weights being the terms it overrides
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return createJsonResponse({ error: 'Invalid request: expected a JSON body' }, { status: 400 })
+  }
+
+  const { name, weights } = body || {}
+  if (!isProfileName(name)) {
+    return createJsonResponse(
+      { error: 'Invalid request: name must be a non-empty string' },
+      { status: 400 },
+    )
+  }
+  const parsed = parseObjectiveWeights(weights)
+  if (parsed.error) {
+    return createJsonResponse({ error: parsed.error }, { status: 400 })
+  }
+
+  try {
+    return createJsonResponse(await saveObjectiveProfile(name.trim(), parsed.weights))
+  } catch (error) {
+    console.error('Error in objective profiles API:', error)
+    return createJsonResponse({ error: error.message || 'Internal server error' }, { status: 500 })
+  }
+}
+
+// Delete a saved profile, ?name=, a built-in one of the same name shows again
+export async function DELETE(request) {
+  const { searchParams } = new URL(request.url)
+  const name = searchParams.get('name')
+  if (!isProfileName(name)) {
+    return createJsonResponse({ error: 'Invalid request: name is required' }, { status: 400 })
+  }
+
+  try {
+    const profiles = await getObjectiveProfiles()
+    if (!profiles[name] || profiles[name] === OBJECTIVE_PROFILES[name]) {
+      return createJsonResponse({ error: `No saved profile named ${name}` }, { status: 404 })
+    }
+    return createJsonResponse(await deleteObjectiveProfile(name))
+  } catch (error) {
+    console.error('Error in objective profiles API:', error)
+    return createJsonResponse({ error: error.message || 'Internal server error' }, { status: 500 })
+  }
+}
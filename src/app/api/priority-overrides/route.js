@@ -0,0 +1,40 @@
+import { getPriorityOverrides, updatePriorityOverride } from '@/app/actions/priorityActions'
+import { parsePriorityOverride } from '@/app/utils/priority'
+import { createJsonResponse } from '@/app/utils/response'
+
+// Priority overrides by service setup id
+export async function GET() {
+  try {
+    return createJsonResponse(await getPriorityOverrides())
+  } catch (error) {
+    console.error('Error in priority overrides API:', error)
+    return createJsonResponse({ error: error.message || 'Internal server error' }, { status: 500 })
+  }
+}
+
+// Set the override of a setup from { setupId, override }, a null override clears it. Visits
+// loaded after this get the new priority.
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return createJsonResponse({ error: 'Invalid request: expected a JSON body' }, { status: 400 })
+  }
+
+  const { setupId, override = null } = body || {}
+  if (setupId === undefined || setupId === null || setupId === '') {
+    return createJsonResponse({ error: 'Invalid request: setupId is required' }, { status: 400 })
+  }
+  const parsed = override === null ? null : parsePriorityOverride(override)
+  if (parsed?.error) {
+    return createJsonResponse({ error: parsed.error }, { status: 400 })
+  }
+
+  try {
+    return createJsonResponse(await updatePriorityOverride(setupId, parsed?.override ?? null))
+  } catch (error) {
+    console.error('Error in priority overrides API:', error)
+    return createJsonResponse({ error: error.message || 'Internal server error' }, { status: 500 })
+  }
+}
@@ -0,0 +1,74 @@
+// src/app/api/roster/route.js
+import { getPool } from '@/lib/db.js'
+import { readFromDiskCache, writeToDiskCache } from '@/app/utils/diskCache'
+import { createJsonResponse } from '@/app/utils/response'
+import { buildRoster } from '@/app/utils/roster'
+import { parseTime } from '@/app/utils/timeRange'
+import axios from 'axios'
+
+const CACHE_FILE = 'technicians.json'
+const OVERRIDES_FILE = 'rosterOverrides.json'
+const BASE_URL = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'
+
+const TECHNICIANS_QUERY = `
+  SELECT
+      Technicians.TechID AS id,
+      Technicians.Code AS code,
+      Technicians.FName AS fname,
+      Technicians.LName AS lname
+  FROM
+      Technicians
+  WHERE
+      Technicians.Active = 1
+`
+
+async function runQuery(query) {
+  const pool = await getPool()
+  try {
+    const result = await pool.request().query(query)
+    console.log('Query executed successfully')
+    return result.recordset
+  } catch (err) {
+    console.error(`Error executing query:`, err)
+    throw err
+  }
+}
+
+async function fetchServiceSetups() {
+  try {
+    const response = await axios.get(`${BASE_URL}/api/serviceSetups`)
+    return response.data
+  } catch (error) {
+    console.warn('Could not load service setups for setup counts:', error.message)
+    return []
+  }
+}
+
+export async function GET() {
+  let technicians = await readFromDiskCache({ file: CACHE_FILE })
+
+  if (!technicians) {
+    try {
+      console.log('Fetching technicians from database...')
+      technicians = await runQuery(TECHNICIANS_QUERY)
+      console.log('Total technicians fetched:', technicians.length)
+      await writeToDiskCache({ file: CACHE_FILE, data: technicians })
+    } catch (error) {
+      console.error('Error fetching technicians:', error)
+      return createJsonResponse(
+        { error: 'Internal Server Error', details: error.message },
+        { status: 500 },
+      )
+    }
+  }
+
+  // Overrides are edited by hand and never expire
+  const overrides =
+    (await readFromDiskCache({ file: OVERRIDES_FILE, cacheAgeAcceptable: Infinity })) || {}
+  const serviceSetups = await fetchServiceSetups()
+
+  const roster = buildRoster(technicians, serviceSetups, overrides, parseTime)
+  console.log('Roster technicians:', roster.length)
+
+  return createJsonResponse(roster)
+}
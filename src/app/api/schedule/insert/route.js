@@ -0,0 +1,91 @@
+import { getScheduleLocks } from '@/app/actions/lockActions'
+import { getTravelSpeedProfile } from '@/app/actions/travelSpeedActions'
+import { fetchRoster } from '@/app/api/schedule/runner'
+import { createMatrixDistance } from '@/app/map/utils/distance'
+import { createTravelTime, parseSpeedProfile } from '@/app/map/utils/travelTime'
+import { formatOperationalDate } from '@/app/utils/dayjs'
+import { findInsertions } from '@/app/utils/insertion'
+import { getFullDistanceMatrix } from '@/app/utils/locationCache'
+import { applyLocks } from '@/app/utils/locks'
+import { createJsonResponse } from '@/app/utils/response'
+
+const isPlaceable = service =>
+  service?.id &&
+  service.time?.range?.[0] &&
+  service.time?.range?.[1] &&
+  service.time?.duration > 0 &&
+  service.location?.latitude &&
+  service.location?.longitude
+
+// Rank the cheapest places to add new services to a published schedule without moving its
+// locked services. The speedProfile a schedule run returns times its drives as it did.
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return createJsonResponse({ error: 'Invalid request: expected a JSON body' }, { status: 400 })
+  }
+
+  const { scheduledServices, services, limit, speedProfile } = body || {}
+  if (!Array.isArray(scheduledServices) || !Array.isArray(services) || !services.length) {
+    return createJsonResponse(
+      { error: 'Invalid request: scheduledServices and services must be arrays' },
+      { status: 400 },
+    )
+  }
+  if (!services.every(isPlaceable)) {
+    return createJsonResponse(
+      { error: 'Invalid request: every service needs an id, time window, duration and location' },
+      { status: 400 },
+    )
+  }
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    return createJsonResponse(
+      { error: 'Invalid request: limit must be a positive integer' },
+      { status: 400 },
+    )
+  }
+  const speeds = speedProfile == null ? null : parseSpeedProfile(speedProfile)
+  if (speeds?.error) {
+    return createJsonResponse({ error: speeds.error }, { status: 400 })
+  }
+
+  try {
+    // Only the routes on the new services' days can take them
+    const days = new Set(services.map(service => formatOperationalDate(service.time.range[0])))
+    const dayServices = scheduledServices.filter(
+      service => service.start && days.has(formatOperationalDate(service.start)),
+    )
+
+    const locationIds = [...new Set([...dayServices, ...services].map(s => s.location?.id))]
+      .filter(Boolean)
+      .map(String)
+    const distanceMatrix = await getFullDistanceMatrix(locationIds, { format: 'object' })
+    const roster = await fetchRoster()
+    const locks = await getScheduleLocks()
+    // Drives are estimated with the speed table the schedule was timed with, the one saved now
+    // when the request leaves it out
+    const travelTime = createTravelTime(speeds?.profile || (await getTravelSpeedProfile()))
+
+    const insertions = findInsertions(applyLocks(dayServices, locks), services, {
+      roster,
+      getDistance: createMatrixDistance(distanceMatrix),
+      travelTime,
+      limit,
+      locks,
+    })
+    console.log('Insertion options:', {
+      services: services.length,
+      placeable: insertions.filter(insertion => insertion.options.length).length,
+    })
+
+    return createJsonResponse({ insertions })
+  } catch (error) {
+    console.error('Error in schedule insert API:', error)
+    return createJsonResponse(
+      { error: error.message || 'Internal server error' },
+      { status: error.status || 500 },
+    )
+  }
+}
@@ -0,0 +1,53 @@
+import { getScheduleJob, isJobActive, subscribeToScheduleJob } from '@/app/api/schedule/jobs/store'
+import { createJsonResponse } from '@/app/utils/response'
+
+export const dynamic = 'force-dynamic'
+
+// Server-Sent Events stream of job progress, closed once the job finishes
+export async function GET(request, { params }) {
+  const { id } = await params
+  const job = getScheduleJob(id)
+  if (!job) {
+    return createJsonResponse({ error: 'Schedule job not found' }, { status: 404 })
+  }
+
+  const encoder = new TextEncoder()
+  let unsubscribe = null
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const close = () => {
+        unsubscribe?.()
+        try {
+          controller.close()
+        } catch {
+          // Already closed by the client
+        }
+      }
+
+      // Progress updates use the default event, the final state is sent as its own event
+      const send = update => {
+        const event = isJobActive(update) ? '' : `event: ${update.status}\n`
+        controller.enqueue(encoder.encode(`${event}data: ${JSON.stringify(update)}\n\n`))
+        if (!isJobActive(update)) close()
+      }
+
+      send(job)
+      if (!isJobActive(job)) return
+
+      unsubscribe = subscribeToScheduleJob(id, send)
+      request.signal.addEventListener('abort', close)
+    },
+    cancel() {
+      unsubscribe?.()
+    },
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    },
+  })
+}
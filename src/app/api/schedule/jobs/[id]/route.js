@@ -0,0 +1,24 @@
+import { cancelScheduleJob, getScheduleJob } from '@/app/api/schedule/jobs/store'
+import { createJsonResponse } from '@/app/utils/response'
+
+// Job status, with the schedule result once the job has completed
+export async function GET(request, { params }) {
+  const { id } = await params
+  const job = getScheduleJob(id, { includeResult: true })
+  if (!job) {
+    return createJsonResponse({ error: 'Schedule job not found' }, { status: 404 })
+  }
+  return createJsonResponse(job)
+}
+
+export async function DELETE(request, { params }) {
+  const { id } = await params
+  const job = cancelScheduleJob(id)
+  if (!job) {
+    return createJsonResponse({ error: 'Schedule job not found' }, { status: 404 })
+  }
+  if (job.status !== 'cancelled') {
+    return createJsonResponse({ error: `Schedule job already ${job.status}`, job }, { status: 409 })
+  }
+  return createJsonResponse(job)
+}
@@ -0,0 +1,26 @@
+import { createScheduleJob } from '@/app/api/schedule/jobs/store'
+import { parseScheduleRequest } from '@/app/api/schedule/runner'
+import { createJsonResponse } from '@/app/utils/response'
+
+// Submit a schedule run, then follow it at /api/schedule/jobs/:id and its events stream
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return createJsonResponse({ error: 'Invalid request: expected a JSON body' }, { status: 400 })
+  }
+
+  const params = parseScheduleRequest(body || {})
+  if (params.error) {
+    return createJsonResponse({ error: params.error }, { status: 400 })
+  }
+
+  const job = createScheduleJob(params)
+  console.log('Schedule job created:', job.id, job.params)
+
+  return createJsonResponse(job, {
+    status: 202,
+    headers: { 'Content-Type': 'application/json', Location: `/api/schedule/jobs/${job.id}` },
+  })
+}
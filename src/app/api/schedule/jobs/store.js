@@ -0,0 +1,137 @@
+// src/app/api/schedule/jobs/store.js
+import { runSchedule } from '@/app/api/schedule/runner'
+import { randomUUID } from 'node:crypto'
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000 // Keep finished jobs around for an hour
+const ACTIVE_STATUSES = ['queued', 'running']
+
+// Jobs only live in this server process, shared by every route that imports the store
+const jobs = globalThis.scheduleJobs || (globalThis.scheduleJobs = new Map())
+
+export function isJobActive(job) {
+  return ACTIVE_STATUSES.includes(job.status)
+}
+
+function toPublicJob(job, { includeResult = false } = {}) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    message: job.message,
+    progress: job.progress,
+    params: job.params,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(includeResult && job.status === 'completed' && { result: job.result }),
+  }
+}
+
+function updateJob(job, changes) {
+  Object.assign(job, changes)
+  const publicJob = toPublicJob(job)
+  job.listeners.forEach(listener => listener(publicJob))
+}
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS
+  for (const [id, job] of jobs) {
+    if (!isJobActive(job) && new Date(job.finishedAt).getTime() < cutoff) jobs.delete(id)
+  }
+}
+
+async function runJob(job, params) {
+  updateJob(job, { status: 'running', stage: 'services', startedAt: new Date().toISOString() })
+
+  try {
+    // Jobs can be cancelled, so they run without the synchronous request timeout
+    const result = await runSchedule(params, {
+      signal: job.controller.signal,
+      onProgress: ({ stage, message, progress }) => updateJob(job, { stage, message, progress }),
+    })
+    if (job.controller.signal.aborted) return
+
+    job.result = result
+    updateJob(job, {
+      status: 'completed',
+      stage: 'done',
+      message: 'Complete',
+      progress: 1,
+      finishedAt: new Date().toISOString(),
+    })
+  } catch (error) {
+    // Cancelled jobs were already marked when they were cancelled
+    if (job.controller.signal.aborted) return
+
+    console.error(`Schedule job ${job.id} failed:`, error)
+    updateJob(job, {
+      status: 'failed',
+      message: 'Failed',
+      error: error.message,
+      finishedAt: new Date().toISOString(),
+    })
+  }
+}
+
+/**
+ * Start a schedule run in the background
+ * @param {Object} params - { start, end, techId, options } as returned by parseScheduleRequest
+ * @returns {Object} The new job, without its result
+ */
+export function createScheduleJob(params) {
+  pruneFinishedJobs()
+
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    stage: 'queued',
+    message: 'Queued',
+    progress: 0,
+    params: {
+      start: params.start.toISOString(),
+      end: params.end.toISOString(),
+      techId: params.techId,
+      options: params.options,
+    },
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    controller: new AbortController(),
+    listeners: new Set(),
+  }
+  jobs.set(job.id, job)
+
+  runJob(job, params)
+  return toPublicJob(job)
+}
+
+export function getScheduleJob(id, options) {
+  const job = jobs.get(id)
+  return job ? toPublicJob(job, options) : null
+}
+
+// Stops the worker of an active job, finished jobs are returned unchanged
+export function cancelScheduleJob(id) {
+  const job = jobs.get(id)
+  if (!job) return null
+  if (isJobActive(job)) {
+    job.controller.abort(new Error('Schedule job cancelled'))
+    updateJob(job, {
+      status: 'cancelled',
+      message: 'Cancelled',
+      finishedAt: new Date().toISOString(),
+    })
+  }
+  return toPublicJob(job)
+}
+
+// Calls listener with the job on every change, returns a function that stops listening
+export function subscribeToScheduleJob(id, listener) {
+  const job = jobs.get(id)
+  if (!job) return null
+  job.listeners.add(listener)
+  return () => job.listeners.delete(listener)
+}
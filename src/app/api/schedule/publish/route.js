@@ -0,0 +1,43 @@
+import { savePublishedSchedule } from '@/app/actions/lockActions'
+import { createJsonResponse } from '@/app/utils/response'
+
+const isAssigned = service => service?.id && service.techId && service.start && service.end
+const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+
+// Publish a schedule from { start, end, techId, scheduledServices }, in place of what was
+// published for the range before. Running a schedule publishes nothing, the freeze horizon only
+// holds to what was published here.
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return createJsonResponse({ error: 'Invalid request: expected a JSON body' }, { status: 400 })
+  }
+
+  const { start, end, techId = null, scheduledServices } = body || {}
+  if (!isDate(start) || !isDate(end) || new Date(end) <= new Date(start)) {
+    return createJsonResponse(
+      { error: 'Invalid request: start and end must be dates, end after start' },
+      { status: 400 },
+    )
+  }
+  if (!Array.isArray(scheduledServices) || !scheduledServices.every(isAssigned)) {
+    return createJsonResponse(
+      {
+        error:
+          'Invalid request: scheduledServices must be services with an id, techId, start and end',
+      },
+      { status: 400 },
+    )
+  }
+
+  try {
+    await savePublishedSchedule(scheduledServices, { start, end, techId })
+    console.log(`Schedule published: ${scheduledServices.length} services from ${start} to ${end}`)
+    return createJsonResponse({ published: scheduledServices.length })
+  } catch (error) {
+    console.error('Error in schedule publish API:', error)
+    return createJsonResponse({ error: error.message || 'Internal server error' }, { status: 500 })
+  }
+}
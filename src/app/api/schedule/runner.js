@@ -0,0 +1,688 @@
+// src/app/api/schedule/runner.js
+import { getScheduleLocks } from '@/app/actions/lockActions'
+import { getObjectiveProfiles } from '@/app/actions/objectiveActions'
+import { getTravelSpeedProfile } from '@/app/actions/travelSpeedActions'
+import { OPERATIONAL_DAY_CUTOFF_HOUR, SCHEDULING_ALGORITHMS } from '@/app/utils/constants'
+import { getContinuityScore } from '@/app/utils/continuity'
+import { addBusinessDays, businessTimeOn, dayjsInstance, startOfDay } from '@/app/utils/dayjs'
+import { getFullDistanceMatrix } from '@/app/utils/locationCache'
+import { rankUnassignedServices } from '@/app/utils/fleet'
+import { applyLocks } from '@/app/utils/locks'
+import {
+  combineObjectiveBreakdowns,
+  parseObjectiveWeights,
+  resolveObjectiveWeights,
+} from '@/app/utils/objective'
+import { isTechActiveOn } from '@/app/utils/roster'
+import { summarizeViolations } from '@/app/utils/validator'
+import { getPlanningWeeks, planWeek } from '@/app/utils/weekPlan'
+import { runPooledWorker } from '@/app/api/schedule/workerPool'
+import axios from 'axios'
+
+const MAX_DAYS_PER_REQUEST = 2 // Process 2 days at a time
+export const WORKER_TIMEOUT_MS = 30000 // Synchronous requests give up on the worker after this long
+
+/**
+ * Read and validate schedule parameters from query params or a JSON body
+ * @param {Object} values - start, end, tech, algorithm, improvementTimeMs, continuityWeight,
+ *   planWeek, dailyCapacity and fleetSize as strings or numbers, the objective profile name and
+ *   weights to override as an object or a JSON string
+ * @returns {Object} { start, end, techId, options }, or { error } when the input is invalid
+ */
+export function parseScheduleRequest(values) {
+  const start = dayjsInstance(values.start)
+  const end = dayjsInstance(values.end)
+  if (!values.start || !values.end || !start.isValid() || !end.isValid()) {
+    return { error: 'Invalid date range' }
+  }
+
+  // Accept a roster tech code, or a number for overflow techs
+  const tech = values.tech?.toString()
+  const techId = tech && /^\d+$/.test(tech) ? `Tech ${tech}` : tech || null
+
+  // Optional tuning for the worker, e.g. ?algorithm=savings&improvementTimeMs=5000
+  const options = {}
+  if (values.algorithm) {
+    if (!SCHEDULING_ALGORITHMS.includes(values.algorithm)) {
+      return { error: `Unknown algorithm, expected one of: ${SCHEDULING_ALGORITHMS.join(', ')}` }
+    }
+    options.algorithm = values.algorithm
+  }
+  if (values.improvementTimeMs !== undefined && values.improvementTimeMs !== null) {
+    const improvementTimeMs = Number(values.improvementTimeMs)
+    if (improvementTimeMs >= 0) options.improvementTimeMs = improvementTimeMs
+  }
+  // How strongly services stay with their usual tech, 0 to ignore who did them before
+  if (values.continuityWeight !== undefined && values.continuityWeight !== null) {
+    const continuityWeight = Number(values.continuityWeight)
+    if (continuityWeight >= 0) options.continuityWeight = continuityWeight
+  }
+  // Objective to score the schedule by, e.g. ?profile=fewerTechs&weights={"miles":1}
+  if (values.profile) options.profile = values.profile.toString()
+  if (values.weights !== undefined && values.weights !== null) {
+    const { weights, error } = parseObjectiveWeights(values.weights)
+    if (error) return { error }
+    options.weights = weights
+  }
+  // Spread flexible visits over the days of their week first, e.g. ?planWeek=true&dailyCapacity=8
+  if (values.planWeek === true || values.planWeek === 'true') {
+    options.planWeek = true
+    const dailyCapacity = Number(values.dailyCapacity)
+    if (Number.isInteger(dailyCapacity) && dailyCapacity > 0) options.dailyCapacity = dailyCapacity
+  }
+  // Schedule short-staffed days with at most this many techs, e.g. ?fleetSize=5
+  if (values.fleetSize !== undefined && values.fleetSize !== null && values.fleetSize !== '') {
+    const fleetSize = Number(values.fleetSize)
+    if (!Number.isInteger(fleetSize) || fleetSize < 1) {
+      return { error: 'Invalid fleetSize, expected a whole number of techs of at least 1' }
+    }
+    options.fleetSize = fleetSize
+  }
+
+  return { start, end, techId, options }
+}
+
+/**
+ * Schedule every service between start and end, splitting long ranges into chunks
+ * @param {Object} params - { start, end, techId, options } as returned by parseScheduleRequest
+ * @param {Object} [control] - { onProgress, signal, timeoutMs } to follow, cancel or limit the run
+ * @returns {Promise<Object>} Scheduled services, meal breaks, clustering info, scheduling
+ *   details, the violations the validator found and the services they took off, the objective
+ *   breakdown, the speed table the drives were timed with and the date chunks that failed, if any
+ */
+export async function runSchedule(
+  { start, end, techId, options: requestOptions = {} },
+  control = {},
+) {
+  console.log('Date range:', {
+    normalizedStart: start.format(),
+    normalizedEnd: end.format(),
+  })
+
+  // Saved profiles and the saved speed table are only known here, so the workers get them
+  // already resolved
+  const options = {
+    ...requestOptions,
+    profile: undefined,
+    weights: resolveObjectiveWeights(requestOptions, await getObjectiveProfiles()),
+    speedProfile: await getTravelSpeedProfile(),
+  }
+
+  // Calculate number of days in request
+  const totalDays = Math.round(end.diff(start, 'day', true))
+  console.log('Total days requested:', totalDays)
+
+  const weekPlan = options.planWeek ? await planServices(start, end, options) : null
+  const getPlannedServices = (s, e) =>
+    weekPlan?.services.filter(service => dayjsInstance(service.date).isBetween(s, e, null, '[)'))
+
+  // If request is within limit, process normally
+  if (totalDays <= MAX_DAYS_PER_REQUEST) {
+    const result = await processDateRange(
+      start,
+      end,
+      options,
+      control,
+      {},
+      getPlannedServices(start, end),
+    )
+    if (weekPlan) result.weekPlan = weekPlan.summary
+    return { ...result, speedProfile: options.speedProfile }
+  }
+
+  // Otherwise, split into chunks and process them concurrently on the worker pool
+  const chunks = []
+  let chunkStart = start.clone()
+  while (chunkStart.isBefore(end)) {
+    const chunkEnd = addBusinessDays(chunkStart, MAX_DAYS_PER_REQUEST)
+    if (chunkEnd.isAfter(end)) {
+      chunks.push([chunkStart, end])
+    } else {
+      chunks.push([chunkStart, chunkEnd])
+    }
+    chunkStart = chunkEnd
+  }
+
+  console.log('Processing in chunks:', chunks.length)
+
+  // Each chunk covers an equal share of the overall progress
+  const chunkProgress = chunks.map(() => 0)
+
+  // Techs keep their identity from one chunk to the next, so chunks fetch their services and
+  // distances concurrently but schedule in date order, each from the tech state of the chunk
+  // before it
+  let previousTechState = Promise.resolve({})
+
+  const processChunk = ([s, e], index) => {
+    const onProgress = update => {
+      chunkProgress[index] = update.progress
+      control.onProgress?.({
+        ...update,
+        progress: chunkProgress.reduce((sum, progress) => sum + progress, 0) / chunks.length,
+        chunk: index + 1,
+        chunks: chunks.length,
+      })
+    }
+    const techState = previousTechState
+    const run = processDateRange(
+      s,
+      e,
+      options,
+      { ...control, onProgress },
+      techState,
+      getPlannedServices(s, e),
+    )
+    // A failed chunk hands on the state it was given
+    previousTechState = run.then(
+      result => result.techState || {},
+      () => techState,
+    )
+    return run
+  }
+
+  // A failed chunk leaves its days unscheduled and is reported, the other chunks are kept and the
+  // ones after it take their tech numbers and state from the last chunk that succeeded. The range
+  // only fails when it is cancelled or nothing could be scheduled.
+  const settled = await Promise.allSettled(chunks.map(processChunk))
+  control.signal?.throwIfAborted()
+  const failedChunks = settled.flatMap((outcome, index) =>
+    outcome.status === 'rejected'
+      ? [
+          {
+            start: chunks[index][0].format(),
+            end: chunks[index][1].format(),
+            error: outcome.reason?.message || String(outcome.reason),
+          },
+        ]
+      : [],
+  )
+  if (failedChunks.length === chunks.length) throw settled[0].reason
+  failedChunks.forEach(chunk => console.error('Schedule chunk failed:', chunk))
+
+  const results = settled
+    .filter(outcome => outcome.status === 'fulfilled')
+    .map(outcome => outcome.value)
+
+  // Filter each chunk for specific tech if requested
+  if (techId) results.forEach(result => filterResultForTech(result, techId))
+
+  // Combine results in date order, whichever chunk finished first
+  const combinedResult = {
+    initialServices: results.reduce((sum, r) => sum + r.initialServices, 0),
+    scheduledServices: results.flatMap(r => r.scheduledServices || []),
+    mealBreaks: results.flatMap(r => r.mealBreaks || []),
+    unassignedServices: rankUnassignedServices(results.flatMap(r => r.unassignedServices || [])),
+    clusteringInfo: results.reduce(
+      (acc, r) => ({
+        ...acc,
+        ...r.clusteringInfo,
+        performanceDuration:
+          (acc.performanceDuration || 0) + (r.clusteringInfo?.performanceDuration || 0),
+        improvement: combineImprovements(acc.improvement, r.clusteringInfo?.improvement),
+        techAssignments: combineTechAssignments(
+          acc.techAssignments,
+          r.clusteringInfo?.techAssignments,
+        ),
+      }),
+      {},
+    ),
+    schedulingDetails: results.reduce((acc, r) => {
+      if (!acc) return r.schedulingDetails
+      return {
+        totalServices: acc.totalServices + r.schedulingDetails.totalServices,
+        scheduledServices: acc.scheduledServices + r.schedulingDetails.scheduledServices,
+        unscheduledServices: [
+          ...acc.unscheduledServices,
+          ...r.schedulingDetails.unscheduledServices,
+        ],
+        summary: {
+          totalUnscheduled:
+            acc.summary.totalUnscheduled + r.schedulingDetails.summary.totalUnscheduled,
+          reasonBreakdown: mergeCounts(
+            acc.summary.reasonBreakdown,
+            r.schedulingDetails.summary.reasonBreakdown,
+          ),
+          constraintBreakdown: mergeCounts(
+            acc.summary.constraintBreakdown,
+            r.schedulingDetails.summary.constraintBreakdown,
+          ),
+        },
+      }
+    }, null),
+    validation: summarizeViolations(results.flatMap(r => r.validation?.violations || [])),
+    repairs: results.flatMap(r => r.repairs || []),
+    objective: results.map(r => r.objective).reduce(combineObjectiveBreakdowns),
+    // Every chunk starts from the state of the one before it, so the last one has every tech
+    techState: results[results.length - 1].techState,
+    speedProfile: options.speedProfile,
+    ...(failedChunks.length && { failedChunks }),
+    ...(weekPlan && { weekPlan: weekPlan.summary }),
+  }
+  combinedResult.clusteringInfo.continuity = getContinuityScore(combinedResult.scheduledServices)
+  return combinedResult
+}
+
+// Keep only one tech's services, breaks and violations in a chunk result
+function filterResultForTech(result, techId) {
+  result.scheduledServices = result.scheduledServices.filter(s => s.techId === techId)
+  result.mealBreaks = result.mealBreaks?.filter(mealBreak => mealBreak.techId === techId)
+  // Update clustering info for filtered services
+  const filteredClusters = new Set(result.scheduledServices.map(s => s.cluster))
+  result.clusteringInfo.totalClusters = filteredClusters.size
+  result.clusteringInfo.connectedPointsCount = result.scheduledServices.length
+  result.clusteringInfo.clusterDistribution = result.scheduledServices.reduce((acc, service) => {
+    if (service.cluster >= 0) {
+      const cluster = service.cluster
+      acc[cluster] = (acc[cluster] || 0) + 1
+    }
+    return acc
+  }, [])
+  result.clusteringInfo.continuity = getContinuityScore(result.scheduledServices)
+  result.validation = summarizeViolations(
+    (result.validation?.violations || []).filter(violation => violation.techId === techId),
+  )
+  result.repairs = result.repairs?.filter(repair => repair.violation.techId === techId)
+  result.clusteringInfo.techAssignments = {
+    [techId]: result.clusteringInfo.techAssignments[techId] || {
+      services: 0,
+      startTime: 0,
+      overtimeMinutes: 0,
+    },
+  }
+}
+
+// Add up the local search objective of chunks processed separately
+function combineImprovements(a, b) {
+  if (!a || !b) return a || b
+  const addCounts = (x, y) =>
+    Object.fromEntries(Object.keys(x).map(key => [key, Number((x[key] + y[key]).toFixed(2))]))
+
+  return {
+    objectiveBefore: addCounts(a.objectiveBefore, b.objectiveBefore),
+    objectiveAfter: addCounts(a.objectiveAfter, b.objectiveAfter),
+    moves: addCounts(a.moves, b.moves),
+    repairedServices: a.repairedServices + b.repairedServices,
+    insertedServices: a.insertedServices + b.insertedServices,
+    skippedShifts: a.skippedShifts + b.skippedShifts,
+    iterations: a.iterations + b.iterations,
+    timedOut: a.timedOut || b.timedOut,
+    durationMs: a.durationMs + b.durationMs,
+  }
+}
+
+// Add up each tech's services and overtime over chunks, keeping their latest typical start
+function combineTechAssignments(a = {}, b = {}) {
+  const combined = { ...a }
+  for (const [techId, assignment] of Object.entries(b)) {
+    const previous = combined[techId]
+    combined[techId] = previous
+      ? {
+          ...assignment,
+          services: previous.services + assignment.services,
+          overtimeMinutes: (previous.overtimeMinutes || 0) + (assignment.overtimeMinutes || 0),
+        }
+      : assignment
+  }
+  return combined
+}
+
+// Load the technician roster, falling back to overflow techs if it is unavailable
+export async function fetchRoster() {
+  try {
+    const response = await axios.get(`${process.env.NEXT_PUBLIC_BASE_URL || ''}/api/roster`)
+    return Array.isArray(response.data) ? response.data : []
+  } catch (error) {
+    console.warn('Could not load roster, scheduling with overflow techs:', error.message)
+    return []
+  }
+}
+
+// From the cutoff on the first day to the cutoff after the last day that starts before end
+function getOperationalWindow(start, end) {
+  const cutoffSeconds = OPERATIONAL_DAY_CUTOFF_HOUR * 3600
+  const dayAfterRange = startOfDay(end).isBefore(end) ? addBusinessDays(end, 1) : startOfDay(end)
+  return {
+    start: businessTimeOn(start, cutoffSeconds),
+    end: businessTimeOn(dayAfterRange, cutoffSeconds),
+  }
+}
+
+// Get services for the operational days in the range, which run from cutoff to cutoff so night
+// routes past midnight stay with the day they started
+async function fetchServices(start, end) {
+  const fetchWindow = getOperationalWindow(start, end)
+  const response = await axios.get(`${process.env.NEXT_PUBLIC_BASE_URL || ''}/api/services`, {
+    params: {
+      start: fetchWindow.start.toISOString(),
+      end: fetchWindow.end.toISOString(),
+    },
+  })
+  return response.data
+}
+
+// Move flexible visits to other days of their week, at most dailyCapacity techs a day or as many
+// as the roster has working. The whole weeks around the range are planned, so visits move into
+// the range from the days just outside it as well as out of it.
+async function planServices(start, end, options) {
+  const weeks = getPlanningWeeks(start, end)
+  const [services, roster] = await Promise.all([
+    fetchServices(weeks.start, weeks.end),
+    fetchRoster(),
+  ])
+  const getCapacity = date =>
+    options.dailyCapacity ??
+    (roster.length ? roster.filter(tech => isTechActiveOn(tech, date)).length : Infinity)
+  return planWeek(services, { ...weeks, getCapacity })
+}
+
+async function processDateRange(
+  start,
+  end,
+  options = {},
+  control = {},
+  techState = {},
+  plannedServices = null,
+) {
+  const { onProgress, signal, timeoutMs } = control
+  const startTime = performance.now()
+  const reportProgress = (stage, message, progress) => onProgress?.({ stage, message, progress })
+
+  try {
+    signal?.throwIfAborted()
+    reportProgress('services', 'Fetching services...', 0)
+
+    // A week plan has already fetched the services and moved them to their planned days
+    const serviceData = plannedServices || (await fetchServices(start, end))
+
+    console.log('Initial services from /services:', serviceData.length)
+
+    // Track services filtered due to missing time range
+    const missingTimeRangeServices = serviceData
+      .filter(service => {
+        if (!service.time.range[0] || !service.time.range[1]) {
+          console.log('Filtered out service missing time range:', service.id)
+          return true
+        }
+        return false
+      })
+      .map(service => ({
+        id: service.id,
+        company: service.company,
+        location: {
+          id: service.location?.id,
+          address: service.location?.address,
+        },
+        time: {
+          range: service.time.range,
+          duration: service.time.duration,
+        },
+        reason: `INVALID_TIME_RANGE${service.time?.meta?.originalRange ? ` (${service.time.meta.originalRange})` : ' ()'}`,
+      }))
+
+    const services = serviceData.filter(service => {
+      if (!service.time.range[0] || !service.time.range[1]) return false
+      const serviceDate = dayjsInstance(service.date)
+      const isInRange = serviceDate.isBetween(start, end, null, '[)')
+      if (!isInRange) {
+        console.log('Filtered out service outside date range:', service.id, {
+          serviceDate: serviceDate.format(),
+          start: start.format(),
+          end: end.format(),
+        })
+      }
+      return isInRange
+    })
+
+    console.log('Services after date/time filtering:', services.length)
+
+    // Track invalid services before filtering
+    const invalidServices = services
+      .filter(service => {
+        // Check for missing location ID
+        if (!service.location?.id?.toString()) {
+          console.log('Service missing location ID:', service.id)
+          return true
+        }
+
+        // Check for invalid coordinates (0,0 or missing)
+        const lat = service.location.latitude
+        const lng = service.location.longitude
+        if (!lat || !lng || (lat === 0 && lng === 0)) {
+          console.log('Service has invalid coordinates:', service.id, { lat, lng })
+          return true
+        }
+
+        return false
+      })
+      .map(service => ({
+        id: service.id,
+        company: service.company,
+        location: {
+          id: service.location?.id,
+          address: service.location?.address,
+          coordinates: {
+            latitude: service.location?.latitude,
+            longitude: service.location?.longitude,
+          },
+        },
+        time: {
+          range: service.time.range,
+          duration: service.time.duration,
+        },
+        reason: !service.location?.id?.toString()
+          ? 'MISSING_LOCATION'
+          : `INVALID_COORDINATES: (${service.location.latitude},${service.location.longitude})`,
+      }))
+
+    console.log('Invalid services:', invalidServices.length, invalidServices)
+
+    // Update validServices filter accordingly
+    const validServices = services.filter(service => {
+      if (!service.location?.id?.toString()) return false
+      const lat = service.location.latitude
+      const lng = service.location.longitude
+      if (!lat || !lng || (lat === 0 && lng === 0)) return false
+      return true
+    })
+
+    console.log('Valid services:', validServices.length)
+
+    // Add originalIndex to each service before sending to worker
+    const validServicesWithIndex = validServices.map((service, index) => ({
+      ...service,
+      originalIndex: index,
+    }))
+
+    // Get unique location IDs from valid services
+    const locationIds = validServicesWithIndex.map(s => s.location.id.toString())
+
+    // Get distance matrix in array format
+    signal?.throwIfAborted()
+    reportProgress('distances', 'Loading distances...', 0.1)
+    console.log('Getting distance matrix for', locationIds.length, 'locations')
+    const distanceMatrix = await getFullDistanceMatrix(locationIds, {
+      format: 'array',
+      force: true,
+    })
+
+    const roster = await fetchRoster()
+    const locks = await getScheduleLocks()
+
+    // Chunks of a longer range wait here for the chunk before them
+    const previousTechState = await techState
+    signal?.throwIfAborted()
+
+    // Worker progress covers most of the run, fetching data the first fifth
+    const {
+      unscheduledReasons = {},
+      constraintTraces = {},
+      ...result
+    } = await runPooledWorker(
+      {
+        // Locked services keep their published tech and times, the worker plans around them
+        services: applyLocks(validServicesWithIndex, locks),
+        distanceMatrix,
+        roster,
+        options: { ...options, lockedTechDays: locks.techDays, freezeHorizon: locks.horizon },
+        techState: previousTechState,
+      },
+      {
+        signal,
+        timeoutMs,
+        onProgress: update =>
+          reportProgress(update.stage, update.message, 0.2 + update.progress * 0.8),
+      },
+    )
+
+    // Now that we have the result, identify unscheduled services, with the constraints that
+    // kept each out of the shifts on its day, the most valuable and closest to fitting first
+    const scheduledServiceIds = new Set(result.scheduledServices.map(s => s.id))
+    const repairedViolations = new Map(
+      (result.repairs || []).map(repair => [repair.serviceId, repair.violation]),
+    )
+    const unassignedServices = rankUnassignedServices(
+      validServices
+        .filter(s => !scheduledServiceIds.has(s.id))
+        .map(service => {
+          const reason = determineUnscheduledReason(
+            service,
+            result.scheduledServices,
+            unscheduledReasons,
+          )
+          console.log('Unscheduled valid service:', service.id, 'Reason:', reason)
+          return {
+            ...service,
+            reason,
+            trace: constraintTraces[service.id] || null,
+            violation: repairedViolations.get(service.id) || null,
+          }
+        }),
+    )
+    const unscheduledValidServices = unassignedServices.map(service => ({
+      id: service.id,
+      company: service.company,
+      location: {
+        id: service.location.id,
+        address: service.location.address,
+      },
+      time: {
+        range: service.time.range,
+        duration: service.time.duration,
+      },
+      reason: service.reason,
+      trace: service.trace && {
+        candidateShifts: service.trace.candidateShifts,
+        blockedBy: service.trace.blockedBy,
+      },
+      violation: service.violation,
+    }))
+
+    console.log('Unscheduled valid services:', unscheduledValidServices.length)
+
+    // When combining unscheduled services, include the missing time range ones
+    const unscheduledServices = [
+      ...missingTimeRangeServices,
+      ...invalidServices,
+      ...unscheduledValidServices,
+    ]
+    console.log('Total unscheduled services:', unscheduledServices.length)
+
+    const totalConnectedPoints = result.scheduledServices.filter(s => s.cluster >= 0).length
+    const totalClusters = new Set(result.scheduledServices.map(s => s.cluster).filter(c => c >= 0))
+      .size
+
+    return {
+      ...result,
+      unassignedServices,
+      initialServices: serviceData.length,
+      clusteringInfo: {
+        algorithm: result.clusteringInfo?.algorithm,
+        performanceDuration: Math.round(performance.now() - startTime),
+        connectedPointsCount: totalConnectedPoints,
+        totalClusters,
+        clusterDistribution: result.scheduledServices.reduce((acc, service) => {
+          if (service.cluster >= 0) {
+            const cluster = service.cluster
+            acc[cluster] = (acc[cluster] || 0) + 1
+          }
+          return acc
+        }, []),
+        improvement: result.clusteringInfo?.improvement,
+        techAssignments: result.clusteringInfo?.techAssignments || {},
+        continuity: getContinuityScore(result.scheduledServices),
+      },
+      schedulingDetails: {
+        totalServices: services.length,
+        scheduledServices: result.scheduledServices.length,
+        // Services starting past their window, within the lateness they accept
+        lateServices: result.scheduledServices.filter(service => service.lateMinutes > 0).length,
+        unscheduledServices,
+        summary: {
+          totalUnscheduled: unscheduledServices.length,
+          reasonBreakdown: unscheduledServices.reduce((acc, s) => {
+            acc[s.reason] = (acc[s.reason] || 0) + 1
+            return acc
+          }, {}),
+          // Shifts each constraint blocked, over all the services the worker could not place
+          constraintBreakdown: mergeCounts(
+            {},
+            ...unscheduledValidServices.map(s => s.trace?.blockedBy || {}),
+          ),
+        },
+      },
+    }
+  } catch (error) {
+    console.error('Schedule error:', error)
+    throw error
+  }
+}
+
+// Add up counts by key
+function mergeCounts(...counts) {
+  const merged = {}
+  for (const [key, value] of counts.flatMap(count => Object.entries(count || {}))) {
+    merged[key] = (merged[key] || 0) + value
+  }
+  return merged
+}
+
+function determineUnscheduledReason(service, scheduledServices, workerReasons = {}) {
+  // The worker knows why it could not place a service, from its locks, skills, enforced tech or
+  // the constraints it traced against each shift
+  if (workerReasons[service.id]) return workerReasons[service.id]
+
+  // Check for missing location
+  if (!service.location?.id) return 'MISSING_LOCATION'
+
+  // Check for invalid time range
+  if (!service.time?.range?.[0] || !service.time?.range?.[1]) {
+    return 'INVALID_TIME_RANGE'
+  }
+
+  // Check for invalid time window (end before start)
+  const start = new Date(service.time.range[0])
+  const end = new Date(service.time.range[1])
+  if (end < start) {
+    return 'INVALID_TIME_WINDOW: End time before start time'
+  }
+
+  // Check for overlapping services at same location
+  const overlappingServices = scheduledServices.filter(
+    s =>
+      s.location.id === service.location.id &&
+      new Date(s.time.range[0]) <= new Date(service.time.range[1]) &&
+      new Date(s.time.range[1]) >= new Date(service.time.range[0]),
+  )
+  if (overlappingServices.length > 0) {
+    return 'TIME_OVERLAP_AT_LOCATION'
+  }
+
+  // Check if service duration exceeds shift duration
+  if (service.time.duration > 480) {
+    // 8 hours in minutes
+    return 'EXCEEDS_SHIFT_DURATION'
+  }
+
+  // Default reason if no specific condition is met
+  return 'NO_VALID_SHIFT_FIT'
+}
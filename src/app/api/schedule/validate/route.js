@@ -0,0 +1,74 @@
+import { getScheduleLocks } from '@/app/actions/lockActions'
+import { getTravelSpeedProfile } from '@/app/actions/travelSpeedActions'
+import { fetchRoster } from '@/app/api/schedule/runner'
+import { createMatrixDistance } from '@/app/map/utils/distance'
+import { createTravelTime, parseSpeedProfile } from '@/app/map/utils/travelTime'
+import { getFullDistanceMatrix } from '@/app/utils/locationCache'
+import { applyLocks } from '@/app/utils/locks'
+import { createJsonResponse } from '@/app/utils/response'
+import { validateSchedule } from '@/app/utils/validator'
+
+const isTimed = service =>
+  service?.id &&
+  service.techId &&
+  service.start &&
+  service.end &&
+  service.time?.range?.[0] &&
+  service.time?.range?.[1] &&
+  service.location?.id
+
+// Check a complete schedule against every scheduling rule, locked services against their
+// published assignment. The speedProfile a schedule run returns times its drives as it did.
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return createJsonResponse({ error: 'Invalid request: expected a JSON body' }, { status: 400 })
+  }
+
+  const { scheduledServices, mealBreaks = [], speedProfile } = body || {}
+  if (!Array.isArray(scheduledServices) || !Array.isArray(mealBreaks)) {
+    return createJsonResponse(
+      { error: 'Invalid request: scheduledServices and mealBreaks must be arrays' },
+      { status: 400 },
+    )
+  }
+  if (!scheduledServices.every(isTimed)) {
+    return createJsonResponse(
+      {
+        error:
+          'Invalid request: every service needs an id, techId, start, end, time window and location',
+      },
+      { status: 400 },
+    )
+  }
+  const speeds = speedProfile == null ? null : parseSpeedProfile(speedProfile)
+  if (speeds?.error) {
+    return createJsonResponse({ error: speeds.error }, { status: 400 })
+  }
+
+  try {
+    const locationIds = [...new Set(scheduledServices.map(s => String(s.location.id)))]
+    const distanceMatrix = await getFullDistanceMatrix(locationIds, { format: 'object' })
+    const roster = await fetchRoster()
+    const locks = await getScheduleLocks()
+    // Drives are estimated with the speed table the schedule was timed with, the one saved now
+    // when the request leaves it out
+    const travelTime = createTravelTime(speeds?.profile || (await getTravelSpeedProfile()))
+
+    const validation = validateSchedule(
+      { scheduledServices: applyLocks(scheduledServices, locks), mealBreaks },
+      { getDistance: createMatrixDistance(distanceMatrix), travelTime, roster },
+    )
+    console.log('Schedule validation:', { valid: validation.valid, summary: validation.summary })
+
+    return createJsonResponse(validation)
+  } catch (error) {
+    console.error('Error in schedule validate API:', error)
+    return createJsonResponse(
+      { error: error.message || 'Internal server error' },
+      { status: error.status || 500 },
+    )
+  }
+}
@@ -1,76 +1,110 @@
-import dayjs from 'dayjs'
 import { performance } from 'node:perf_hooks'
 import { parentPort } from 'node:worker_threads'
-import { calculateTravelTime } from '../../map/utils/travelTime.js'
-import { areSameBorough, getBorough } from '../../utils/boroughs.js'
+import { createTravelTime, defaultTravelTime } from '../../map/utils/travelTime.js'
+import { getBorough } from '../../utils/boroughs.js'
+import { buildInsertionRoutes, buildSavingsRoutes } from '../../utils/construction.js'
 import {
+  DEFAULT_OBJECTIVE_WEIGHTS,
+  DEFAULT_SCHEDULING_ALGORITHM,
   HARD_MAX_RADIUS_MILES,
+  HOURS_PER_SHIFT,
   LONG_SERVICE_THRESHOLD,
   MAX_MERGE_ATTEMPTS,
+  MAX_SERVICES_PER_SHIFT,
   MAX_TIME_SEARCH,
   MERGE_CLOSEST_SHIFTS,
   MIN_BUFFER_BETWEEN_SERVICES,
   SHIFT_DURATION,
   SHIFT_DURATION_MS,
-  TECH_START_TIME_VARIANCE
+  TECH_START_TIME_VARIANCE,
 } from '../../utils/constants.js'
+import {
+  CONSTRAINTS,
+  createTrace,
+  getClosestConstraint,
+  getMainConstraint,
+} from '../../utils/constraintTrace.js'
+import { isWithUsualTech } from '../../utils/continuity.js'
+import { formatOperationalDate, secondsIntoOperationalDay } from '../../utils/dayjs.js'
+import { limitFleet } from '../../utils/fleet.js'
 import { findShiftGaps } from '../../utils/gaps.js'
+import { getLateMinutes, getLatestStartMs } from '../../utils/lateness.js'
+import { getLeg, improveShifts, measureSchedule } from '../../utils/localSearch.js'
+import { getTechDayKey, keepAfterHorizon } from '../../utils/locks.js'
+import { findMealBreak, needsMealBreak } from '../../utils/mealBreak.js'
+import {
+  getObjectiveBreakdown,
+  getObjectiveCost,
+  resolveObjectiveWeights,
+} from '../../utils/objective.js'
+import { comparePriority, getPriorityRank, getPriorityWeight } from '../../utils/priority.js'
+import {
+  createOverflowTech,
+  fitsTechShiftHours,
+  getDepotLocation,
+  getOvertimeMinutes,
+  isTechActiveOn,
+} from '../../utils/roster.js'
+import {
+  canTechServe,
+  getQualifiedTechCodes,
+  getRequiredSkills,
+  isTechQualified,
+} from '../../utils/skills.js'
+import { repairSchedule } from '../../utils/validator.js'
 
 const SCORE_CACHE = new Map() // Cache for service compatibility scores
+const OPERATIONAL_DATE_CACHE = new Map() // Operational dates by timestamp, the time zone math is slow
 
-// Track tech start times across days
-const techStartTimes = new Map()
+// Track each tech's typical start, shift count and last location across days and date chunks
+const techHistory = new Map()
+
+// Drive estimates of the job being run, with the speed table the runner resolved for it
+let driveTimes = defaultTravelTime
+const calculateTravelTime = (distance, leg) => driveTimes.calculateTravelTime(distance, leg)
+const getLegCrossing = (from, to) => driveTimes.getLegCrossing(from, to)
 
 // Constants at the top of the file
-const HOURS_PER_SHIFT = 8
 const MIN_SERVICES_PER_TECH = 4 // Minimum services before trying to merge
-const MAX_SERVICES_PER_TECH = 14 // Safety limit for max services
-const MAX_SHIFT_DURATION_MS = HOURS_PER_SHIFT * 60 * 60 * 1000
 const TARGET_SERVICES_PER_TECH = 12 // Increased target services per tech
 
-function parseDate(dateStr) {
-  const date = new Date(dateStr)
-  return isNaN(date.getTime()) ? null : date
+// Progress updates are relayed by the schedule runner to job progress streams
+function getOperationalDate(date) {
+  const time = new Date(date).getTime()
+  if (!OPERATIONAL_DATE_CACHE.has(time)) {
+    OPERATIONAL_DATE_CACHE.set(time, formatOperationalDate(time))
+  }
+  return OPERATIONAL_DATE_CACHE.get(time)
 }
 
-function formatDate(date) {
-  if (!date || isNaN(date.getTime())) return null
-  return date.toISOString()
+// Shifts never cross the operational day cutoff, so night routes stay on the day they started
+function isOnShiftDay(shift, date) {
+  return getOperationalDate(shift.services[0].start) === getOperationalDate(date)
 }
 
-function isValidTimeRange(start, end) {
-  if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) return false
-  return start < end && end - start <= SHIFT_DURATION * 60 * 60 * 1000
+// Constraints that keep a service out of a shift whatever its route, none when it may go there
+function getShiftBlockers(shift, service) {
+  const blockedBy = []
+  if (shift.services.some(s => s.isLongService)) blockedBy.push(CONSTRAINTS.SHIFT_FIXED)
+  if (!canTechServe(shift.techId, [...shift.services, service])) {
+    blockedBy.push(CONSTRAINTS.TECH_NOT_QUALIFIED)
+  }
+  if (shift.services.length >= MAX_SERVICES_PER_SHIFT) blockedBy.push(CONSTRAINTS.SERVICE_CAP)
+  return blockedBy
 }
 
-// Check if two service execution times overlap (including their durations)
-function checkTimeOverlap(existingStart, existingEnd, newStart, newEnd) {
-  const existingStartMs = existingStart.getTime()
-  const existingEndMs = existingEnd.getTime()
-  const newStartMs = newStart.getTime()
-  const newEndMs = newEnd.getTime()
+function reportProgress(stage, message, progress) {
+  parentPort?.postMessage({ type: 'progress', stage, message, progress })
+}
 
-  // Services overlap if one starts before the other ends
-  return newStartMs < existingEndMs && existingStartMs < newEndMs
+function parseDate(dateStr) {
+  const date = new Date(dateStr)
+  return isNaN(date.getTime()) ? null : date
 }
 
-// Validate that a service doesn't overlap with any existing services in the shift
-function validateNoOverlaps(shift, newService, tryStart) {
-  const tryEnd = new Date(tryStart.getTime() + newService.time.duration * 60000)
-  
-  // Check for overlaps with all existing services
-  for (const existingService of shift.services) {
-    if (checkTimeOverlap(
-      new Date(existingService.start),
-      new Date(existingService.end),
-      tryStart,
-      tryEnd
-    )) {
-      return false
-    }
-  }
-  
-  return true
+function formatDate(date) {
+  if (!date || isNaN(date.getTime())) return null
+  return date.toISOString()
 }
 
 function getTimeWindowOverlapScore(service, shiftServices) {
@@ -106,6 +140,8 @@ function getCacheKey(service1, service2) {
   return `${service1.originalIndex}-${service2.originalIndex}`
 }
 
+// Objective minutes a placement adds: the drive, the distance from the preferred time and the
+// minutes late. Window overlap and look-ahead break ties.
 function calculateServiceScore(
   service,
   lastService,
@@ -113,7 +149,8 @@ function calculateServiceScore(
   travelTime,
   scheduledServices,
   remainingServices,
-  distanceMatrix
+  distanceMatrix,
+  weights
 ) {
   const cacheKey = getCacheKey(service, lastService)
   if (SCORE_CACHE.has(cacheKey)) {
@@ -126,17 +163,24 @@ function calculateServiceScore(
     return -Infinity
   }
 
-  // Distance score - penalize longer distances exponentially
-  const distanceScore = -Math.pow(distance / HARD_MAX_RADIUS_MILES, 2) * 50
-
   // Time window overlap score
   const timeWindowOverlap = getTimeWindowOverlapScore(service, scheduledServices)
 
-  // Preferred time score
+  // Objective minutes of the drive, its tolls and starting away from the preferred time or late
   const tryStart = new Date(lastService.end)
-  const preferredTime = new Date(service.time.preferred)
-  const preferredDiff = Math.abs(tryStart - preferredTime) / 60000
-  const preferredScore = -Math.log(preferredDiff + 1)
+  const preferredDiff = service.time.preferred
+    ? Math.abs(tryStart - new Date(service.time.preferred)) / 60000
+    : 0
+  const placementCost = getObjectiveCost(
+    {
+      travelMinutes: travelTime,
+      miles: distance,
+      tolls: getLegCrossing(lastService, service)?.toll || 0,
+      windowDeviationMinutes: preferredDiff,
+      lateMinutes: getLateMinutes(service, tryStart),
+    },
+    weights,
+  )
 
   // Simplified future compatibility - only check immediate next service
   let futureScore = 0
@@ -145,8 +189,12 @@ function calculateServiceScore(
     const nextDistance = getDistance(service, nextService, distanceMatrix)
 
     if (nextDistance && nextDistance <= HARD_MAX_RADIUS_MILES) {
-      const nextTravelTime = calculateTravelTime(nextDistance)
       const serviceEnd = new Date(tryStart.getTime() + service.time.duration * 60000)
+      const nextTravelTime = calculateTravelTime(nextDistance, {
+        at: serviceEnd,
+        from: service,
+        to: nextService,
+      })
       const earliestNextStart = new Date(serviceEnd.getTime() + nextTravelTime * 60000)
       const nextRangeStart = new Date(nextService.time.range[0])
       const nextRangeEnd = new Date(nextService.time.range[1])
@@ -158,8 +206,7 @@ function calculateServiceScore(
     }
   }
 
-  const score =
-    distanceScore * 0.4 + timeWindowOverlap * 0.3 + preferredScore * 0.2 + futureScore * 0.1
+  const score = timeWindowOverlap * 0.3 + futureScore * 0.1 - placementCost
 
   SCORE_CACHE.set(cacheKey, score)
   return score
@@ -183,7 +230,8 @@ function getDistance(service1, service2, distanceMatrix) {
 function createScheduledService(service, shift, matchInfo, distanceMatrix) {
   const lastService = shift.services[shift.services.length - 1]
   const distance = lastService ? getDistance(lastService, service, distanceMatrix) : 0
-  const travelTime = distance ? calculateTravelTime(distance) : 0
+  const travelTime =
+    distance ? calculateTravelTime(distance, { from: lastService, to: service }) : 0
 
   return {
     ...service,
@@ -203,153 +251,377 @@ function createNewShift(service, clusterIndex, remainingServices, distanceMatrix
   const shiftStart = findBestShiftStart(service, remainingServices, distanceMatrix)
   const shiftEnd = new Date(shiftStart.getTime() + SHIFT_DURATION_MS)
 
-  // Use the same index for both cluster and techId
-  const techNumber = clusterIndex + 1
+  // Provisional cluster only, the tech is picked from the roster in assignTechsToShifts
   return {
     services: [], // Initialize empty, service will be added after
     startTime: shiftStart,
     endTime: shiftEnd,
-    cluster: techNumber,
-    techId: `Tech ${techNumber}`,
+    cluster: clusterIndex + 1,
+    techId: null,
     mergeAttempts: 0,
   }
 }
 
-function assignTechsToShifts(shifts, dateStr) {
+// Drive and buffer needed between two services, leaving at the end of the first by default
+function getRequiredGap(service1, service2, distanceMatrix, at) {
+  const travelTime = calculateTravelTime(getDistance(service1, service2, distanceMatrix), {
+    at,
+    from: service1,
+    to: service2,
+  })
+  return Math.max(travelTime * 60 * 1000, MIN_BUFFER_BETWEEN_SERVICES)
+}
+
+// Seat a shift's meal break in the first wait between services inside the break window, with
+// the shift running from the tech's start location and back. Null when the shift is too short
+// to need one or no wait is long enough.
+function placeMealBreak(shift, tech, distanceMatrix) {
+  const services = [...shift.services].sort((a, b) => new Date(a.start) - new Date(b.start))
+  const bounds = getShiftBoundsWithLegs(tech, { services }, distanceMatrix)
+  if (!needsMealBreak(bounds.start.getTime(), bounds.end.getTime())) return null
+
+  const mealBreak = findMealBreak(
+    services,
+    services.map(service => new Date(service.start).getTime()),
+    {
+      getGapMs: (service1, service2, at) =>
+        getRequiredGap(service1, service2, distanceMatrix, at),
+      shiftStartMs: bounds.start.getTime(),
+    },
+  )
+  return (
+    mealBreak && {
+      start: formatDate(new Date(mealBreak.start)),
+      end: formatDate(new Date(mealBreak.end)),
+    }
+  )
+}
+
+// Drive between a tech's start or end location and a service around the time at, measured as
+// the local search measures it, null when the tech has none
+function getDepotLeg(location, service, distanceMatrix, at) {
+  if (!location) return null
+  const leg = getLeg(location, service, (a, b) => getDistance(a, b, distanceMatrix), at, driveTimes)
+  return { location, distance: leg.miles, travelTime: leg.travelMinutes }
+}
+
+// Record the drive from the tech's start location and back on the first and last service
+function addDepotLegs(shift, distanceMatrix) {
+  const services = [...shift.services].sort((a, b) => new Date(a.start) - new Date(b.start))
+  const last = services.length - 1
+  return {
+    ...shift,
+    services: services.map((service, i) => ({
+      ...service,
+      startLeg:
+        i === 0 ? getDepotLeg(shift.startLocation, service, distanceMatrix, service.start) : null,
+      endLeg:
+        i === last ? getDepotLeg(shift.endLocation, service, distanceMatrix, service.end) : null,
+    })),
+  }
+}
+
+// A tech's working day on a shift, from leaving their start location to getting back
+function getShiftBoundsWithLegs(tech, shift, distanceMatrix) {
+  const first = shift.services[0]
+  const last = shift.services[shift.services.length - 1]
+  const startLeg = getDepotLeg(tech.startLocation, first, distanceMatrix)
+  const endLeg = getDepotLeg(tech.endLocation, last, distanceMatrix)
+  return {
+    start: new Date(new Date(first.start).getTime() - (startLeg?.travelTime || 0) * 60000),
+    end: new Date(new Date(last.end).getTime() + (endLeg?.travelTime || 0) * 60000),
+  }
+}
+
+// Overtime of a finished shift, from leaving the start location to getting back without the break
+function getShiftOvertimeMinutes(shift, distanceMatrix) {
+  const bounds = getShiftBoundsWithLegs(shift, shift, distanceMatrix)
+  const breakMs = shift.mealBreak
+    ? new Date(shift.mealBreak.end) - new Date(shift.mealBreak.start)
+    : 0
+  return getOvertimeMinutes(bounds.end - bounds.start - breakMs, shift.hours)
+}
+
+// Score how well a tech suits a shift, based on:
+// 1. Start time similarity with the tech's usual start
+// 2. Geographic continuity with the tech's previous day
+// less the objective cost of the shift for the tech as a share of what an unassigned service
+// costs: the drive from where they start and back, overtime and services away from their usual
+// tech
+function scoreTechForShift(tech, shift, shiftStart, weights, distanceMatrix) {
+  const history = techHistory.get(tech.code)
+  const preferredStart =
+    history?.typicalStart ?? (tech.shift.start !== null ? tech.shift.start * 1000 : null)
+
+  let timeScore = 0.5
+  if (preferredStart !== null) {
+    let timeVariance = Math.abs(shiftStart - preferredStart)
+    if (timeVariance > 12 * 60 * 60 * 1000) { // Wrap around for 24-hour period
+      timeVariance = 24 * 60 * 60 * 1000 - timeVariance
+    }
+    timeScore = Math.max(0, 1 - timeVariance / (TECH_START_TIME_VARIANCE * 2))
+  }
+
+  const firstLocation = shift.services[0].location
+  let continuityScore = 0
+  if (history?.lastLocation) {
+    const distance = calculateDistance(
+      { location: history.lastLocation },
+      { location: firstLocation },
+    )
+    continuityScore = distance ? 1 - Math.min(distance / HARD_MAX_RADIUS_MILES, 1) : 0
+  }
+
+  const legs = [
+    getDepotLeg(tech.startLocation, shift.services[0], distanceMatrix),
+    getDepotLeg(tech.endLocation, shift.services[shift.services.length - 1], distanceMatrix),
+  ].filter(Boolean)
+  const bounds = getShiftBoundsWithLegs(tech, shift, distanceMatrix)
+  const cost = getObjectiveCost(
+    {
+      travelMinutes: legs.reduce((sum, leg) => sum + leg.travelTime, 0),
+      miles: legs.reduce((sum, leg) => sum + leg.distance, 0),
+      overtimeMinutes: getOvertimeMinutes(bounds.end - bounds.start, tech.shift.hours),
+      reassignedServices: shift.services.filter(s => !isWithUsualTech(s, tech.code)).length,
+    },
+    weights,
+  )
+
+  return timeScore * 0.4 + continuityScore * 0.2 - cost / weights.unassignedServices
+}
+
+// Record a tech's shift, keeping the typical start as the average over all their shifts
+function recordTechShift(tech, shift, shiftStart) {
+  const history = techHistory.get(tech.code) || { typicalStart: null, shiftCount: 0 }
+  const typicalStart =
+    history.typicalStart === null
+      ? shiftStart
+      : (history.typicalStart * history.shiftCount + shiftStart) / (history.shiftCount + 1)
+
+  techHistory.set(tech.code, {
+    ...history,
+    typicalStart: Math.round(typicalStart),
+    shiftCount: history.shiftCount + 1,
+    lastLocation: getTechStateLocation(shift.services[shift.services.length - 1].location),
+    lastDate: getOperationalDate(shift.services[0].start),
+    overflowNumber: tech.overflowNumber ?? null,
+  })
+}
+
+function getTechStateLocation(location) {
+  return { id: location.id, latitude: location.latitude, longitude: location.longitude }
+}
+
+function createNumberedOverflowTech(number, roster) {
+  return {
+    ...createOverflowTech(number),
+    overflowNumber: number,
+    cluster: roster.length + number,
+  }
+}
+
+function getOverflowNumber(techId) {
+  return Number(/^Tech (\d+)$/.exec(techId || '')?.[1]) || null
+}
+
+// Roster tech with a code, or the overflow tech of that number, who keeps it. Null when the tech
+// has left the roster.
+function findTechByCode(techId, rosterByCode, roster) {
+  if (rosterByCode.has(techId)) return rosterByCode.get(techId)
+  const overflowNumber = getOverflowNumber(techId)
+  return overflowNumber ? createNumberedOverflowTech(overflowNumber, roster) : null
+}
+
+// Whether a tech can work a day of services, from leaving their start location to getting back
+function fitsTechDay(tech, services, distanceMatrix) {
+  if (!tech) return false
+  const bounds = getShiftBoundsWithLegs(tech, { services }, distanceMatrix)
+  return fitsTechShiftHours(tech, bounds.start, bounds.end, TECH_START_TIME_VARIANCE)
+}
+
+// Best roster tech still free for the shift. Each roster tech works at most one shift per day,
+// on their active days and hours, including the drive from their start location and back, and
+// only shifts they have the skills for. Techs are preferred for the services they usually do.
+function findBestRosterTech(shift, roster, assignedToday, weights, distanceMatrix) {
+  const shiftStartTime = new Date(shift.services[0].start)
+  const shiftStart = secondsIntoOperationalDay(shiftStartTime) * 1000
+  const qualifiedTechs = getQualifiedTechCodes(shift.services)
+  let bestTech = null
+  let bestScore = -Infinity
+
+  for (const tech of roster) {
+    if (assignedToday.has(tech.code)) continue
+    if (qualifiedTechs && !qualifiedTechs.includes(tech.code)) continue
+    if (!isTechActiveOn(tech, shiftStartTime)) continue
+    if (!fitsTechDay(tech, shift.services, distanceMatrix)) continue
+
+    const score = scoreTechForShift(tech, shift, shiftStart, weights, distanceMatrix)
+    if (score > bestScore) {
+      bestScore = score
+      bestTech = tech
+    }
+  }
+
+  return bestTech
+}
+
+/**
+ * Assign a roster tech, or an overflow tech when nobody on the roster fits, to every shift
+ * Overflow techs have no skills, so services that need one are taken off a shift no qualified
+ * roster tech is free for
+ * @param {Object[]} shifts - Shifts to assign, across one or more days
+ * @param {Object[]} roster - Technician roster
+ * @param {Object} techState - Tech state from the previous date chunk, keyed by tech code
+ * @param {Object} weights - Objective weights the techs are chosen by
+ * @param {Set<string>} lockedTechDays - Tech-day keys of locked days, those techs take no shift
+ * @param {Object} distanceMatrix - Miles between locations, the drives from and back to each
+ *   tech's start and end locations are measured with it
+ * @returns {{ shifts: Object[], unassignedServices: Object[] }} The shifts with techId, techName
+ *   and cluster set, and the services taken off them
+ */
+function assignTechsToShifts(
+  shifts,
+  roster = [],
+  techState = {},
+  weights = DEFAULT_OBJECTIVE_WEIGHTS,
+  lockedTechDays = new Set(),
+  distanceMatrix = {},
+) {
+  const unassignedServices = []
   // Group shifts by date
   const shiftsByDate = new Map()
-  const techAssignmentsByDate = new Map()
-  const totalTechs = new Set(shifts.map(s => s.techId)).size
 
-  // Reset tech start times for new assignment
-  techStartTimes.clear()
+  // Pick up where the previous date chunk left off
+  techHistory.clear()
+  Object.entries(techState).forEach(([code, state]) => techHistory.set(code, { ...state }))
 
   // First, group all shifts by date
   for (const shift of shifts) {
-    const shiftDate = dayjs(shift.services[0].start).format('YYYY-MM-DD')
+    const shiftDate = getOperationalDate(shift.services[0].start)
     if (!shiftsByDate.has(shiftDate)) {
       shiftsByDate.set(shiftDate, [])
-      techAssignmentsByDate.set(shiftDate, new Set())
     }
     shiftsByDate.get(shiftDate).push(shift)
   }
 
+  // Overflow techs are numbered after the roster so their clusters never collide, and keep
+  // their number across date chunks
+  const overflowTechs = []
+  for (const state of techHistory.values()) {
+    if (state.overflowNumber) {
+      overflowTechs[state.overflowNumber - 1] = createNumberedOverflowTech(
+        state.overflowNumber,
+        roster,
+      )
+    }
+  }
+  // Overflow techs with locked services keep their number too
+  const lockedTechIds = [
+    ...shifts.map(shift => shift.pinnedTechId),
+    ...[...lockedTechDays].map(key => key.split('|')[0]),
+  ]
+  for (const techId of lockedTechIds) {
+    const overflowNumber = getOverflowNumber(techId)
+    if (overflowNumber && !overflowTechs[overflowNumber - 1]) {
+      overflowTechs[overflowNumber - 1] = createNumberedOverflowTech(overflowNumber, roster)
+    }
+  }
+  for (let i = 0; i < overflowTechs.length; i++) {
+    overflowTechs[i] = overflowTechs[i] || createNumberedOverflowTech(i + 1, roster)
+  }
+
   // Sort all dates chronologically
   const sortedDates = Array.from(shiftsByDate.keys()).sort()
-  const firstDate = sortedDates[0]
-
-  // Sort first day's shifts by complexity and start time
-  const firstDayShifts = shiftsByDate.get(firstDate)
-  firstDayShifts.sort((a, b) => {
-    // First sort by complexity
-    const aComplexity = calculateShiftComplexity(a)
-    const bComplexity = calculateShiftComplexity(b)
-    if (bComplexity !== aComplexity) return bComplexity - aComplexity
-    
-    // Then by start time
-    return new Date(a.services[0].start) - new Date(b.services[0].start)
-  })
 
-  // First day's shifts get assigned sequentially to establish baseline tech start times
-  firstDayShifts.forEach((shift, index) => {
-    const techNumber = index + 1
-    const techId = `Tech ${techNumber}`
-    const startTime = new Date(shift.services[0].start).getTime() % (24 * 60 * 60 * 1000)
-    techStartTimes.set(techId, startTime)
-    shift.techId = techId
-    shift.cluster = techNumber
-    techAssignmentsByDate.get(firstDate).add(techId)
-  })
-
-  // For subsequent days, try to maintain consistent start times for techs
-  for (let dateIndex = 1; dateIndex < sortedDates.length; dateIndex++) {
-    const currentDate = sortedDates[dateIndex]
+  for (const currentDate of sortedDates) {
     const currentShifts = shiftsByDate.get(currentDate)
-    
-    // Sort shifts by complexity and start time
+
+    // Pinned shifts already have their tech, shifts that need skills pick next while the
+    // qualified techs are still free, then shifts with the most urgent services, then the most
+    // complex shifts
+    const getShiftRank = shift => Math.min(...shift.services.map(getPriorityRank))
     currentShifts.sort((a, b) => {
+      if (!!a.pinnedTechId !== !!b.pinnedTechId) return a.pinnedTechId ? -1 : 1
+      const aQualified = getQualifiedTechCodes(a.services)?.length ?? Infinity
+      const bQualified = getQualifiedTechCodes(b.services)?.length ?? Infinity
+      if (aQualified !== bQualified) return aQualified - bQualified
+      const rankCompare = getShiftRank(a) - getShiftRank(b)
+      if (rankCompare !== 0) return rankCompare
       const aComplexity = calculateShiftComplexity(a)
       const bComplexity = calculateShiftComplexity(b)
       if (bComplexity !== aComplexity) return bComplexity - aComplexity
       return new Date(a.services[0].start) - new Date(b.services[0].start)
     })
 
-    // Track tech workload for current date
-    const techWorkload = new Map()
+    // Techs whose day is locked already have their shift
+    const assignedToday = new Set(
+      [...lockedTechDays]
+        .filter(key => key.endsWith(`|${currentDate}`))
+        .map(key => key.slice(0, -currentDate.length - 1)),
+    )
 
-    // For each shift, find the best matching tech
     for (const shift of currentShifts) {
-      let bestTech = null
-      let bestScore = -Infinity
-
-      // Calculate shift's preferred start time
-      const shiftStart = new Date(shift.services[0].start).getTime() % (24 * 60 * 60 * 1000)
-
-      // Try all existing techs
-      for (const [techId, preferredStart] of techStartTimes.entries()) {
-        // Skip if tech already has too many services today
-        if (techWorkload.get(techId) >= 12) continue
-
-        // Calculate score based on:
-        // 1. Start time similarity
-        // 2. Current workload
-        // 3. Geographic continuity with previous day
-        let timeVariance = Math.abs(shiftStart - preferredStart)
-        if (timeVariance > 12 * 60 * 60 * 1000) { // Wrap around for 24-hour period
-          timeVariance = 24 * 60 * 60 * 1000 - timeVariance
-        }
-        const timeScore = 1 - (timeVariance / (TECH_START_TIME_VARIANCE * 2))
+      // Pinned shifts were built for their tech, so only the others are scored
+      let bestTech =
+        roster.find(tech => tech.code === shift.pinnedTechId) ||
+        overflowTechs.find(tech => tech.code === shift.pinnedTechId) ||
+        findBestRosterTech(shift, roster, assignedToday, weights, distanceMatrix)
+
+      // Every qualified tech is taken, so the services needing a skill come off the shift
+      if (!bestTech && getQualifiedTechCodes(shift.services)) {
+        shift.services = shift.services.filter(service => {
+          if (!service.qualifiedTechs) return true
+          unassignedServices.push(service)
+          return false
+        })
+        if (!shift.services.length) continue
+        bestTech = findBestRosterTech(shift, roster, assignedToday, weights, distanceMatrix)
+      }
 
-        const workload = techWorkload.get(techId) || 0
-        const workloadScore = 1 - (workload / 12)
+      const shiftStart = secondsIntoOperationalDay(shift.services[0].start) * 1000
+      let bestScore = -Infinity
 
-        // Find tech's last shift from previous date
-        const prevDate = sortedDates[dateIndex - 1]
-        const prevShifts = shiftsByDate.get(prevDate)
-        const lastShift = prevShifts?.find(s => s.techId === techId)
-        
-        let continuityScore = 0
-        if (lastShift) {
-          const lastLocation = lastShift.services[lastShift.services.length - 1].location
-          const firstLocation = shift.services[0].location
-          const distance = calculateDistance(
-            { location: lastLocation },
-            { location: firstLocation }
-          )
-          continuityScore = distance ? 1 - Math.min(distance / HARD_MAX_RADIUS_MILES, 1) : 0
+      // Nobody on the roster can cover this shift, so fall back to the overflow tech whose
+      // earlier shifts fit best, or a new one
+      if (!bestTech) {
+        for (const tech of overflowTechs) {
+          if (assignedToday.has(tech.code)) continue
+          const score = scoreTechForShift(tech, shift, shiftStart, weights, distanceMatrix)
+          if (score > bestScore) {
+            bestScore = score
+            bestTech = tech
+          }
         }
-
-        const totalScore = timeScore * 0.4 + workloadScore * 0.4 + continuityScore * 0.2
-
-        if (totalScore > bestScore) {
-          bestScore = totalScore
-          bestTech = techId
+        if (!bestTech) {
+          bestTech = createNumberedOverflowTech(overflowTechs.length + 1, roster)
+          overflowTechs.push(bestTech)
         }
+        console.log(`No roster tech available for shift on ${currentDate}, using ${bestTech.code}`)
       }
 
-      // If no suitable tech found or score too low, create new tech
-      if (!bestTech || bestScore < 0.3) {
-        const techNumber = totalTechs + techStartTimes.size + 1
-        bestTech = `Tech ${techNumber}`
-        techStartTimes.set(bestTech, shiftStart)
-      }
+      recordTechShift(bestTech, shift, shiftStart)
 
       // Assign tech to shift
-      shift.techId = bestTech
-      shift.cluster = parseInt(bestTech.replace('Tech ', ''))
-      techWorkload.set(bestTech, (techWorkload.get(bestTech) || 0) + shift.services.length)
-      techAssignmentsByDate.get(currentDate).add(bestTech)
+      shift.techId = bestTech.code
+      shift.techName = bestTech.name
+      shift.cluster = bestTech.cluster
+      shift.startLocation = bestTech.startLocation || null
+      shift.endLocation = bestTech.endLocation || null
+      shift.hours = bestTech.shift.hours
+      shift.maxHours = bestTech.shift.maxHours
+      assignedToday.add(bestTech.code)
 
       // Update all services in shift
       shift.services.forEach(service => {
-        service.techId = bestTech
+        service.techId = shift.techId
+        service.techName = shift.techName
         service.cluster = shift.cluster
       })
     }
   }
 
   // Return shifts with tech assignments
-  return shifts
+  return { shifts: shifts.filter(shift => shift.services.length), unassignedServices }
 }
 
 function calculateShiftComplexity(shift) {
@@ -432,7 +704,11 @@ function findBestShiftStart(service, otherServices, distanceMatrix) {
       const distance = getDistance(lastService, otherService, distanceMatrix)
       if (!distance || distance > HARD_MAX_RADIUS_MILES) continue
       
-      const travelTime = calculateTravelTime(distance)
+      const travelTime = calculateTravelTime(distance, {
+        at: currentTime,
+        from: lastService,
+        to: otherService,
+      })
       const earliestStart = new Date(currentTime.getTime() + travelTime * 60000)
       
       if (earliestStart <= new Date(otherService.time.range[1]) && 
@@ -442,14 +718,9 @@ function findBestShiftStart(service, otherServices, distanceMatrix) {
         const distanceScore = 1 - (distance / HARD_MAX_RADIUS_MILES)
         const timeScore = otherService.time.preferred ? 
           1 - Math.abs(earliestStart - new Date(otherService.time.preferred)) / (4 * 60 * 60 * 1000) : 0
-        const boroughScore = lastService?.location?.latitude && lastService?.location?.longitude && 
-          otherService?.location?.latitude && otherService?.location?.longitude && 
-          areSameBorough(
-            lastService.location.latitude,
-            lastService.location.longitude,
-            otherService.location.latitude, 
-            otherService.location.longitude
-          ) ? 0.5 : 0
+        // Staying in the borough scores best, a crossing less the longer it takes
+        const crossing = getLegCrossing(lastService, otherService)
+        const boroughScore = crossing ? 0.5 * Math.max(0, 1 - crossing.minutes / 30) : 0.5
         
         const serviceScore = distanceScore * 0.4 + timeScore * 0.4 + boroughScore * 0.2
         
@@ -493,7 +764,8 @@ function updateServiceRelationships(services, distanceMatrix) {
       service.previousCompany = prevService.company
       const distance = getDistance(prevService, service, distanceMatrix)
       service.distanceFromPrevious = distance || 0
-      service.travelTimeFromPrevious = distance ? calculateTravelTime(distance) : 0
+      service.travelTimeFromPrevious =
+        distance ? calculateTravelTime(distance, { from: prevService, to: service }) : 0
     } else {
       service.previousService = null
       service.previousCompany = null
@@ -505,18 +777,632 @@ function updateServiceRelationships(services, distanceMatrix) {
   return services
 }
 
-function processServices(services, distanceMatrix) {
+// Greedy construction: each service goes to the best gap of an existing shift, or opens a new
+// shift, then shifts that can run back to back are chained together. The shifts of its day each
+// service was tried in are kept in placementAttempts with what blocked them, see
+// getPlacementTrace.
+function constructGreedyShifts({
+  services: regularServices,
+  shifts,
+  distanceMatrix,
+  scheduledServiceIds,
+  weights,
+  placementAttempts = new Map(),
+}) {
+  // Schedule regular services in order of priority, then time window flexibility
+  for (const service of regularServices) {
+    if (scheduledServiceIds.has(service.id)) continue
+
+    // For zero-width time windows, try existing shifts first
+    if (service.startTimeWindow === 0) {
+      console.log('Processing exact-time service:', {
+        id: service.id,
+        company: service.company,
+        start: service.earliestStart,
+        duration: service.duration
+      })
+
+      let bestMatch = null
+      let bestShift = null
+      const attempts = []
+      placementAttempts.set(service.id, attempts)
+
+      // Try to fit in existing shifts first
+      for (const shift of shifts.sort((a, b) => a.services.length - b.services.length)) {
+        if (!isOnShiftDay(shift, service.earliestStart)) continue
+        const blockedBy = getShiftBlockers(shift, service)
+        attempts.push({ shift, blockedBy })
+        if (blockedBy.length) continue
+
+        // Check if this exact time fits in any gap in this shift
+        const gaps = findShiftGaps(shift)
+        let blocker = CONSTRAINTS.TIME_WINDOW
+        for (const gap of gaps) {
+          // For exact-time services, we need an exact fit at the specified time
+          const exactStart = service.earliestStart
+          const exactEnd = new Date(exactStart.getTime() + service.duration * 60000)
+          
+          // Check if this exact time window fits in the gap
+          if (exactStart >= gap.start && exactEnd <= gap.end) {
+            // Verify no overlaps with existing services and travel times
+            const wouldOverlap = shift.services.some(existing => {
+              const existingStart = new Date(existing.start).getTime()
+              const existingEnd = new Date(existing.end).getTime()
+              
+              // Check direct time overlap
+              if (exactStart.getTime() < existingEnd && existingStart < exactEnd.getTime()) {
+                return true
+              }
+
+              // Check if there's enough travel time between services
+              const distance = getDistance(service, existing, distanceMatrix)
+              const travelTime =
+                distance <= 0.2 ? 0 : calculateTravelTime(distance, { from: existing, to: service })
+              const minBuffer = travelTime * 60 * 1000 // Convert minutes to milliseconds
+
+              if (exactStart.getTime() < existingEnd + minBuffer && existingStart - minBuffer < exactEnd.getTime()) {
+                return true
+              }
+
+              return false
+            })
+
+            if (!wouldOverlap) {
+              bestMatch = {
+                start: exactStart,
+                end: exactEnd,
+                score: 0
+              }
+              bestShift = shift
+              break
+            }
+            blocker = CONSTRAINTS.TRAVEL_TIME
+          }
+        }
+        if (bestMatch) break
+        blockedBy.push(blocker)
+      }
+
+      // If no existing shift works, create a new one
+      if (!bestMatch) {
+        const newShift = createNewShift(service, shifts.length, [], distanceMatrix)
+        newShift.startTime = service.earliestStart
+        bestShift = newShift
+        bestMatch = {
+          start: service.earliestStart,
+          end: new Date(service.earliestStart.getTime() + service.duration * 60000),
+          score: 0
+        }
+        shifts.push(newShift)
+      }
+
+      const scheduledService = createScheduledService(service, bestShift, bestMatch, distanceMatrix)
+      bestShift.services.push(scheduledService)
+      scheduledServiceIds.add(service.id)
+      
+      // Sort services within shift by start time
+      bestShift.services.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime())
+      continue
+    }
+
+    let bestMatch = null
+    let bestShift = null
+    let bestScore = -Infinity
+    const attempts = []
+    placementAttempts.set(service.id, attempts)
+
+    // Try to fit in existing shifts first
+    for (const shift of shifts.sort((a, b) => a.services.length - b.services.length)) {
+      if (!isOnShiftDay(shift, service.earliestStart)) continue
+      const blockedBy = getShiftBlockers(shift, service)
+      attempts.push({ shift, blockedBy })
+      if (blockedBy.length) continue
+
+      const gaps = findShiftGaps(shift)
+      const blockedGaps = []
+
+      for (const gap of gaps) {
+        const matchInfo =
+          tryFitServiceInGap(service, gap, shift, distanceMatrix, weights, blockedGaps)
+        if (!matchInfo) continue
+
+        // Verify no overlaps with existing services
+        const wouldOverlap = shift.services.some(existing => {
+          const newStart = new Date(matchInfo.start).getTime()
+          const newEnd = new Date(matchInfo.end).getTime()
+          const existingStart = new Date(existing.start).getTime()
+          const existingEnd = new Date(existing.end).getTime()
+          return (newStart < existingEnd && existingStart < newEnd)
+        })
+        if (wouldOverlap) {
+          blockedGaps.push(CONSTRAINTS.TIME_WINDOW)
+          continue
+        }
+        // The score turns away services too far, or with no known drive, from the one before
+        if (matchInfo.score === -Infinity) {
+          blockedGaps.push(CONSTRAINTS.RADIUS)
+          continue
+        }
+
+        if (matchInfo.score > bestScore) {
+          bestScore = matchInfo.score
+          bestMatch = matchInfo
+          bestShift = shift
+        }
+      }
+      if (blockedGaps.length === gaps.length) {
+        blockedBy.push(gaps.length ? getClosestConstraint(blockedGaps) : CONSTRAINTS.SHIFT_LENGTH)
+      }
+    }
+
+    // If no suitable gap found, create new shift
+    if (!bestMatch) {
+      const remainingServices = regularServices.filter(s => !scheduledServiceIds.has(s.id))
+      const newShift = createNewShift(service, shifts.length, remainingServices, distanceMatrix)
+      bestShift = newShift
+      bestMatch = {
+        start: newShift.startTime,
+        end: new Date(newShift.startTime.getTime() + service.duration * 60000),
+        score: 0
+      }
+      shifts.push(newShift)
+    }
+
+    // Schedule the service
+    const scheduledService = createScheduledService(service, bestShift, bestMatch, distanceMatrix)
+    bestShift.services.push(scheduledService)
+    scheduledServiceIds.add(service.id)
+
+    // Sort services within shift by start time
+    bestShift.services.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime())
+  }
+
+  // Sort services within each shift by start time and update metadata
+  for (const shift of shifts) {
+    shift.services.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime())
+    
+    // Update sequence numbers and previous service info
+    shift.services.forEach((service, index) => {
+      service.sequenceNumber = index + 1
+      if (index > 0) {
+        const prevService = shift.services[index - 1]
+        service.previousService = prevService.id
+        service.previousCompany = prevService.company
+        const distance = getDistance(prevService, service, distanceMatrix) || 0
+        service.distanceFromPrevious = distance
+        service.travelTimeFromPrevious =
+          calculateTravelTime(distance, { from: prevService, to: service })
+      } else {
+        service.previousService = null
+        service.previousCompany = null
+        service.distanceFromPrevious = 0
+        service.travelTimeFromPrevious = 0
+      }
+    })
+  }
+
+  // Optimized shift merging
+  let merged
+  do {
+    merged = false
+    const shiftsByTime = [...shifts].sort((a, b) => {
+      const aStart = new Date(a.services[0].start).getTime()
+      const bStart = new Date(b.services[0].start).getTime()
+      return aStart - bStart
+    })
+
+    for (let i = 0; i < shiftsByTime.length - 1; i++) {
+      const shift1 = shiftsByTime[i]
+      if (shift1.mergeAttempts >= MAX_MERGE_ATTEMPTS) continue
+
+      const lastService = shift1.services[shift1.services.length - 1]
+      const lastEnd = new Date(lastService.end)
+
+      // Only consider nearby shifts in time
+      const mergeCandidates = findMergeCandidates(shift1, shiftsByTime, i, distanceMatrix)
+
+      for (const shift2 of mergeCandidates) {
+        // Pinned visits never move to another shift
+        if (shift2.pinnedTechId) continue
+        if (!isOnShiftDay(shift2, shift1.services[0].start)) continue
+        if (!canTechServe(shift1.techId, [...shift1.services, ...shift2.services])) continue
+
+        const firstService = shift2.services[0]
+        const distance = getDistance(lastService, firstService, distanceMatrix)
+
+        if (!distance || distance > HARD_MAX_RADIUS_MILES) continue
+
+        const travelTime = calculateTravelTime(distance, {
+          at: lastEnd,
+          from: lastService,
+          to: firstService,
+        })
+        const earliestStart = new Date(lastEnd.getTime() + travelTime * 60 * 1000)
+
+        if (earliestStart > new Date(firstService.time.range[1])) continue
+
+        const totalServices = shift1.services.length + shift2.services.length
+        if (totalServices > MAX_SERVICES_PER_SHIFT) continue
+
+        const mergedDuration =
+          (Math.max(
+            new Date(shift1.services[shift1.services.length - 1].end).getTime(),
+            new Date(shift2.services[shift2.services.length - 1].end).getTime(),
+          ) -
+            Math.min(
+              new Date(shift1.services[0].start).getTime(),
+              new Date(shift2.services[0].start).getTime(),
+            )) /
+          (60 * 1000)
+
+        if (mergedDuration > SHIFT_DURATION) continue
+
+        // If we get here, merge is possible
+        const adjustedFirstService = {
+          ...firstService,
+          cluster: shift1.cluster,
+          sequenceNumber: shift1.services.length + 1,
+          start: formatDate(earliestStart),
+          end: formatDate(new Date(earliestStart.getTime() + firstService.time.duration * 60000)),
+          distanceFromPrevious: distance,
+          travelTimeFromPrevious: travelTime,
+          previousService: lastService.id,
+          previousCompany: lastService.company,
+        }
+
+        const remainingServices = shift2.services.slice(1).map((service, index) => {
+          const prev = index === 0 ? adjustedFirstService : shift2.services[index]
+          const dist = getDistance(prev, service, distanceMatrix)
+          const travel = calculateTravelTime(dist, { from: prev, to: service })
+          return {
+            ...service,
+            cluster: shift1.cluster,
+            sequenceNumber: shift1.services.length + 2 + index,
+            distanceFromPrevious: dist,
+            travelTimeFromPrevious: travel,
+            previousService: prev.id,
+            previousCompany: prev.company
+          }
+        })
+
+        shift1.services = [...shift1.services, adjustedFirstService, ...remainingServices]
+        shift1.mergeAttempts++
+        shift2.mergeAttempts++
+        shifts.splice(shifts.indexOf(shift2), 1)
+        merged = true
+        break
+      }
+      if (merged) break
+    }
+  } while (merged)
+
+  return shifts
+}
+
+// Turn routes from the savings or insertion construction back into shifts
+function constructShiftsFromRoutes(
+  buildRoutes,
+  { services, shifts, distanceMatrix, scheduledServiceIds, weights },
+) {
+  const context = {
+    getDistance: (a, b) => getDistance(a, b, distanceMatrix),
+    travelTime: driveTimes,
+    weights,
+    depot: getDepotLocation(),
+  }
+  const extendableShifts = shifts.filter(shift => !shift.services.some(s => s.isLongService))
+  const pendingServices = services.filter(service => !scheduledServiceIds.has(service.id))
+  const routes = buildRoutes(pendingServices, extendableShifts, context)
+
+  // Shifts the construction could not extend are kept as they are
+  const untouchedShifts = shifts.filter(shift => !routes.some(route => route.seed === shift))
+
+  const builtShifts = routes.map((route, index) => {
+    const shift = route.seed || {
+      services: [],
+      startTime: new Date(route.timing.starts[0]),
+      endTime: new Date(route.timing.starts[0] + SHIFT_DURATION_MS),
+      cluster: shifts.length + index + 1,
+      techId: null,
+      mergeAttempts: 0,
+    }
+
+    shift.services = route.services.map((service, i) => {
+      scheduledServiceIds.add(service.id)
+      const start = new Date(route.timing.starts[i])
+      return {
+        ...service,
+        cluster: shift.cluster,
+        start: formatDate(start),
+        end: formatDate(new Date(start.getTime() + service.time.duration * 60000)),
+      }
+    })
+    return shift
+  })
+
+  return [...untouchedShifts, ...builtShifts]
+}
+
+// Construction strategies selectable with ?algorithm=, all followed by the same merge,
+// condense and improvement phases
+const SCHEDULING_STRATEGIES = {
+  shifts: { construct: constructGreedyShifts },
+  savings: { construct: context => constructShiftsFromRoutes(buildSavingsRoutes, context) },
+  insertion: { construct: context => constructShiftsFromRoutes(buildInsertionRoutes, context) },
+}
+
+// Check whether a pinned visit clashes with the tech's other visits, including travel between them
+function conflictsWithShift(shift, service, start, end, distanceMatrix) {
+  return shift.services.some(existing => {
+    const existingStart = new Date(existing.start).getTime()
+    const existingEnd = new Date(existing.end).getTime()
+    const distance = getDistance(service, existing, distanceMatrix)
+    const travelTime =
+      distance <= 0.2 ? 0 : calculateTravelTime(distance, { from: existing, to: service })
+    const minBuffer = travelTime * 60 * 1000
+
+    return start.getTime() < existingEnd + minBuffer && existingStart - minBuffer < end.getTime()
+  })
+}
+
+// A visit may run the tech into overtime, up to their maximum hours, while the overtime it adds
+// costs less than leaving the visit unassigned
+function fitsWithinTechShift(shift, tech, start, end, weights) {
+  const times = shift.services.flatMap(s => [
+    new Date(s.start).getTime(),
+    new Date(s.end).getTime(),
+  ])
+  const spanMs = Math.max(end.getTime(), ...times) - Math.min(start.getTime(), ...times)
+  if (spanMs > tech.shift.maxHours * 60 * 60 * 1000) return false
+
+  const currentSpanMs = times.length ? Math.max(...times) - Math.min(...times) : 0
+  const addedOvertime =
+    getOvertimeMinutes(spanMs, tech.shift.hours) -
+    getOvertimeMinutes(currentSpanMs, tech.shift.hours)
+  const addedCost = getObjectiveCost({ overtimeMinutes: addedOvertime }, weights)
+  return addedCost <= weights.unassignedServices
+}
+
+/**
+ * Build a shift per enforced tech and day from services whose tech assignment is enforced
+ * Locked visits keep the tech and time they were published with, visits with a preferred time
+ * inside their window are fixed at it, the rest fill the gaps
+ * @param {Object[]} enforcedServices - Prepared services with tech.enforced or locked set
+ * @param {Object[]} roster - Technician roster from /api/roster
+ * @param {Object} weights - Objective weights, for the overtime a visit may add
+ * @returns {{ shifts: Object[], unscheduledReasons: Object }} Pinned shifts, reasons by service id
+ */
+function schedulePinnedServices(enforcedServices, roster, distanceMatrix, weights) {
+  const rosterByCode = new Map(roster.map(tech => [tech.code, tech]))
+  const shiftsByKey = new Map()
+  const unscheduledReasons = {}
+
+  const getPinnedShift = (tech, date) => {
+    const key = `${tech.code}|${getOperationalDate(date)}`
+    if (!shiftsByKey.has(key)) {
+      shiftsByKey.set(key, {
+        services: [],
+        startTime: null,
+        endTime: null,
+        cluster: tech.cluster,
+        techId: tech.code,
+        techName: tech.name,
+        pinnedTechId: tech.code,
+        mergeAttempts: 0,
+      })
+    }
+    return shiftsByKey.get(key)
+  }
+
+  const placeService = (shift, service, start) => {
+    const scheduledService = createScheduledService(service, shift, { start }, distanceMatrix)
+    shift.services.push(scheduledService)
+    shift.services.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime())
+    return scheduledService
+  }
+
+  const flexibleServices = []
+
+  // Locked and fixed-time visits first so the flexible ones are built around them
+  const sortedServices = [...enforcedServices].sort(
+    (a, b) => !!b.locked - !!a.locked || a.earliestStart - b.earliestStart,
+  )
+  for (const service of sortedServices) {
+    if (service.locked) {
+      const tech = findTechByCode(service.locked.techId, rosterByCode, roster)
+      if (!tech) {
+        unscheduledReasons[service.id] = 'LOCKED_TECH_NOT_ON_ROSTER'
+        continue
+      }
+      const start = new Date(service.locked.start)
+      placeService(getPinnedShift(tech, start), service, start).pinnedStart = formatDate(start)
+      continue
+    }
+
+    const tech = rosterByCode.get(service.tech?.code?.trim())
+    if (!tech) {
+      unscheduledReasons[service.id] = 'ENFORCED_TECH_NOT_ON_ROSTER'
+      continue
+    }
+    if (!isTechActiveOn(tech, service.earliestStart)) {
+      unscheduledReasons[service.id] = 'ENFORCED_TECH_UNAVAILABLE'
+      continue
+    }
+    if (!isTechQualified(tech, service)) {
+      unscheduledReasons[service.id] = 'ENFORCED_TECH_NOT_QUALIFIED'
+      continue
+    }
+
+    const preferred = parseDate(service.time.preferred)
+    if (!preferred || preferred < service.earliestStart || preferred > service.latestStart) {
+      flexibleServices.push({ service, tech })
+      continue
+    }
+
+    const shift = getPinnedShift(tech, preferred)
+    const end = new Date(preferred.getTime() + service.duration * 60000)
+    if (conflictsWithShift(shift, service, preferred, end, distanceMatrix)) {
+      unscheduledReasons[service.id] = 'ENFORCED_TIME_CONFLICT'
+      continue
+    }
+    if (!fitsWithinTechShift(shift, tech, preferred, end, weights)) {
+      unscheduledReasons[service.id] = 'ENFORCED_EXCEEDS_SHIFT'
+      continue
+    }
+
+    placeService(shift, service, preferred).pinnedStart = formatDate(preferred)
+  }
+
+  // Seat the meal break between the fixed-time visits so the flexible ones leave it free
+  for (const shift of shiftsByKey.values()) {
+    if (!shift.services.length) continue
+    const tech = findTechByCode(shift.pinnedTechId, rosterByCode, roster)
+    shift.mealBreak = placeMealBreak(shift, tech, distanceMatrix)
+  }
+
+  // Flexible visits take the best gap in their tech's day, opening the day if it is still empty
+  for (const { service, tech } of flexibleServices) {
+    const shift = getPinnedShift(tech, service.earliestStart)
+    if (!shift.services.length) {
+      placeService(shift, service, service.earliestStart)
+      continue
+    }
+
+    const shiftMs = tech.shift.maxHours * 60 * 60 * 1000
+    const lastEnd = new Date(shift.services[shift.services.length - 1].end).getTime()
+    const dayStart = new Date(lastEnd - shiftMs)
+    const dayEnd = new Date(new Date(shift.services[0].start).getTime() + shiftMs)
+    const gaps = findShiftGaps({ ...shift, startTime: dayStart, endTime: dayEnd })
+
+    let bestMatch = null
+    for (const gap of gaps) {
+      const matchInfo = tryFitServiceInGap(service, gap, shift, distanceMatrix, weights)
+      if (!matchInfo) continue
+      const { start, end } = matchInfo
+      if (conflictsWithShift(shift, service, start, end, distanceMatrix)) continue
+      if (!fitsWithinTechShift(shift, tech, start, end, weights)) continue
+      if (!bestMatch || matchInfo.score > bestMatch.score) bestMatch = matchInfo
+    }
+
+    if (!bestMatch) {
+      unscheduledReasons[service.id] = 'ENFORCED_TIME_CONFLICT'
+      continue
+    }
+    placeService(shift, service, bestMatch.start)
+  }
+
+  // Leave room around the pinned visits for the optimizer to fill the rest of the tech's day
+  const shifts = Array.from(shiftsByKey.values()).filter(shift => shift.services.length)
+  for (const shift of shifts) {
+    const tech = findTechByCode(shift.pinnedTechId, rosterByCode, roster)
+    const firstStart = new Date(shift.services[0].start).getTime()
+    const lastEnd = new Date(shift.services[shift.services.length - 1].end).getTime()
+    const slack = Math.max(0, tech.shift.hours * 60 * 60 * 1000 - (lastEnd - firstStart))
+    shift.startTime = new Date(firstStart - slack / 2)
+    shift.endTime = new Date(lastEnd + slack / 2)
+  }
+
+  return { shifts, unscheduledReasons }
+}
+
+/**
+ * Keep the shifts of locked tech-days exactly as they were published
+ * Their techs take no other work on those days, so the shifts skip construction, merging and
+ * improvement and only get their meal break seated
+ * @param {Object[]} lockedServices - Prepared services locked along with their whole tech-day
+ * @param {Object[]} roster - Technician roster from /api/roster
+ * @returns {{ shifts: Object[], unscheduledReasons: Object }} Locked shifts, reasons by service id
+ */
+function scheduleLockedTechDays(lockedServices, roster, distanceMatrix) {
+  const rosterByCode = new Map(roster.map(tech => [tech.code, tech]))
+  const shiftsByKey = new Map()
+  const unscheduledReasons = {}
+
+  const sortedServices = [...lockedServices].sort(
+    (a, b) => new Date(a.locked.start) - new Date(b.locked.start),
+  )
+  for (const service of sortedServices) {
+    const tech = findTechByCode(service.locked.techId, rosterByCode, roster)
+    if (!tech) {
+      unscheduledReasons[service.id] = 'LOCKED_TECH_NOT_ON_ROSTER'
+      continue
+    }
+
+    const key = getTechDayKey(tech.code, service.locked.start)
+    if (!shiftsByKey.has(key)) {
+      shiftsByKey.set(key, {
+        services: [],
+        cluster: tech.cluster,
+        techId: tech.code,
+        techName: tech.name,
+        startLocation: tech.startLocation || null,
+        endLocation: tech.endLocation || null,
+        hours: tech.shift.hours,
+        maxHours: tech.shift.maxHours,
+        locked: true,
+      })
+    }
+    const shift = shiftsByKey.get(key)
+    const start = new Date(service.locked.start)
+    shift.services.push({
+      ...createScheduledService(service, shift, { start }, distanceMatrix),
+      techId: tech.code,
+      techName: tech.name,
+      pinnedStart: formatDate(start),
+    })
+  }
+
+  const shifts = Array.from(shiftsByKey.values())
+  for (const shift of shifts) {
+    const tech = findTechByCode(shift.techId, rosterByCode, roster)
+    shift.mealBreak = placeMealBreak(shift, tech, distanceMatrix)
+  }
+  return { shifts, unscheduledReasons }
+}
+
+// Tech state to hand to the next date chunk, with last locations from the final routes
+function exportTechState(services) {
+  const lastServiceByTech = new Map()
+  for (const service of services) {
+    const last = lastServiceByTech.get(service.techId)
+    if (!last || new Date(service.end) > new Date(last.end)) {
+      lastServiceByTech.set(service.techId, service)
+    }
+  }
+
+  return Object.fromEntries(
+    Array.from(techHistory.entries()).map(([code, state]) => {
+      const lastService = lastServiceByTech.get(code)
+      if (!lastService) return [code, state]
+      return [code, { ...state, lastLocation: getTechStateLocation(lastService.location) }]
+    }),
+  )
+}
+
+function processServices(services, distanceMatrix, roster = [], options = {}, techState = {}) {
   try {
     const startTime = performance.now()
     SCORE_CACHE.clear()
+    OPERATIONAL_DATE_CACHE.clear()
 
     console.log('Worker received services:', services.length)
+
+    const algorithm = options.algorithm || DEFAULT_SCHEDULING_ALGORITHM
+    const strategy = SCHEDULING_STRATEGIES[algorithm]
+    if (!strategy) throw new Error(`Unknown scheduling algorithm: ${algorithm}`)
+    console.log('Scheduling strategy:', algorithm)
+    const weights = resolveObjectiveWeights(options)
+    driveTimes = createTravelTime(options.speedProfile)
+    console.log('Objective weights:', weights)
     
     // Track duplicates and invalid services
     const duplicates = new Set()
     const invalidServices = new Set()
     const serviceMap = new Map()
     const scheduledServiceIds = new Set()
+    const skillReasons = {}
+    const lockReasons = {}
+    const lockedTechDays = new Set(options.lockedTechDays || [])
 
     // Pre-filter and deduplicate services
     services.forEach(service => {
@@ -547,36 +1433,85 @@ function processServices(services, distanceMatrix) {
         return
       }
 
+      // Services inside the freeze horizon keep their slot, and nothing joins a locked tech-day
+      const unfrozen = service.locked ? service : keepAfterHorizon(service, options.freezeHorizon)
+      if (!unfrozen) {
+        lockReasons[service.id] = 'FROZEN_HORIZON'
+        return
+      }
+      if (
+        !unfrozen.locked &&
+        service.tech?.enforced &&
+        lockedTechDays.has(getTechDayKey(service.tech.code?.trim(), unfrozen.time.range[0]))
+      ) {
+        lockReasons[service.id] = 'ENFORCED_TECH_DAY_LOCKED'
+        return
+      }
+
       serviceMap.set(service.id, {
-        ...service,
+        ...unfrozen,
         duration: service.time.duration,
         isLongService: service.time.duration >= LONG_SERVICE_THRESHOLD
       })
     })
 
     // Convert to array and add metadata
-    const sortedServices = Array.from(serviceMap.values())
+    const preparedServices = Array.from(serviceMap.values())
       .map(service => ({
         ...service,
         borough: getBorough(service.location.latitude, service.location.longitude),
         startTimeWindow: new Date(service.time.range[1]).getTime() - new Date(service.time.range[0]).getTime(),
         earliestStart: new Date(service.time.range[0]),
         latestStart: new Date(service.time.range[1]),
+        // Roster techs with the skills the service needs, null when it needs none
+        qualifiedTechs: getRequiredSkills(service).length
+          ? roster.filter(tech => isTechQualified(tech, service)).map(tech => tech.code)
+          : null,
       }))
+    const sortedServices = preparedServices.filter(service => {
+      if (service.locked || service.qualifiedTechs?.length !== 0) return true
+      skillReasons[service.id] = 'NO_QUALIFIED_TECH'
+      return false
+    })
+
+    // Locked tech-days are kept as published, apart from the rest of the schedule
+    const isInLockedTechDay = service =>
+      service.locked &&
+      lockedTechDays.has(getTechDayKey(service.locked.techId, service.locked.start))
+    const lockedServices = sortedServices.filter(isInLockedTechDay)
+    const lockedDays = scheduleLockedTechDays(lockedServices, roster, distanceMatrix)
+    lockedServices.forEach(service => scheduledServiceIds.add(service.id))
+
+    // Locked services keep their tech and times and enforced services stay with their PestPac
+    // tech, everything else is scheduled freely around them
+    const enforcedServices = sortedServices.filter(
+      s => (s.locked || s.tech?.enforced) && !isInLockedTechDay(s)
+    )
+    const pinned = schedulePinnedServices(enforcedServices, roster, distanceMatrix, weights)
+    enforcedServices.forEach(service => scheduledServiceIds.add(service.id))
+    console.log('Pinned enforced and locked services:', {
+      enforced: enforcedServices.length,
+      shifts: pinned.shifts.length,
+      lockedTechDays: lockedDays.shifts.length,
+      unscheduled: Object.keys(pinned.unscheduledReasons).length
+    })
 
     // Separate long services and regular services
     const longServices = sortedServices.filter(s => s.isLongService)
     const regularServices = sortedServices.filter(s => !s.isLongService)
 
-    // Sort regular services by time window flexibility and start time
+    // Sort regular services by priority, so the urgent ones take the open spots before capacity
+    // runs short, then by time window flexibility and start time
     regularServices.sort((a, b) => {
+      const priorityCompare = comparePriority(a, b)
+      if (priorityCompare !== 0) return priorityCompare
       const flexibilityCompare = a.startTimeWindow - b.startTimeWindow
       if (flexibilityCompare !== 0) return flexibilityCompare
       return a.earliestStart.getTime() - b.earliestStart.getTime()
     })
 
 
-    let shifts = []
+    let shifts = [...pinned.shifts]
 
     // First, schedule long services in their own shifts
     for (const service of longServices) {
@@ -593,256 +1528,27 @@ function processServices(services, distanceMatrix) {
       scheduledServiceIds.add(service.id)
     }
 
-    // Then schedule regular services in order of time window flexibility
-    for (const service of regularServices) {
-      if (scheduledServiceIds.has(service.id)) continue
-
-      // For zero-width time windows, try existing shifts first
-      if (service.startTimeWindow === 0) {
-        console.log('Processing exact-time service:', {
-          id: service.id,
-          company: service.company,
-          start: service.earliestStart,
-          duration: service.duration
-        })
-
-        let bestMatch = null
-        let bestShift = null
-
-        // Try to fit in existing shifts first
-        for (const shift of shifts.sort((a, b) => a.services.length - b.services.length)) {
-          // Skip if shift already has max services or is a long-service shift
-          if (shift.services.length >= 14 || shift.services.some(s => s.isLongService)) continue
-
-          // Check if this exact time fits in any gap in this shift
-          const gaps = findShiftGaps(shift)
-          for (const gap of gaps) {
-            // For exact-time services, we need an exact fit at the specified time
-            const exactStart = service.earliestStart
-            const exactEnd = new Date(exactStart.getTime() + service.duration * 60000)
-            
-            // Check if this exact time window fits in the gap
-            if (exactStart >= gap.start && exactEnd <= gap.end) {
-              // Verify no overlaps with existing services and travel times
-              const wouldOverlap = shift.services.some(existing => {
-                const existingStart = new Date(existing.start).getTime()
-                const existingEnd = new Date(existing.end).getTime()
-                
-                // Check direct time overlap
-                if (exactStart.getTime() < existingEnd && existingStart < exactEnd.getTime()) {
-                  return true
-                }
-
-                // Check if there's enough travel time between services
-                const distance = getDistance(service, existing, distanceMatrix)
-                const travelTime = distance <= 0.2 ? 0 : calculateTravelTime(distance)
-                const minBuffer = travelTime * 60 * 1000 // Convert minutes to milliseconds
-
-                if (exactStart.getTime() < existingEnd + minBuffer && existingStart - minBuffer < exactEnd.getTime()) {
-                  return true
-                }
-
-                return false
-              })
-
-              if (!wouldOverlap) {
-                bestMatch = {
-                  start: exactStart,
-                  end: exactEnd,
-                  score: 0
-                }
-                bestShift = shift
-                break
-              }
-            }
-          }
-          if (bestMatch) break
-        }
-
-        // If no existing shift works, create a new one
-        if (!bestMatch) {
-          const newShift = createNewShift(service, shifts.length, [], distanceMatrix)
-          newShift.startTime = service.earliestStart
-          bestShift = newShift
-          bestMatch = {
-            start: service.earliestStart,
-            end: new Date(service.earliestStart.getTime() + service.duration * 60000),
-            score: 0
-          }
-          shifts.push(newShift)
-        }
-
-        const scheduledService = createScheduledService(service, bestShift, bestMatch, distanceMatrix)
-        bestShift.services.push(scheduledService)
-        scheduledServiceIds.add(service.id)
-        
-        // Sort services within shift by start time
-        bestShift.services.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime())
-        continue
-      }
-
-      let bestMatch = null
-      let bestShift = null
-      let bestScore = -Infinity
-
-      // Try to fit in existing shifts first
-      for (const shift of shifts.sort((a, b) => a.services.length - b.services.length)) {
-        // Skip if shift already has max services or is a long-service shift
-        if (shift.services.length >= 14 || shift.services.some(s => s.isLongService)) continue
-
-        const gaps = findShiftGaps(shift)
-        
-        for (const gap of gaps) {
-          const matchInfo = tryFitServiceInGap(service, gap, shift, distanceMatrix)
-          if (!matchInfo) continue
-
-          // Verify no overlaps with existing services
-          const wouldOverlap = shift.services.some(existing => {
-            const newStart = new Date(matchInfo.start).getTime()
-            const newEnd = new Date(matchInfo.end).getTime()
-            const existingStart = new Date(existing.start).getTime()
-            const existingEnd = new Date(existing.end).getTime()
-            return (newStart < existingEnd && existingStart < newEnd)
-          })
-
-          if (!wouldOverlap && matchInfo.score > bestScore) {
-            bestScore = matchInfo.score
-            bestMatch = matchInfo
-            bestShift = shift
-          }
-        }
-      }
-
-      // If no suitable gap found, create new shift
-      if (!bestMatch) {
-        const remainingServices = regularServices.filter(s => !scheduledServiceIds.has(s.id))
-        const newShift = createNewShift(service, shifts.length, remainingServices, distanceMatrix)
-        bestShift = newShift
-        bestMatch = {
-          start: newShift.startTime,
-          end: new Date(newShift.startTime.getTime() + service.duration * 60000),
-          score: 0
-        }
-        shifts.push(newShift)
-      }
-
-      // Schedule the service
-      const scheduledService = createScheduledService(service, bestShift, bestMatch, distanceMatrix)
-      bestShift.services.push(scheduledService)
-      scheduledServiceIds.add(service.id)
-
-      // Sort services within shift by start time
-      bestShift.services.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime())
-    }
-
-    // Sort services within each shift by start time and update metadata
-    for (const shift of shifts) {
-      shift.services.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime())
-      
-      // Update sequence numbers and previous service info
-      shift.services.forEach((service, index) => {
-        service.sequenceNumber = index + 1
-        if (index > 0) {
-          const prevService = shift.services[index - 1]
-          service.previousService = prevService.id
-          service.previousCompany = prevService.company
-          const distance = getDistance(prevService, service, distanceMatrix) || 0
-          service.distanceFromPrevious = distance
-          service.travelTimeFromPrevious = calculateTravelTime(distance)
-        } else {
-          service.previousService = null
-          service.previousCompany = null
-          service.distanceFromPrevious = 0
-          service.travelTimeFromPrevious = 0
-        }
-      })
-    }
-
-    // Optimized shift merging
-    let merged
-    do {
-      merged = false
-      const shiftsByTime = [...shifts].sort((a, b) => {
-        const aStart = new Date(a.services[0].start).getTime()
-        const bStart = new Date(b.services[0].start).getTime()
-        return aStart - bStart
-      })
-
-      for (let i = 0; i < shiftsByTime.length - 1; i++) {
-        const shift1 = shiftsByTime[i]
-        if (shift1.mergeAttempts >= MAX_MERGE_ATTEMPTS) continue
-
-        const lastService = shift1.services[shift1.services.length - 1]
-        const lastEnd = new Date(lastService.end)
-
-        // Only consider nearby shifts in time
-        const mergeCandidates = findMergeCandidates(shift1, shiftsByTime, i, distanceMatrix)
-
-        for (const shift2 of mergeCandidates) {
-          const firstService = shift2.services[0]
-          const distance = getDistance(lastService, firstService, distanceMatrix)
-
-          if (!distance || distance > HARD_MAX_RADIUS_MILES) continue
-
-          const travelTime = calculateTravelTime(distance)
-          const earliestStart = new Date(lastEnd.getTime() + travelTime * 60 * 1000)
-
-          if (earliestStart > new Date(firstService.time.range[1])) continue
-
-          const totalServices = shift1.services.length + shift2.services.length
-          if (totalServices > 12) continue
-
-          const mergedDuration =
-            (Math.max(
-              new Date(shift1.services[shift1.services.length - 1].end).getTime(),
-              new Date(shift2.services[shift2.services.length - 1].end).getTime(),
-            ) -
-              Math.min(
-                new Date(shift1.services[0].start).getTime(),
-                new Date(shift2.services[0].start).getTime(),
-              )) /
-            (60 * 1000)
-
-          if (mergedDuration > SHIFT_DURATION) continue
-
-          // If we get here, merge is possible
-          const adjustedFirstService = {
-            ...firstService,
-            cluster: shift1.cluster,
-            sequenceNumber: shift1.services.length + 1,
-            start: formatDate(earliestStart),
-            end: formatDate(new Date(earliestStart.getTime() + firstService.time.duration * 60000)),
-            distanceFromPrevious: distance,
-            travelTimeFromPrevious: travelTime,
-            previousService: lastService.id,
-            previousCompany: lastService.company,
-          }
-
-          const remainingServices = shift2.services.slice(1).map((service, index) => {
-            const prev = index === 0 ? adjustedFirstService : shift2.services[index]
-            const dist = getDistance(prev, service, distanceMatrix)
-            const travel = calculateTravelTime(dist)
-            return {
-              ...service,
-              cluster: shift1.cluster,
-              sequenceNumber: shift1.services.length + 2 + index,
-              distanceFromPrevious: dist,
-              travelTimeFromPrevious: travel,
-              previousService: prev.id,
-              previousCompany: prev.company
-            }
-          })
-
-          shift1.services = [...shift1.services, adjustedFirstService, ...remainingServices]
-          shift1.mergeAttempts++
-          shift2.mergeAttempts++
-          shifts.splice(shifts.indexOf(shift2), 1)
-          merged = true
-          break
-        }
-        if (merged) break
-      }
-    } while (merged)
+    // Then build the rest of the day with the selected strategy. The greedy one records the shifts
+    // each service was tried in, read back once the shifts have their techs.
+    const placementAttempts = new Map()
+    const getPlacementTrace = service =>
+      placementAttempts.has(service.id) &&
+      createTrace(
+        placementAttempts.get(service.id).map(({ shift, blockedBy }) => ({
+          techId: shift.techId,
+          techName: shift.techName || `Shift ${shift.cluster}`,
+          blockedBy,
+        })),
+      )
+    reportProgress('construct', 'Building shifts...', 0.1)
+    shifts = strategy.construct({
+      services: regularServices,
+      shifts,
+      distanceMatrix,
+      scheduledServiceIds,
+      weights,
+      placementAttempts,
+    })
 
     // Sort services within each shift by start time and update relationships
     for (const shift of shifts) {
@@ -850,7 +1556,16 @@ function processServices(services, distanceMatrix) {
     }
 
     // Assign initial techs and clusters before merging
-    let shiftsWithTechs = assignTechsToShifts(shifts)
+    reportProgress('assign', 'Assigning techs...', 0.4)
+    const assignment = assignTechsToShifts(
+      shifts,
+      roster,
+      techState,
+      weights,
+      lockedTechDays,
+      distanceMatrix,
+    )
+    let shiftsWithTechs = assignment.shifts
     console.log('Initial shifts after tech assignment:', shiftsWithTechs.length)
 
     // Store original tech assignments
@@ -858,6 +1573,7 @@ function processServices(services, distanceMatrix) {
       shiftsWithTechs.flatMap(shift => 
         shift.services.map(service => [service.id, {
           techId: shift.techId,
+          techName: shift.techName,
           cluster: shift.cluster
         }])
       )
@@ -865,9 +1581,12 @@ function processServices(services, distanceMatrix) {
 
     // After all services are scheduled in shifts
     console.log('Attempting to merge shifts...')
+    reportProgress('merge', 'Merging shifts...', 0.5)
+    const rosterByCode = new Map(roster.map(tech => [tech.code, tech]))
+    const getTech = techId => findTechByCode(techId, rosterByCode, roster)
     let mergeAttempts = 0
     while (mergeAttempts < MAX_MERGE_ATTEMPTS) {
-      const merged = tryMergeShifts(shiftsWithTechs, distanceMatrix)
+      const merged = tryMergeShifts(shiftsWithTechs, distanceMatrix, getTech)
       if (!merged) break
       mergeAttempts++
     }
@@ -890,33 +1609,119 @@ function processServices(services, distanceMatrix) {
 
     // Condense each shift while preserving tech assignments
     console.log('Condensing shifts...')
+    reportProgress('condense', 'Condensing shifts...', 0.6)
     const condensedShifts = shiftsWithTechs.map(shift => {
-      const condensed = condenseShift(shift, distanceMatrix)
+      const tech = findTechByCode(shift.techId, rosterByCode, roster)
+      const mealBreak = placeMealBreak(shift, tech, distanceMatrix)
+      const condensed = condenseShift({ ...shift, mealBreak }, tech, distanceMatrix)
       return {
         ...condensed,
         services: condensed.services.map(service => ({
           ...service,
           techId: originalTechAssignments.get(service.id)?.techId || shift.techId,
+          techName: originalTechAssignments.get(service.id)?.techName || shift.techName,
           cluster: originalTechAssignments.get(service.id)?.cluster || shift.cluster
         }))
       }
     })
     console.log('Shifts condensed')
 
-    // Process services after condensing, maintaining tech assignments
-    const finalServices = condensedShifts.flatMap(shift => shift.services)
+    // With a fixed fleet only the most valuable shifts of each day keep their tech, the services
+    // of the others are placed in them where they fit. Pinned services stay off the schedule.
+    const fleet = options.fleetSize
+      ? limitFleet(condensedShifts, options.fleetSize, lockedDays.shifts)
+      : { shifts: condensedShifts, droppedServices: [] }
+    const fleetDroppedIds = new Set(fleet.droppedServices.map(service => service.id))
+    const canLeaveShift = service => !service.tech?.enforced && !service.pinnedStart
+    if (options.fleetSize) {
+      console.log('Fixed fleet:', {
+        fleetSize: options.fleetSize,
+        shifts: fleet.shifts.length,
+        droppedServices: fleet.droppedServices.length,
+      })
+    }
+
+    // Improve the greedy shifts with local search, within the time budget
+    // Services that lost their shift for want of a qualified tech are placed with one if possible
+    const {
+      shifts: optimizedShifts,
+      improvement,
+      mealBreakServices,
+      constraintTraces: placementTraces,
+    } = improveShifts(fleet.shifts, {
+      getDistance: (service1, service2) => getDistance(service1, service2, distanceMatrix),
+      travelTime: driveTimes,
+      unassignedServices: [
+        ...assignment.unassignedServices,
+        ...fleet.droppedServices.filter(canLeaveShift),
+      ],
+      // A fixed fleet has no spare shift to keep a broken one as built
+      leaveUnplaceable: Boolean(options.fleetSize),
+      weights,
+      timeBudgetMs: options.improvementTimeMs,
+      onProgress: fraction =>
+        reportProgress('improve', 'Improving routes...', 0.65 + fraction * 0.3),
+    })
+    console.log('Local search improvement:', improvement)
+    const builtShifts = [...optimizedShifts, ...lockedDays.shifts]
+
+    // Process services after condensing, maintaining tech assignments, with the first and last
+    // legs of each shift on its first and last service
+    const builtServices = builtShifts.flatMap(
+      shift => addDepotLegs(shift, distanceMatrix).services,
+    )
+
+    // Meal breaks are returned as blocks of their own, with the tech who takes them
+    const builtMealBreaks = builtShifts
+      .filter(shift => shift.mealBreak)
+      .map(shift => ({
+        id: `meal-break-${shift.techId}-${shift.mealBreak.start}`,
+        techId: shift.techId,
+        techName: shift.techName,
+        cluster: shift.cluster,
+        start: shift.mealBreak.start,
+        end: shift.mealBreak.end,
+      }))
+
+    // Certify the result against every scheduling rule before it leaves the worker, a service
+    // that still breaks one is taken off the schedule rather than published with it
+    const traceContext = {
+      getDistance: (a, b) => getDistance(a, b, distanceMatrix),
+      travelTime: driveTimes,
+    }
+    const {
+      scheduledServices: finalServices,
+      mealBreaks,
+      validation,
+      removed,
+    } = repairSchedule(
+      { scheduledServices: builtServices, mealBreaks: builtMealBreaks },
+      { ...traceContext, roster },
+    )
+    if (removed.length) {
+      console.warn(
+        'Services taken off for schedule violations:',
+        removed.map(({ service, rule }) => `${service.id} (${rule})`),
+      )
+    }
+    const removedIds = new Set(removed.map(({ service }) => service.id))
+    const improvedShifts = builtShifts
+      .map(shift => ({
+        ...shift,
+        services: shift.services.filter(service => !removedIds.has(service.id)),
+      }))
+      .filter(shift => shift.services.length)
 
     // Verify tech assignments are preserved
     const techCounts = {}
     finalServices.forEach(service => {
       const techId = service.techId
       techCounts[techId] = (techCounts[techId] || 0) + 1
-      // Ensure cluster matches tech number
-      service.cluster = parseInt(techId.replace('Tech ', ''))
     })
     console.log('Services per tech after condensing:', techCounts)
 
     // Group services by tech for final processing
+    reportProgress('finalize', 'Finalizing schedule...', 0.95)
     const servicesByTech = {}
     finalServices.forEach(service => {
       if (!servicesByTech[service.techId]) {
@@ -931,18 +1736,23 @@ function processServices(services, distanceMatrix) {
       // Update sequence numbers within each tech's group
       techServices.forEach((service, index) => {
         service.sequenceNumber = index + 1
+        // Minutes past its window, so dispatch can see who will be late
+        service.lateMinutes = Math.round(getLateMinutes(service, service.start))
         if (index > 0) {
           const prevService = techServices[index - 1]
           service.previousService = prevService.id
           service.previousCompany = prevService.company
           const distance = getDistance(prevService, service, distanceMatrix)
           service.distanceFromPrevious = distance || 0
-          service.travelTimeFromPrevious = calculateTravelTime(distance)
+          service.travelTimeFromPrevious =
+            calculateTravelTime(distance, { from: prevService, to: service })
+          service.crossingFromPrevious = getLegCrossing(prevService, service)
         } else {
           service.previousService = null
           service.previousCompany = null
           service.distanceFromPrevious = 0
           service.travelTimeFromPrevious = 0
+          service.crossingFromPrevious = null
         }
       })
     })
@@ -950,22 +1760,89 @@ function processServices(services, distanceMatrix) {
     // Flatten back to array
     const finalProcessedServices = Object.values(servicesByTech).flat()
 
+    const overtimeByTech = new Map()
+    for (const shift of improvedShifts) {
+      const overtimeMinutes = getShiftOvertimeMinutes(shift, distanceMatrix)
+      overtimeByTech.set(shift.techId, (overtimeByTech.get(shift.techId) || 0) + overtimeMinutes)
+    }
+
+    // Services local search could not place lost their shift to a missing qualified tech, to
+    // the fleet size or to the meal break of the shift they were on
+    const placedServiceIds = new Set(finalProcessedServices.map(service => service.id))
+    const unscheduledReasons = {
+      ...lockReasons,
+      ...skillReasons,
+      ...lockedDays.unscheduledReasons,
+      ...pinned.unscheduledReasons,
+      ...Object.fromEntries(
+        [...assignment.unassignedServices, ...fleet.droppedServices]
+          .filter(service => !placedServiceIds.has(service.id))
+          .map(service => [
+            service.id,
+            fleetDroppedIds.has(service.id) ? 'FLEET_LIMIT' : 'QUALIFIED_TECH_UNAVAILABLE',
+          ]),
+      ),
+      ...Object.fromEntries(
+        mealBreakServices.map(service => [service.id, 'NO_ROOM_FOR_MEAL_BREAK']),
+      ),
+      ...Object.fromEntries(
+        removed.map(({ service, rule }) => [service.id, `SCHEDULE_VIOLATION_${rule}`]),
+      ),
+    }
+
+    // Services left out when they were last tried in the shifts of their day keep the trace of
+    // what blocked each shift, those lost without a reason get the one that blocked the most.
+    // Services taken off for a violation had a shift, the violation says why they lost it.
+    const unplacedServices = preparedServices.filter(service => !placedServiceIds.has(service.id))
+    const constraintTraces = {}
+    for (const service of unplacedServices) {
+      if (removedIds.has(service.id)) continue
+      const trace = placementTraces[service.id] || getPlacementTrace(service)
+      if (!trace) continue
+      constraintTraces[service.id] = trace
+      unscheduledReasons[service.id] ??= getMainConstraint(trace)
+    }
+
+    // Score the finished schedule with the same objective it was built with
+    const objective = getObjectiveBreakdown(
+      {
+        ...measureSchedule(improvedShifts, traceContext),
+        // Each service counts with the weight of its priority tier
+        unassignedServices: unplacedServices.reduce(
+          (sum, service) => sum + getPriorityWeight(service),
+          0,
+        ),
+      },
+      weights,
+    )
+
     return {
       scheduledServices: finalProcessedServices,
+      mealBreaks,
+      unscheduledReasons,
+      constraintTraces,
+      validation,
+      // The violation each service taken off the schedule broke
+      repairs: removed.map(({ service, violation }) => ({ serviceId: service.id, violation })),
+      objective,
+      techState: exportTechState(finalProcessedServices),
       clusteringInfo: {
-        algorithm: 'shifts',
+        algorithm,
         performanceDuration: Number.parseInt(performance.now() - startTime),
         connectedPointsCount: finalProcessedServices.length,
         totalClusters: clusters.size,
         clusterDistribution: Array.from(clusters).map(c => ({
           [c]: finalProcessedServices.filter(s => s.cluster === c).length,
         })),
+        improvement,
         techAssignments: Object.fromEntries(
           Array.from(new Set(finalProcessedServices.map(s => s.techId))).map(techId => [
             techId,
             {
+              name: finalProcessedServices.find(s => s.techId === techId).techName,
               services: finalProcessedServices.filter(s => s.techId === techId).length,
-              startTime: techStartTimes.get(techId),
+              startTime: techHistory.get(techId)?.typicalStart,
+              overtimeMinutes: Math.round(overtimeByTech.get(techId) || 0),
             },
           ]),
         ),
@@ -989,7 +1866,8 @@ function findMergeCandidates(shift, shiftsByTime, i, distanceMatrix) {
       const service = s.services[0]
       const earliestPossibleTime = new Date(service.time.range[0]) // Use earliest possible time
       const distance = getDistance(lastService, service, distanceMatrix)
-      const travelTime = distance <= 0.2 ? 0 : calculateTravelTime(distance)
+      const travelTime =
+        distance <= 0.2 ? 0 : calculateTravelTime(distance, { from: lastService, to: service })
       
       // Check if this service could start after last service ends + travel time
       const earliestAfterTravel = new Date(lastEnd.getTime() + travelTime * 60 * 1000)
@@ -1021,9 +1899,17 @@ function calculateTimeCompatibilityScore(shift1, shift2) {
   return Math.max(0, 1 - gap / 8) // Linear decrease over 8 hours
 }
 
-function canMergeShifts(shift1, shift2, distanceMatrix) {
+// The merged shift keeps the first shift's tech, getTech finds them by code
+function canMergeShifts(shift1, shift2, distanceMatrix, getTech) {
+  // Services of a pinned shift keep their tech and times
+  if (shift2.pinnedTechId) return false
+  if (!isOnShiftDay(shift2, shift1.services[0].start)) return false
+
+  // The merged shift keeps the first shift's tech, who has to be qualified for all of it
+  if (!canTechServe(shift1.techId, [...shift1.services, ...shift2.services])) return false
+
   // Don't merge if combined services would exceed max per tech
-  if (shift1.services.length + shift2.services.length > MAX_SERVICES_PER_TECH) return false
+  if (shift1.services.length + shift2.services.length > MAX_SERVICES_PER_SHIFT) return false
 
   // Calculate travel time between shifts
   const lastService = shift1.services[shift1.services.length - 1]
@@ -1035,7 +1921,10 @@ function canMergeShifts(shift1, shift2, distanceMatrix) {
     7 : HARD_MAX_RADIUS_MILES
   if (distance > maxAllowedDistance) return false
   
-  const travelTime = distance <= 0.2 ? 0 : calculateTravelTime(distance)
+  const travelTime = distance <= 0.2 ? 0 : calculateTravelTime(distance, {
+    from: lastService,
+    to: firstNewService,
+  })
   
   // Add buffer for travel time and minimum required gap
   const requiredGap = Math.max(travelTime * 60 * 1000, MIN_BUFFER_BETWEEN_SERVICES)
@@ -1045,11 +1934,9 @@ function canMergeShifts(shift1, shift2, distanceMatrix) {
   
   // Check if second shift starts after required gap from first shift
   if (shift2Start >= earliestPossibleStart) {
-    // Check if total shift duration would be reasonable
-    const shift1Start = new Date(shift1.services[0].start)
-    const shift2End = new Date(shift2.services[shift2.services.length - 1].end)
-    const totalDuration = (shift2End - shift1Start) / (60 * 60 * 1000)
-    if (totalDuration > HOURS_PER_SHIFT) return false
+    // The merged day has to fit the tech's own hours, drives from and back home included
+    const mergedServices = [...shift1.services, ...shift2.services]
+    if (!fitsTechDay(getTech(shift1.techId), mergedServices, distanceMatrix)) return false
 
     // More aggressive merging for shifts with few services
     if (shift1.services.length < 5 || 
@@ -1059,7 +1946,6 @@ function canMergeShifts(shift1, shift2, distanceMatrix) {
     }
 
     // Check if services would fit within their time windows after merge
-    const mergedServices = [...shift1.services]
     let currentTime = shift1End
     
     for (const service of shift2.services) {
@@ -1090,7 +1976,10 @@ function canMergeShifts(shift1, shift2, distanceMatrix) {
           7 : HARD_MAX_RADIUS_MILES
         if (serviceDist > maxServiceDist) continue
         
-        const serviceTravel = serviceDist <= 0.2 ? 0 : calculateTravelTime(serviceDist)
+        const serviceTravel = serviceDist <= 0.2 ? 0 : calculateTravelTime(serviceDist, {
+          from: service1,
+          to: service2,
+        })
         const serviceGap = Math.max(serviceTravel * 60 * 1000, MIN_BUFFER_BETWEEN_SERVICES)
 
         const start1 = new Date(service1.start)
@@ -1111,7 +2000,7 @@ function canMergeShifts(shift1, shift2, distanceMatrix) {
   return false
 }
 
-function mergeShifts(shift1, shift2, distanceMatrix) {
+function mergeShifts(shift1, shift2, distanceMatrix, getTech) {
   // Validate shifts have services
   if (!shift1?.services?.length || !shift2?.services?.length) {
     return null
@@ -1127,7 +2016,8 @@ function mergeShifts(shift1, shift2, distanceMatrix) {
   
   // Calculate travel time between shifts
   const distance = getDistance(lastService, firstService, distanceMatrix)
-  const travelTime = distance <= 0.2 ? 0 : calculateTravelTime(distance)
+  const travelTime =
+    distance <= 0.2 ? 0 : calculateTravelTime(distance, { from: lastService, to: firstService })
   
   // Calculate earliest possible start for first service of shift2
   const earliestStart = new Date(lastService.end)
@@ -1149,7 +2039,7 @@ function mergeShifts(shift1, shift2, distanceMatrix) {
   for (const service of shift2.services) {
     const prevService = processedServices[processedServices.length - 1]
     const dist = getDistance(prevService, service, distanceMatrix)
-    const travel = dist <= 0.2 ? 0 : calculateTravelTime(dist)
+    const travel = dist <= 0.2 ? 0 : calculateTravelTime(dist, { from: prevService, to: service })
     const minGap = Math.max(travel * 60 * 1000, MIN_BUFFER_BETWEEN_SERVICES)
     
     // Calculate start time based on previous service plus required gap
@@ -1169,6 +2059,7 @@ function mergeShifts(shift1, shift2, distanceMatrix) {
     processedServices.push({
       ...service,
       techId: techId,
+      techName: shift1.techName,
       cluster: cluster,
       sequenceNumber: processedServices.length + 1,
       start: formatDate(serviceStart),
@@ -1185,7 +2076,7 @@ function mergeShifts(shift1, shift2, distanceMatrix) {
     const service = processedServices[i]
     const nextService = processedServices[i + 1]
     const dist = getDistance(service, nextService, distanceMatrix)
-    const travel = dist <= 0.2 ? 0 : calculateTravelTime(dist)
+    const travel = dist <= 0.2 ? 0 : calculateTravelTime(dist, { from: service, to: nextService })
     const minGap = Math.max(travel * 60 * 1000, MIN_BUFFER_BETWEEN_SERVICES)
     
     const gap = new Date(nextService.start) - new Date(service.end)
@@ -1194,10 +2085,8 @@ function mergeShifts(shift1, shift2, distanceMatrix) {
     }
   }
 
-  // Calculate total shift duration after merge
-  const mergedStart = new Date(processedServices[0].start)
-  const mergedEnd = new Date(processedServices[processedServices.length - 1].end)
-  if ((mergedEnd - mergedStart) > MAX_SHIFT_DURATION_MS) {
+  // Services of the second shift may have moved later, so check the tech's hours again
+  if (!fitsTechDay(getTech(techId), processedServices, distanceMatrix)) {
     return null
   }
 
@@ -1208,7 +2097,7 @@ function mergeShifts(shift1, shift2, distanceMatrix) {
   }
 }
 
-function tryMergeShifts(shifts, distanceMatrix) {
+function tryMergeShifts(shifts, distanceMatrix, getTech) {
   // Validate input
   if (!Array.isArray(shifts) || !shifts.length) {
     return false
@@ -1237,7 +2126,7 @@ function tryMergeShifts(shifts, distanceMatrix) {
           if (shift2.mergeAttempts >= MAX_MERGE_ATTEMPTS) return false
           
           // Check if merge is possible
-          return canMergeShifts(shift1, shift2, distanceMatrix)
+          return canMergeShifts(shift1, shift2, distanceMatrix, getTech)
         })
         .sort((a, b) => {
           // First prefer shifts with the same tech
@@ -1259,7 +2148,7 @@ function tryMergeShifts(shifts, distanceMatrix) {
 
       const bestCandidate = candidates[0]
       if (bestCandidate) {
-        const mergedShift = mergeShifts(shift1, bestCandidate, distanceMatrix)
+        const mergedShift = mergeShifts(shift1, bestCandidate, distanceMatrix, getTech)
         if (mergedShift) {
           // Update the original shift in the main shifts array
           const mainIndex = shifts.indexOf(shift1)
@@ -1289,7 +2178,7 @@ function tryMergeShifts(shifts, distanceMatrix) {
         if (shift2.mergeAttempts >= MAX_MERGE_ATTEMPTS) return false
         
         // Check if merge is possible
-        return canMergeShifts(shift1, shift2, distanceMatrix)
+        return canMergeShifts(shift1, shift2, distanceMatrix, getTech)
       })
       .sort((a, b) => {
         // First prefer shifts with the same tech
@@ -1312,7 +2201,7 @@ function tryMergeShifts(shifts, distanceMatrix) {
     // Try to merge with best candidate
     const bestCandidate = candidates[0]
     if (bestCandidate) {
-      const mergedShift = mergeShifts(shift1, bestCandidate, distanceMatrix)
+      const mergedShift = mergeShifts(shift1, bestCandidate, distanceMatrix, getTech)
       if (mergedShift) {
         // Update shifts array
         const mainIndex = shifts.indexOf(shift1)
@@ -1375,7 +2264,9 @@ function clusterServices(services, distanceMatrix) {
   return shiftsByTime
 }
 
-function tryFitServiceInGap(service, gap, shift, distanceMatrix) {
+// Place a service in a gap of a shift, null when it does not fit. The constraint that kept it out
+// is pushed to blockedBy when one is given.
+function tryFitServiceInGap(service, gap, shift, distanceMatrix, weights, blockedBy = []) {
   const prevService = shift.services
     .filter(s => new Date(s.end).getTime() <= gap.start.getTime())
     .sort((a, b) => new Date(b.end).getTime() - new Date(a.end).getTime())[0]
@@ -1388,10 +2279,17 @@ function tryFitServiceInGap(service, gap, shift, distanceMatrix) {
   const prevDistance = prevService ? getDistance(prevService, service, distanceMatrix) : 0
   const nextDistance = nextService ? getDistance(service, nextService, distanceMatrix) : 0
 
-  if (prevDistance > HARD_MAX_RADIUS_MILES || nextDistance > HARD_MAX_RADIUS_MILES) return null
+  if (prevDistance > HARD_MAX_RADIUS_MILES || nextDistance > HARD_MAX_RADIUS_MILES) {
+    blockedBy.push(CONSTRAINTS.RADIUS)
+    return null
+  }
 
-  const prevTravelTime = calculateTravelTime(prevDistance)
-  const nextTravelTime = calculateTravelTime(nextDistance)
+  const prevTravelTime = calculateTravelTime(prevDistance, { from: prevService, to: service })
+  const nextTravelTime = calculateTravelTime(nextDistance, {
+    at: gap.end,
+    from: service,
+    to: nextService,
+  })
 
   // Calculate earliest start after previous service plus travel time
   const earliestStart = prevService
@@ -1403,9 +2301,9 @@ function tryFitServiceInGap(service, gap, shift, distanceMatrix) {
     ? new Date(new Date(nextService.start).getTime() - nextTravelTime * 60000)
     : gap.end
 
-  // Get service's allowed time window
+  // Get service's allowed time window, running late up to its tolerance
   const windowStart = new Date(service.time.range[0])
-  const windowEnd = new Date(service.time.range[1])
+  const windowEnd = new Date(getLatestStartMs(service))
 
   // Find best start time that respects both travel time and service window
   const serviceStart = new Date(Math.max(
@@ -1414,7 +2312,13 @@ function tryFitServiceInGap(service, gap, shift, distanceMatrix) {
   ))
 
   // If we can't start within the service's time window, reject this placement
-  if (serviceStart > windowEnd) return null
+  const blockedByTiming = prevTravelTime || nextTravelTime
+    ? CONSTRAINTS.TRAVEL_TIME
+    : CONSTRAINTS.TIME_WINDOW
+  if (serviceStart > windowEnd) {
+    blockedBy.push(blockedByTiming)
+    return null
+  }
 
   const serviceEnd = new Date(serviceStart.getTime() + service.time.duration * 60000)
 
@@ -1433,10 +2337,12 @@ function tryFitServiceInGap(service, gap, shift, distanceMatrix) {
           prevTravelTime,
           shift.services,
           [],
-          distanceMatrix
+          distanceMatrix,
+          weights
         )
       }
     }
+    blockedBy.push(blockedByTiming)
     return null
   }
 
@@ -1450,12 +2356,13 @@ function tryFitServiceInGap(service, gap, shift, distanceMatrix) {
       prevTravelTime,
       shift.services,
       [],
-      distanceMatrix
+      distanceMatrix,
+      weights
     )
   }
 }
 
-function condenseShift(shift, distanceMatrix) {
+function condenseShift(shift, tech, distanceMatrix) {
   if (!shift?.services?.length) return shift
   
   // Create mutable copies of services
@@ -1483,6 +2390,21 @@ function condenseShift(shift, distanceMatrix) {
   const firstHalf = mutableServices.filter(s => s.startTime <= midpoint)
   const secondHalf = mutableServices.filter(s => s.startTime > midpoint)
 
+  // The meal break stays where it was placed, the drive to the service after it starts once
+  // the break is over
+  const mealBreakStart = shift.mealBreak && new Date(shift.mealBreak.start)
+  const mealBreakEnd = shift.mealBreak && new Date(shift.mealBreak.end)
+  function overlapsMealBreak(service, startTime, endTime, otherServices) {
+    if (!shift.mealBreak || endTime <= mealBreakStart) return false
+    const serviceBeforeBreak = otherServices
+      .filter(other => other !== service && other.endTime <= mealBreakStart)
+      .sort((a, b) => b.endTime - a.endTime)[0]
+    const requiredGap = serviceBeforeBreak
+      ? getRequiredGap(serviceBeforeBreak, service, distanceMatrix)
+      : 0
+    return startTime < new Date(mealBreakEnd.getTime() + requiredGap)
+  }
+
   // Helper function to check for overlaps
   function wouldOverlap(service1, service2) {
     const start1 = service1.startTime
@@ -1491,7 +2413,11 @@ function condenseShift(shift, distanceMatrix) {
     const end2 = service2.endTime
     
     const distance = getDistance(service1, service2, distanceMatrix)
-    const travelTime = calculateTravelTime(distance)
+    const travelTime = calculateTravelTime(distance, {
+      at: end1,
+      from: service1,
+      to: service2,
+    })
     const requiredGap = Math.max(
       travelTime * 60 * 1000,
       MIN_BUFFER_BETWEEN_SERVICES
@@ -1514,12 +2440,19 @@ function condenseShift(shift, distanceMatrix) {
       endTime: newEndTime
     }
 
+    // Visits pinned to their preferred time stay put
+    if (service.pinnedStart && newStartTime.getTime() !== new Date(service.pinnedStart).getTime()) {
+      return false
+    }
+
     // Check time window constraints
     if (newStartTime < new Date(service.time.range[0]) || 
         newStartTime > new Date(service.time.range[1])) {
       return false
     }
 
+    if (overlapsMealBreak(service, newStartTime, newEndTime, otherServices)) return false
+
     // Check for overlaps with all other services
     return !otherServices.some(other => 
       other !== service && wouldOverlap(serviceWithNewTimes, other)
@@ -1541,7 +2474,11 @@ function condenseShift(shift, distanceMatrix) {
       
       // Calculate required gap
       const distance = getDistance(previousService, currentService, distanceMatrix)
-      const travelTime = calculateTravelTime(distance)
+      const travelTime = calculateTravelTime(distance, {
+        at: previousService.endTime,
+        from: previousService,
+        to: currentService,
+      })
       const requiredGap = Math.max(
         travelTime * 60 * 1000,
         MIN_BUFFER_BETWEEN_SERVICES
@@ -1577,7 +2514,11 @@ function condenseShift(shift, distanceMatrix) {
       
       // Calculate required gap
       const distance = getDistance(currentService, nextService, distanceMatrix)
-      const travelTime = calculateTravelTime(distance)
+      const travelTime = calculateTravelTime(distance, {
+        at: currentService.endTime,
+        from: currentService,
+        to: nextService,
+      })
       const requiredGap = Math.max(
         travelTime * 60 * 1000,
         MIN_BUFFER_BETWEEN_SERVICES
@@ -1609,7 +2550,11 @@ function condenseShift(shift, distanceMatrix) {
     if (wouldOverlap(prevService, currentService)) {
       // Calculate earliest valid start time for current service
       const distance = getDistance(prevService, currentService, distanceMatrix)
-      const travelTime = calculateTravelTime(distance)
+      const travelTime = calculateTravelTime(distance, {
+        at: prevService.endTime,
+        from: prevService,
+        to: currentService,
+      })
       const requiredGap = Math.max(
         travelTime * 60 * 1000,
         MIN_BUFFER_BETWEEN_SERVICES
@@ -1661,7 +2606,8 @@ function condenseShift(shift, distanceMatrix) {
       service.previousCompany = prevService.company
       const distance = getDistance(prevService, service, distanceMatrix)
       service.distanceFromPrevious = distance || 0
-      service.travelTimeFromPrevious = calculateTravelTime(distance)
+      service.travelTimeFromPrevious =
+        calculateTravelTime(distance, { from: prevService, to: service })
     } else {
       service.previousService = null
       service.previousCompany = null
@@ -1671,7 +2617,7 @@ function condenseShift(shift, distanceMatrix) {
   })
 
   // Return updated shift with preserved tech and cluster info
-  return {
+  const condensedShift = {
     ...shift,
     services: condensedServices.map(service => ({
       ...service,
@@ -1679,6 +2625,15 @@ function condenseShift(shift, distanceMatrix) {
       cluster: shift.cluster
     }))
   }
+
+  // Condensing moves the start of the shift and the break window with it, keep the shift as it
+  // was if its break no longer fits
+  if (shift.mealBreak) {
+    const mealBreak = placeMealBreak(condensedShift, tech, distanceMatrix)
+    if (!mealBreak) return shift
+    condensedShift.mealBreak = mealBreak
+  }
+  return condensedShift
 }
 
 function initializeShifts(services) {
@@ -1694,7 +2649,7 @@ function initializeShifts(services) {
   // First, group services by date
   const servicesByDate = new Map()
   services.forEach(service => {
-    const date = dayjs(service.time.range[0]).format('YYYY-MM-DD')
+    const date = getOperationalDate(service.time.range[0])
     if (!servicesByDate.has(date)) {
       servicesByDate.set(date, [])
     }
@@ -1872,7 +2827,8 @@ function initializeShifts(services) {
 }
 
 // Handle messages from the main thread
-parentPort.on('message', async ({ services, distanceMatrix }) => {
+parentPort.on('message', async message => {
+  const { services, distanceMatrix, roster = [], options = {}, techState } = message
   try {
     console.log('Worker received services:', services.length)
     console.log(
@@ -1882,7 +2838,9 @@ parentPort.on('message', async ({ services, distanceMatrix }) => {
       distanceMatrix[0]?.length,
     )
 
-    const result = await processServices(services, distanceMatrix)
+    console.log('Roster technicians:', roster.length)
+
+    const result = await processServices(services, distanceMatrix, roster, options, techState)
     console.log('Worker processed services:', result.scheduledServices.length)
     console.log(
       'Services with clusters:',
@@ -1896,7 +2854,7 @@ parentPort.on('message', async ({ services, distanceMatrix }) => {
       error: error.message,
       scheduledServices: services.map(service => ({ ...service, cluster: -1 })),
       clusteringInfo: {
-        algorithm: 'shifts',
+        algorithm: options.algorithm || DEFAULT_SCHEDULING_ALGORITHM,
         performanceDuration: 0,
         connectedPointsCount: 0,
         totalClusters: 0,
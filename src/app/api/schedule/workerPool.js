@@ -0,0 +1,115 @@
+// src/app/api/schedule/workerPool.js
+import os from 'node:os'
+import path from 'node:path'
+import { Worker } from 'node:worker_threads'
+
+const WORKER_PATH = path.resolve(process.cwd(), 'src/app/api/schedule/worker.js')
+
+// One scheduling worker per CPU unless SCHEDULE_WORKER_POOL_SIZE says otherwise
+export const WORKER_POOL_SIZE =
+  Number(process.env.SCHEDULE_WORKER_POOL_SIZE) > 0
+    ? Math.floor(Number(process.env.SCHEDULE_WORKER_POOL_SIZE))
+    : os.availableParallelism?.() || os.cpus().length || 1
+
+// Shared by every route in this server process so the pool survives module reloads
+const pool =
+  globalThis.scheduleWorkerPool ||
+  (globalThis.scheduleWorkerPool = { idle: [], busy: 0, queue: [] })
+
+function createWorker() {
+  const worker = new Worker(WORKER_PATH)
+  // Idle workers should not keep the process alive on their own
+  worker.unref()
+  // A worker that dies while idle is dropped, the next task starts a new one
+  worker.once('exit', () => {
+    const index = pool.idle.indexOf(worker)
+    if (index !== -1) pool.idle.splice(index, 1)
+  })
+  return worker
+}
+
+// Hand queued tasks to idle workers, starting new ones while below the pool size
+function dispatch() {
+  while (pool.queue.length && (pool.idle.length || pool.busy < WORKER_POOL_SIZE)) {
+    const task = pool.queue.shift()
+    task.signal?.removeEventListener('abort', task.handleQueuedAbort)
+    const worker = pool.idle.pop() || createWorker()
+    pool.busy++
+    runTask(worker, task)
+  }
+}
+
+function runTask(worker, task) {
+  const { message, onProgress, signal, timeoutMs, resolve, reject } = task
+  let timeout = null
+
+  // A worker stuck on a cancelled or timed out run cannot be interrupted, so it is replaced
+  const finish = ({ settle, value, reusable }) => {
+    clearTimeout(timeout)
+    signal?.removeEventListener('abort', handleAbort)
+    worker.off('message', handleMessage)
+    worker.off('error', handleError)
+    worker.off('exit', handleExit)
+    pool.busy--
+    if (reusable) {
+      worker.unref()
+      pool.idle.push(worker)
+    } else {
+      worker.terminate()
+    }
+    settle(value)
+    dispatch()
+  }
+  const handleAbort = () => finish({ settle: reject, value: signal.reason })
+  const handleError = error => finish({ settle: reject, value: error })
+  // Exiting before it answers, crashed or not, leaves nothing to wait for
+  const handleExit = code =>
+    finish({ settle: reject, value: new Error(`Worker exited with code ${code} before finishing`) })
+  const handleMessage = data => {
+    if (data?.type === 'progress') {
+      onProgress?.(data)
+      return
+    }
+    finish({ settle: resolve, value: data, reusable: true })
+  }
+
+  if (timeoutMs) {
+    timeout = setTimeout(
+      () => finish({ settle: reject, value: new Error('Worker timed out') }),
+      timeoutMs,
+    )
+  }
+  signal?.addEventListener('abort', handleAbort, { once: true })
+  worker.ref()
+  worker.on('message', handleMessage)
+  worker.on('error', handleError)
+  worker.on('exit', handleExit)
+
+  worker.postMessage(message)
+}
+
+/**
+ * Run one scheduling message on a pooled worker
+ * Tasks wait in order for a free worker. Progress messages from the worker are passed to
+ * onProgress, the first other message is the result. The run is rejected when the signal aborts
+ * or after timeoutMs, if one is given; the timeout only counts once the task has a worker.
+ * @param {Object} message - { services, distanceMatrix, roster, options } for the worker
+ * @param {Object} [control] - { onProgress, signal, timeoutMs }
+ * @returns {Promise<Object>} The worker's result
+ */
+export function runPooledWorker(message, { onProgress, signal, timeoutMs } = {}) {
+  signal?.throwIfAborted()
+
+  return new Promise((resolve, reject) => {
+    const task = { message, onProgress, signal, timeoutMs, resolve, reject }
+    // Cancelled while still waiting for a worker
+    task.handleQueuedAbort = () => {
+      pool.queue.splice(pool.queue.indexOf(task), 1)
+      reject(signal.reason)
+    }
+    signal?.addEventListener('abort', task.handleQueuedAbort, { once: true })
+
+    pool.queue.push(task)
+    dispatch()
+  })
+}
@@ -3,6 +3,7 @@ import { getPool } from '@/lib/db.js'
 import { capitalize } from '@/app/utils/capitalize'
 import { dayjsInstance as dayjs, convertToETTime } from '@/app/utils/dayjs'
 import { readFromDiskCache, writeToDiskCache } from '@/app/utils/diskCache'
+import { formatTechName } from '@/app/utils/roster'
 import { parseTimeRange } from '@/app/utils/timeRange'
 import { NextResponse } from 'next/server'
 import { promises as fs } from 'node:fs'
@@ -82,12 +83,6 @@ async function getEnforcementState() {
 }
 
 function transformServiceSetup(setup, enforcementState) {
-  const formatTechName = (fname, lname) => {
-    if (!fname) return ''
-    if (!lname) return fname
-    return `${fname} ${lname.charAt(0)}.`
-  }
-
   const formatCompanyName = (company, fname, lname) => {
     if (company?.trim()) return company // capitalize(company)
     if (fname && lname) return `${capitalize(fname)} ${capitalize(lname)}`
@@ -120,6 +115,7 @@ function transformServiceSetup(setup, enforcementState) {
       address2: `${capitalize(setup.City)}, ${setup.State} ${setup.Zip}`,
     },
     company: formatCompanyName(setup.Company, setup.FName, setup.LName),
+    code: setup.ServiceCode?.trim() || null,
     schedule: {
       code: setup.ScheduleCode,
       string: setup.ScheduleString,
@@ -1,7 +1,21 @@
-import { HARD_MAX_RADIUS_MILES, NUM_TECHS, SHOW_ONLY_BOROS, TECH_SPEED_MPH } from '@/app/utils/constants'
+import { getAdHocServices } from '@/app/actions/adHocActions'
+import { getLatenessTolerances } from '@/app/actions/latenessActions'
+import { getPriorityOverrides } from '@/app/actions/priorityActions'
+import { getTravelSpeedProfile } from '@/app/actions/travelSpeedActions'
+import { createTravelTime } from '@/app/map/utils/travelTime'
+import { getBorough } from '@/app/utils/boroughs'
+import { HARD_MAX_RADIUS_MILES, NUM_TECHS, SHOW_ONLY_BOROS } from '@/app/utils/constants'
 import { getDefaultDateRange } from '@/app/utils/dates'
-import { dayjsInstance as dayjs } from '@/app/utils/dayjs'
+import {
+  addBusinessDays,
+  businessTimeOn,
+  dayjsInstance as dayjs,
+  startOfDay,
+  startOfOperationalDay,
+  toBusinessClock,
+} from '@/app/utils/dayjs'
 import { isPointInNYC } from '@/app/utils/geo'
+import { getServicePriority } from '@/app/utils/priority'
 import { createJsonResponse } from '@/app/utils/response'
 import { parseTime } from '@/app/utils/timeRange'
 import axios from 'axios'
@@ -29,15 +43,16 @@ function createServicesForRange(setup, startDate, endDate) {
     // Don't return early, let it continue
   }
 
-  // Log when service occurs
-  for (let date = start; date.isBefore(end); date = date.add(1, 'day')) {
-    if (shouldServiceOccur(setup.schedule.string, date)) {
+  // Log when service occurs, starting at midnight so early morning services in range are included.
+  // Days and times of day are business time zone wall clock times, also across clock changes.
+  for (let date = startOfDay(start); date.isBefore(end); date = addBusinessDays(date, 1)) {
+    if (shouldServiceOccur(setup.schedule.string, toBusinessClock(date))) {
       // Create the service's time window based on its original range
       const rangeStart = setup.time.range[0] !== null
-        ? date.startOf('day').add(setup.time.range[0], 'seconds')
+        ? businessTimeOn(date, setup.time.range[0])
         : null
       const rangeEnd = setup.time.range[1] !== null
-        ? date.startOf('day').add(setup.time.range[1], 'seconds')
+        ? businessTimeOn(date, setup.time.range[1])
         : null
 
       // Skip if either range bound is invalid
@@ -53,7 +68,13 @@ function createServicesForRange(setup, startDate, endDate) {
         continue
       }
 
-      const preferred = date.startOf('day').add(parsedPreferredTime, 'seconds')
+      // Overnight windows run past midnight, so an early morning preferred time is the next day
+      const isOvernight = setup.time.range[1] > 24 * 60 * 60
+      const preferredSeconds =
+        isOvernight && parsedPreferredTime < setup.time.range[0]
+          ? parsedPreferredTime + 24 * 60 * 60
+          : parsedPreferredTime
+      const preferred = businessTimeOn(date, preferredSeconds)
       const duration = Math.round(setup.time.duration / 15) * 15
 
       // Validate duration
@@ -72,8 +93,11 @@ function createServicesForRange(setup, startDate, endDate) {
         
         services.push({
           ...serviceWithoutOmittedFields,
-          id: `${setup.id}-${date.format('YYYY-MM-DD')}`,
-          date: date.toDate(),
+          // How often the visit recurs, without the schedule string itself
+          schedule: { code: schedule.code, timesPerYear: schedule.timesPerYear },
+          id: `${setup.id}-${toBusinessClock(date).format('YYYY-MM-DD')}`,
+          // Night routes are planned on the day they start, not the day they end
+          date: startOfOperationalDay(rangeStart).toDate(),
           start: scheduledStart.toDate(),
           end: scheduledEnd.toDate(),
           time: {
@@ -150,10 +174,19 @@ export async function GET(request) {
 
   try {
     const serviceSetups = await fetchServiceSetups()
-    // Generate services for the date range
+    const priorityOverrides = await getPriorityOverrides()
+    const latenessTolerances = await getLatenessTolerances()
+    // Generate services for the date range, with the priority of their setup and how late it
+    // accepts a visit when a dispatcher set that
     let services = serviceSetups.flatMap(setup => {
       const generatedServices = createServicesForRange(setup, startDate, endDate)
-      return generatedServices
+      return generatedServices.map(service => ({
+        ...service,
+        priority: getServicePriority(service, priorityOverrides[setup.id]),
+        ...(latenessTolerances[setup.id] !== undefined && {
+          time: { ...service.time, lateTolerance: latenessTolerances[setup.id] },
+        }),
+      }))
     })
 
     console.log('Total services before any filtering:', services.length)
@@ -324,12 +357,30 @@ export async function GET(request) {
       filteredServices = servicesWithoutOverlaps
     }
 
+    // Emergency and one-off visits dispatchers added come with the visits of the setups
+    const adHocServices = Object.values(await getAdHocServices()).filter(service => {
+      const windowStart = dayjs(service.time.range[0])
+      return !windowStart.isBefore(startDate) && windowStart.isBefore(endDate)
+    })
+    filteredServices.push(...adHocServices)
+    console.log('Ad-hoc services in range:', adHocServices.length)
+
+    // Drives between boroughs take their bridges and tunnels, services without coordinates have
+    // no borough
+    filteredServices = filteredServices.map(service => {
+      const { latitude, longitude } = service.location
+      const located = Number.isFinite(latitude) && Number.isFinite(longitude)
+      return { ...service, borough: located ? getBorough(latitude, longitude) : null }
+    })
+
     // Sort services by start time
     filteredServices.sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime())
 
     // Get unique location IDs in the order of services array
     const locationIds = Array.from(
-      new Set(services.map(s => s.location?.id?.toString()).filter(Boolean)),
+      new Set(
+        [...services, ...adHocServices].map(s => s.location?.id?.toString()).filter(Boolean),
+      ),
     )
 
     // Get the full distance matrix at once
@@ -348,6 +399,9 @@ export async function GET(request) {
       return distanceMatrix[idx1][idx2] || Infinity
     }
 
+    // Drives are timed with the saved speed table, as the schedule is
+    const driveTimes = createTravelTime(await getTravelSpeedProfile())
+
     // Function to check if a service can fit in a group with lookahead
     async function canFitInGroup(service, group, depth = 5) {
       if (depth === 0) return false
@@ -391,7 +445,13 @@ export async function GET(request) {
             const distance = getDistance(prevService, serviceCopy)
             if (distance > HARD_MAX_RADIUS_MILES) continue
             // Check if there's enough time to travel
-            const travelTime = (distance / TECH_SPEED_MPH) * 60 // Convert to minutes
+            const travelTime = distance
+              ? driveTimes.calculateTravelTime(distance, {
+                  at: prevService.end,
+                  from: prevService,
+                  to: serviceCopy,
+                })
+              : 0
             const adjustedStart = Math.max(
               slotStart + travelTime * 60000,
               new Date(serviceCopy.time.range[0]).getTime(),
@@ -414,7 +474,13 @@ export async function GET(request) {
             const distance = getDistance(serviceCopy, nextService)
             if (distance > HARD_MAX_RADIUS_MILES) continue
             // Check if there's enough time to travel
-            const travelTime = (distance / TECH_SPEED_MPH) * 60 // Convert to minutes
+            const travelTime = distance
+              ? driveTimes.calculateTravelTime(distance, {
+                  at: serviceCopy.end,
+                  from: serviceCopy,
+                  to: nextService,
+                })
+              : 0
             if (
               new Date(serviceCopy.end).getTime() + travelTime * 60000 >
               new Date(nextService.start).getTime()
@@ -453,7 +519,9 @@ export async function GET(request) {
             const prev = adjustedServices[j - 1]
 
             const distance = getDistance(prev, curr)
-            const travelTime = (distance / TECH_SPEED_MPH) * 60 // Convert to minutes
+            const travelTime = distance
+              ? driveTimes.calculateTravelTime(distance, { at: currentTime, from: prev, to: curr })
+              : 0
             const minStart = currentTime + travelTime * 60000
             const duration = new Date(curr.end).getTime() - new Date(curr.start).getTime()
 
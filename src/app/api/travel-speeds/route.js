@@ -0,0 +1,36 @@
+import { getTravelSpeedProfile, saveTravelSpeedProfile } from '@/app/actions/travelSpeedActions'
+import { parseSpeedProfile } from '@/app/map/utils/travelTime'
+import { createJsonResponse } from '@/app/utils/response'
+
+// The saved speed table, parts it leaves out drive with TRAVEL_SPEED_PROFILE
+export async function GET() {
+  try {
+    return createJsonResponse(await getTravelSpeedProfile())
+  } catch (error) {
+    console.error('Error in travel speeds API:', error)
+    return createJsonResponse({ error: error.message || 'Internal server error' }, { status: 500 })
+  }
+}
+
+// Replace the saved speed table with { baseMph, hours, weekdays, boroughs, crossings }, all
+// optional. Schedule runs, insertions and validations after this estimate drives with it.
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return createJsonResponse({ error: 'Invalid request: expected a JSON body' }, { status: 400 })
+  }
+
+  const parsed = parseSpeedProfile(body)
+  if (parsed.error) {
+    return createJsonResponse({ error: parsed.error }, { status: 400 })
+  }
+
+  try {
+    return createJsonResponse(await saveTravelSpeedProfile(parsed.profile))
+  } catch (error) {
+    console.error('Error in travel speeds API:', error)
+    return createJsonResponse({ error: error.message || 'Internal server error' }, { status: 500 })
+  }
+}
@@ -0,0 +1,129 @@
+import React, { useState } from 'react'
+import { Button } from '@/app/components/ui/button'
+import { capitalize } from '@/app/utils/capitalize'
+import { DEFAULT_PRIORITY_TIER, PRIORITY_TIERS } from '@/app/utils/constants'
+import { dayjsInstance as dayjs, startOfOperationalDay } from '@/app/utils/dayjs'
+
+const DEFAULT_DURATION = 30 // Minutes
+
+const INPUT_CLASS = 'w-full rounded-md border px-2 py-1'
+
+/**
+ * Service for a visit outside the service setups, placeable like any other
+ * @param {Object} location - Known location with its coordinates, the company it is for
+ * @param {Object} fields - Window start and end in business time, duration, tier and code
+ * @returns {Object} The ad-hoc service
+ */
+function createAdHocService({ company, ...location }, { from, to, duration, tier, code }) {
+  const rangeStart = dayjs.tz(from)
+  const rangeEnd = dayjs.tz(to)
+  return {
+    id: `adhoc-${Date.now()}`,
+    adHoc: true,
+    company,
+    code: code.trim() || null,
+    date: startOfOperationalDay(rangeStart).toDate(),
+    start: rangeStart.toISOString(),
+    end: rangeStart.add(duration, 'minute').toISOString(),
+    priority: { tier, reasons: [] },
+    tech: { enforced: false },
+    time: {
+      range: [rangeStart.toISOString(), rangeEnd.toISOString()],
+      preferred: rangeStart.toISOString(),
+      duration,
+      meta: {},
+    },
+    location,
+  }
+}
+
+// Emergency or one-off visit to a location already on the schedule, the panel finds it a slot
+export default function AdHocServiceForm({ locations, onSubmit }) {
+  const [locationId, setLocationId] = useState('')
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [duration, setDuration] = useState(DEFAULT_DURATION)
+  const [tier, setTier] = useState(DEFAULT_PRIORITY_TIER)
+  const [code, setCode] = useState('')
+
+  const location = locations.find(location => String(location.id) === locationId)
+  // The window has to fit the visit
+  const isValid =
+    location && from && to && duration > 0 && !dayjs(to).isBefore(dayjs(from).add(duration, 'm'))
+
+  const handleSubmit = e => {
+    e.preventDefault()
+    if (!isValid) return
+    onSubmit(createAdHocService(location, { from, to, duration, tier, code }))
+  }
+
+  return (
+    <form className="mb-4 space-y-2 rounded-lg border p-2" onSubmit={handleSubmit}>
+      <h3 className="font-semibold">Add a service</h3>
+      <select
+        aria-label="Location"
+        className={INPUT_CLASS}
+        value={locationId}
+        onChange={e => setLocationId(e.target.value)}
+      >
+        <option value="">Location...</option>
+        {locations.map(location => (
+          <option key={location.id} value={location.id}>
+            {location.company} · {location.address}
+          </option>
+        ))}
+      </select>
+      <label className="block">
+        From
+        <input
+          type="datetime-local"
+          className={INPUT_CLASS}
+          value={from}
+          onChange={e => setFrom(e.target.value)}
+        />
+      </label>
+      <label className="block">
+        To
+        <input
+          type="datetime-local"
+          className={INPUT_CLASS}
+          value={to}
+          onChange={e => setTo(e.target.value)}
+        />
+      </label>
+      <div className="flex gap-x-2">
+        <label className="block">
+          Minutes
+          <input
+            type="number"
+            min={5}
+            step={5}
+            className={INPUT_CLASS}
+            value={duration}
+            onChange={e => setDuration(Number(e.target.value))}
+          />
+        </label>
+        <label className="block">
+          Priority
+          <select className={INPUT_CLASS} value={tier} onChange={e => setTier(e.target.value)}>
+            {Object.keys(PRIORITY_TIERS).map(tier => (
+              <option key={tier} value={tier}>
+                {capitalize(tier)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <input
+        aria-label="Service code"
+        placeholder="Service code"
+        className={INPUT_CLASS}
+        value={code}
+        onChange={e => setCode(e.target.value)}
+      />
+      <Button type="submit" size="sm" variant="outline" disabled={!isValid}>
+        Find slots
+      </Button>
+    </form>
+  )
+}
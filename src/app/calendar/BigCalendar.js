@@ -1,8 +1,12 @@
 'use client'
 
 import EnforceSwitch from '@/app/calendar/EnforceSwitch'
+import FreezeHorizon from '@/app/calendar/FreezeHorizon'
+import InsertionPanel from '@/app/calendar/InsertionPanel'
 import Header from '@/app/components/Header'
+import InsertionOption from '@/app/components/InsertionOption'
 import Logo from '@/app/components/Logo'
+import MealBreak from '@/app/components/MealBreak'
 import ProgressBar from '@/app/components/ProgressBar'
 import Service from '@/app/components/Service'
 import { Button } from '@/app/components/ui/button'
@@ -10,6 +14,7 @@ import { useCalendar } from '@/app/hooks/useCalendar'
 import { useSchedule } from '@/app/hooks/useSchedule'
 import { DEFAULT_DATE } from '@/app/utils/constants'
 import { dayjsInstance as dayjs } from '@/app/utils/dayjs'
+import { Lock, LockOpen } from 'lucide-react'
 import { useCallback, useEffect, useMemo, useState } from 'react'
 import { Calendar, dayjsLocalizer as createDayjsLocalizer, Views } from 'react-big-calendar'
 import 'react-big-calendar/lib/css/react-big-calendar.css'
@@ -26,13 +31,16 @@ const localizer = createDayjsLocalizer(dayjs)
 export default function BigCalendar() {
   const defaultDate = dayjs(DEFAULT_DATE).toDate()
   const [lastUpdateTime, setLastUpdateTime] = useState(Date.now())
+  const [insertion, setInsertion] = useState(null) // Service being fitted in and its options
 
   const { date, view, currentViewRange, handleView, handleNavigate, handleRangeChange } =
     useCalendar(defaultDate)
 
   const {
     assignedServices,
+    mealBreaks,
     resources,
+    unassignedServices,
     isScheduling,
     schedulingProgress,
     schedulingStatus,
@@ -40,6 +48,15 @@ export default function BigCalendar() {
     updateAllServicesEnforcement,
     allServicesEnforced,
     refetchSchedule,
+    cancelSchedule,
+    findInsertionOptions,
+    applyInsertion,
+    locks,
+    lockService,
+    lockTechDay,
+    setFreezeHorizon,
+    publishSchedule,
+    isTechDayLocked,
   } = useSchedule(currentViewRange)
 
   // Add debugging logs
@@ -64,6 +81,65 @@ export default function BigCalendar() {
     }
   }, [isScheduling, lastUpdateTime])
 
+  // Meal breaks sit between the services in each tech's column, next to the places the service
+  // being fitted in could go
+  const events = useMemo(
+    () => [
+      ...(assignedServices || []),
+      ...(mealBreaks || []),
+      ...(insertion?.options || []).map((option, i) => ({
+        id: `insertion-${insertion.service.id}-${option.techId}`,
+        title: `Option ${i + 1} - ${insertion.service.company}`,
+        start: new Date(option.start),
+        end: new Date(option.end),
+        resourceId: option.techId,
+        isInsertionOption: true,
+        company: insertion.service.company,
+        rank: i + 1,
+        option,
+      })),
+    ],
+    [assignedServices, mealBreaks, insertion],
+  )
+
+  // Locations on screen an ad-hoc visit can go to, with the company each is for
+  const locations = useMemo(() => {
+    const byId = new Map()
+    for (const service of [...(assignedServices || []), ...(unassignedServices || [])]) {
+      const { location, company } = service
+      if (!location?.id || !location.latitude || !location.longitude) continue
+      byId.set(String(location.id), { ...location, company })
+    }
+    return [...byId.values()].sort((a, b) => (a.company || '').localeCompare(b.company || ''))
+  }, [assignedServices, unassignedServices])
+
+  // Look up the best places for a service, unless the dispatcher moved on to another meanwhile
+  const handleFindOptions = useCallback(
+    async service => {
+      setInsertion({ service, loading: true })
+      let update
+      try {
+        const [{ options, reason }] = await findInsertionOptions([service])
+        update = { service, options, reason }
+      } catch (error) {
+        console.error('Error finding insertion options:', error)
+        update = { service, error: error.message }
+      }
+      setInsertion(current => (current?.service.id === service.id ? update : current))
+    },
+    [findInsertionOptions],
+  )
+
+  const handlePickOption = useCallback(
+    option => {
+      applyInsertion(insertion.service, option).catch(error =>
+        console.error('Error saving insertion:', error),
+      )
+      setInsertion(null)
+    },
+    [applyInsertion, insertion],
+  )
+
   const handleForceReschedule = useCallback(() => {
     console.log('Force reschedule triggered')
     refetchSchedule()
@@ -73,13 +149,52 @@ export default function BigCalendar() {
   const eventComponent = useCallback(
     props => {
       // console.log('Rendering event:', props.event)
+      if (props.event.isMealBreak) return <MealBreak mealBreak={props.event} />
+      if (props.event.isInsertionOption) {
+        return (
+          <InsertionOption
+            option={props.event.option}
+            rank={props.event.rank}
+            company={props.event.company}
+            onPick={handlePickOption}
+          />
+        )
+      }
       return (
         <div className="select-none">
-          <Service service={props.event} updateServiceEnforcement={updateServiceEnforcement} />
+          <Service
+            service={props.event}
+            updateServiceEnforcement={updateServiceEnforcement}
+            onLockService={lockService}
+          />
         </div>
       )
     },
-    [updateServiceEnforcement],
+    [updateServiceEnforcement, handlePickOption, lockService],
+  )
+
+  // Tech columns lock the tech's whole day on the day shown
+  const resourceHeader = useCallback(
+    ({ label, resource }) => {
+      if (view !== Views.DAY || resource.id === 'Unassigned') return label
+      const locked = isTechDayLocked(resource.id, date)
+      const LockIcon = locked ? Lock : LockOpen
+      return (
+        <button
+          type="button"
+          className="inline-flex items-center gap-x-1"
+          title={locked ? 'Unlock this tech-day' : 'Lock this tech-day'}
+          onClick={() => lockTechDay(resource.id, date, !locked)}
+        >
+          {label}
+          <LockIcon
+            strokeWidth={2.5}
+            className={`h-3 w-3 ${locked ? 'text-teal' : 'text-neutral-400'}`}
+          />
+        </button>
+      )
+    },
+    [view, date, isTechDayLocked, lockTechDay],
   )
 
   // Create custom toolbar component
@@ -124,8 +239,9 @@ export default function BigCalendar() {
     () => ({
       event: eventComponent,
       toolbar: customToolbar,  // Add custom toolbar component
+      resourceHeader,
     }),
-    [eventComponent, customToolbar]
+    [eventComponent, customToolbar, resourceHeader]
   )
 
   // Add click capture handler
@@ -137,7 +253,11 @@ export default function BigCalendar() {
   return (
     <div className="flex h-screen">
       {isScheduling && (
-        <ProgressBar schedulingStatus={schedulingStatus} schedulingProgress={schedulingProgress} />
+        <ProgressBar
+          schedulingStatus={schedulingStatus}
+          schedulingProgress={schedulingProgress}
+          onCancel={cancelSchedule}
+        />
       )}
       <div className="flex flex-grow flex-col overflow-auto">
         <Header>
@@ -148,6 +268,18 @@ export default function BigCalendar() {
           >
             Enforce techs for all
           </EnforceSwitch>
+          <FreezeHorizon
+            horizon={locks.horizon}
+            expiresAt={locks.horizonExpiresAt}
+            onChange={setFreezeHorizon}
+          />
+          <Button
+            variant="outline"
+            disabled={isScheduling || !assignedServices.length}
+            onClick={publishSchedule}
+          >
+            Publish
+          </Button>
           <Logo />
           <Button onClick={handleForceReschedule}>Force Reschedule</Button>
         </Header>
@@ -155,7 +287,8 @@ export default function BigCalendar() {
           <Calendar
             localizer={localizer}
             dayLayoutAlgorithm="no-overlap"
-            events={assignedServices}
+            showMultiDayTimes
+            events={events}
             resources={resources}
             resourceIdAccessor="id"
             date={date}
@@ -186,15 +319,30 @@ export default function BigCalendar() {
             onDragStart={null}
             onDragOver={null}
             onDrop={null}
-            eventPropGetter={() => ({
-              style: { cursor: 'pointer' },
-            })}
+            eventPropGetter={event => {
+              if (event.isMealBreak) {
+                return { className: 'meal-break', style: { cursor: 'default' } }
+              }
+              if (event.isInsertionOption) return { className: 'insertion-option' }
+              if (event.locked) return { className: 'locked', style: { cursor: 'not-allowed' } }
+              return { style: { cursor: 'pointer' } }
+            }}
             slotPropGetter={() => ({
               style: { cursor: 'default' },
             })}
           />
         </div>
       </div>
+      {!isScheduling && (
+        <InsertionPanel
+          services={unassignedServices || []}
+          locations={locations}
+          insertion={insertion}
+          onFindOptions={handleFindOptions}
+          onPick={handlePickOption}
+          onClose={() => setInsertion(null)}
+        />
+      )}
     </div>
   )
 }
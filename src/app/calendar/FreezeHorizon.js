@@ -0,0 +1,75 @@
+import React, { useEffect, useState } from 'react'
+import { Button } from '@/app/components/ui/button'
+import { dayjsInstance as dayjs, toBusinessClock } from '@/app/utils/dayjs'
+import { Lock } from 'lucide-react'
+
+const INPUT_FORMAT = 'YYYY-MM-DDTHH:mm'
+
+// How long a freeze lasts before it lifts by itself, in hours, null until it is cleared
+const DURATIONS = [
+  { label: 'until cleared', hours: null },
+  { label: 'for a day', hours: 24 },
+  { label: 'for a week', hours: 7 * 24 },
+]
+
+// Everything published to start before the horizon, in business time, keeps its tech and times
+// on every re-run until the freeze is cleared or lifts
+export default function FreezeHorizon({ horizon, expiresAt, onChange }) {
+  const [value, setValue] = useState('')
+  const [hours, setHours] = useState('')
+
+  useEffect(() => {
+    setValue(horizon ? toBusinessClock(horizon).format(INPUT_FORMAT) : '')
+  }, [horizon])
+
+  return (
+    <div className="flex items-center gap-x-2 text-sm">
+      <Lock strokeWidth={2.5} className="h-4 w-4" />
+      <label htmlFor="freeze-horizon" className="whitespace-nowrap">
+        Freeze before
+      </label>
+      <input
+        id="freeze-horizon"
+        type="datetime-local"
+        className="rounded-md border px-2 py-1"
+        value={value}
+        onChange={e => setValue(e.target.value)}
+      />
+      <select
+        aria-label="Freeze duration"
+        className="rounded-md border px-2 py-1"
+        value={hours}
+        onChange={e => setHours(e.target.value)}
+      >
+        {DURATIONS.map(duration => (
+          <option key={duration.label} value={duration.hours ?? ''}>
+            {duration.label}
+          </option>
+        ))}
+      </select>
+      <Button
+        size="sm"
+        variant="outline"
+        disabled={!value}
+        onClick={() =>
+          onChange(
+            dayjs.tz(value).toISOString(),
+            hours ? dayjs().add(Number(hours), 'hour').toISOString() : null,
+          )
+        }
+      >
+        Freeze
+      </Button>
+      {horizon && (
+        <Button size="sm" variant="ghost" onClick={() => onChange(null)}>
+          Clear
+        </Button>
+      )}
+      {expiresAt && (
+        <span className="whitespace-nowrap text-neutral-500">
+          lifts {toBusinessClock(expiresAt).format('M/D h:mm A')}
+        </span>
+      )}
+    </div>
+  )
+}
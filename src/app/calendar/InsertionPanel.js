@@ -0,0 +1,119 @@
+import React from 'react'
+import AdHocServiceForm from '@/app/calendar/AdHocServiceForm'
+import { describeDisruption } from '@/app/components/InsertionOption'
+import { ServicePopover } from '@/app/components/UnassignedServices'
+import { Button } from '@/app/components/ui/button'
+import { capitalize } from '@/app/utils/capitalize'
+import { DEFAULT_PRIORITY_TIER } from '@/app/utils/constants'
+import { comparePriority } from '@/app/utils/priority'
+import { formatTimeRange } from '@/app/utils/timeRange'
+import dayjs from 'dayjs'
+
+const REASON_LABELS = {
+  ALREADY_SCHEDULED: 'Already on the schedule',
+  NO_ROUTE_ON_DAY: 'No tech is working that day',
+  NO_QUALIFIED_TECH: 'No tech working that day is qualified',
+  NO_FEASIBLE_POSITION: 'No route has room inside its time window',
+  FROZEN_HORIZON: 'It is before the freeze horizon',
+}
+
+const TIER_CLASSES = {
+  critical: 'bg-red-100 text-red-700',
+  high: 'bg-amber-100 text-amber-700',
+  low: 'bg-neutral-100 text-neutral-500',
+}
+
+// Best places for the service the dispatcher is fitting in, or why there are none
+function InsertionOptions({ insertion, onPick }) {
+  return (
+    <div className="mt-2 border-t border-dashed pt-2">
+      {insertion.loading && <p className="text-neutral-500">Looking for slots...</p>}
+      {insertion.error && <p className="text-red-600">{insertion.error}</p>}
+      {insertion.reason && <p className="text-neutral-500">{REASON_LABELS[insertion.reason]}</p>}
+      {insertion.options?.map((option, i) => (
+        <button
+          key={option.techId}
+          type="button"
+          className="mb-1 w-full rounded-lg px-2 py-1 text-left hover:bg-neutral-100"
+          onClick={() => onPick(option)}
+        >
+          <div className="font-semibold">
+            #{i + 1} {option.techName} · {formatTimeRange(option.start, option.end)}
+          </div>
+          <div className="text-neutral-500">{describeDisruption(option)}</div>
+        </button>
+      ))}
+    </div>
+  )
+}
+
+// Services waiting for a place, the most urgent first, why the schedule left them out, and the
+// best places for the one the dispatcher is fitting in. New emergency or one-off visits are
+// entered here too.
+export default function InsertionPanel({
+  services,
+  locations,
+  insertion,
+  onFindOptions,
+  onPick,
+  onClose,
+}) {
+  const adHocInsertion = insertion?.service.adHoc && insertion
+  return (
+    <aside className="w-80 shrink-0 overflow-auto border-l p-4 text-sm">
+      <AdHocServiceForm locations={locations} onSubmit={onFindOptions} />
+      {adHocInsertion && (
+        <div className="mb-4 rounded-lg border p-2">
+          <div className="flex items-center justify-between gap-x-2">
+            <div className="px-2 font-semibold">
+              {capitalize(adHocInsertion.service.company)} ·{' '}
+              {formatTimeRange(...adHocInsertion.service.time.range)}
+            </div>
+            <Button size="sm" variant="ghost" onClick={onClose}>
+              Close
+            </Button>
+          </div>
+          <InsertionOptions insertion={adHocInsertion} onPick={onPick} />
+        </div>
+      )}
+
+      <h2 className="pb-3 font-bold">Unassigned services ({services.length})</h2>
+      {!services.length && <p className="text-neutral-500">Nothing left to place.</p>}
+
+      {[...services].sort(comparePriority).map(service => {
+        const isSelected = insertion?.service.id === service.id
+        return (
+          <div key={service.id} className="mb-2 rounded-lg border p-2">
+            <div className="flex items-center justify-between gap-x-2">
+              <div>
+                <ServicePopover service={service} />
+                <div className="px-2 text-neutral-500">
+                  {service.priority && service.priority.tier !== DEFAULT_PRIORITY_TIER && (
+                    <span
+                      className={`mr-1 rounded px-1 text-xs ${TIER_CLASSES[service.priority.tier]}`}
+                    >
+                      {capitalize(service.priority.tier)}
+                    </span>
+                  )}
+                  {service.time?.range?.[0] && dayjs(service.time.range[0]).format('ddd M/D')}
+                  {service.time?.duration ? ` · ${service.time.duration} min` : ''}
+                </div>
+              </div>
+              {isSelected ? (
+                <Button size="sm" variant="ghost" onClick={onClose}>
+                  Close
+                </Button>
+              ) : (
+                <Button size="sm" variant="outline" onClick={() => onFindOptions(service)}>
+                  Find slots
+                </Button>
+              )}
+            </div>
+
+            {isSelected && <InsertionOptions insertion={insertion} onPick={onPick} />}
+          </div>
+        )
+      })}
+    </aside>
+  )
+}
@@ -0,0 +1,33 @@
+// src/app/components/InsertionOption.js
+'use client'
+
+import { formatTimeRange } from '@/app/utils/timeRange'
+import { CirclePlus } from 'lucide-react'
+
+export function describeDisruption(option) {
+  const parts = [`+${option.addedTravelMinutes} min drive`]
+  parts.push(
+    option.movedServices
+      ? `moves ${option.movedServices} service${option.movedServices === 1 ? '' : 's'}`
+      : 'moves nothing',
+  )
+  if (option.addedOvertimeMinutes > 0) parts.push(`+${option.addedOvertimeMinutes} min overtime`)
+  return parts.join(' · ')
+}
+
+// Preview of a place a new service could go, picked by clicking it
+export default function InsertionOption({ option, rank, company, onPick }) {
+  return (
+    <button
+      type="button"
+      className="flex w-full items-center gap-x-1 text-left"
+      title={describeDisruption(option)}
+      onClick={() => onPick(option)}
+    >
+      <CirclePlus strokeWidth={2.5} className="h-3 w-3 shrink-0" />
+      <span className="text-sm leading-none">
+        #{rank} {formatTimeRange(option.start, option.end)} — {company}
+      </span>
+    </button>
+  )
+}
@@ -0,0 +1,16 @@
+// src/app/components/MealBreak.js
+'use client'
+
+import { formatTimeRange } from '@/app/utils/timeRange'
+import { Coffee } from 'lucide-react'
+
+export default function MealBreak({ mealBreak }) {
+  return (
+    <div className="flex items-center gap-x-1">
+      <Coffee strokeWidth={2.5} className="h-3 w-3 shrink-0" />
+      <span className="text-sm leading-none">
+        {formatTimeRange(mealBreak.start, mealBreak.end)} — Meal break
+      </span>
+    </div>
+  )
+}
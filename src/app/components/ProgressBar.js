@@ -1,6 +1,7 @@
+import { Button } from '@/app/components/ui/button'
 import { Progress } from '@/app/components/ui/progress'
 
-export default function ProgressBar({ schedulingStatus, schedulingProgress }) {
+export default function ProgressBar({ schedulingStatus, schedulingProgress, onCancel }) {
   const progressPercentage = Math.round(schedulingProgress * 100)
 
   return (
@@ -11,6 +12,16 @@ export default function ProgressBar({ schedulingStatus, schedulingProgress }) {
           value={progressPercentage}
           className="w-full"
         />
+        {onCancel && (
+          <div className="flex justify-center">
+            <Button
+              variant="outline"
+              onClick={onCancel}
+            >
+              Cancel
+            </Button>
+          </div>
+        )}
       </div>
     </div>
   )
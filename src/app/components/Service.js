@@ -2,11 +2,20 @@
 'use client'
 
 import React, { useState } from 'react'
+import { Button } from '@/app/components/ui/button'
 import { Popover, PopoverContent, PopoverTrigger } from '@/app/components/ui/popover'
 import { formatTimeRange } from '@/app/utils/timeRange'
 import ServiceContent from '@/app/components/ServiceContent'
+import { Lock, LockOpen } from 'lucide-react'
 
-export default function Service({ service }) {
+// Only a service locked on its own can be unlocked from it, the others follow their tech-day or
+// the freeze horizon
+const LOCK_LABELS = {
+  techDay: 'Locked with its tech-day',
+  horizon: 'Frozen before the horizon',
+}
+
+export default function Service({ service, onLockService }) {
   const [isOpen, setIsOpen] = useState(false)
   const [offset, setOffset] = useState(0)
   const pageHeight = typeof document !== 'undefined' ? document.documentElement.scrollHeight : 0
@@ -25,6 +34,9 @@ export default function Service({ service }) {
     <Popover open={isOpen} onOpenChange={setIsOpen}>
       <PopoverTrigger asChild>
         <div onMouseEnter={handleMouseEnter} onMouseLeave={handleMouseLeave}>
+          {service.locked && (
+            <Lock strokeWidth={2.5} className="mr-1 inline-block h-3 w-3 align-text-top" />
+          )}
           <span className="inline-block text-sm leading-none">
             {formatTimeRange(service.start, service.end)} —
           </span>
@@ -41,6 +53,28 @@ export default function Service({ service }) {
         onMouseLeave={handleMouseLeave}
       >
         <ServiceContent service={service} />
+        {LOCK_LABELS[service.locked?.by] ? (
+          <div className="mt-3 flex items-center gap-x-2 font-semibold">
+            <Lock strokeWidth={2.5} className="h-4 w-4" />
+            {LOCK_LABELS[service.locked.by]}
+          </div>
+        ) : (
+          onLockService && (
+            <Button
+              className="mt-3"
+              size="sm"
+              variant="outline"
+              onClick={() => onLockService(service, !service.locked)}
+            >
+              {service.locked ? (
+                <LockOpen strokeWidth={2.5} className="mr-2 h-4 w-4" />
+              ) : (
+                <Lock strokeWidth={2.5} className="mr-2 h-4 w-4" />
+              )}
+              {service.locked ? 'Unlock service' : 'Lock service'}
+            </Button>
+          )
+        )}
       </PopoverContent>
     </Popover>
   )
@@ -1,6 +1,7 @@
 'use client'
 
 import React from 'react'
+import { calculateTravelTime } from '@/app/map/utils/travelTime'
 import { capitalize } from '@/app/utils/capitalize'
 import { formatTime } from '@/app/utils/timeRange'
 import dayjs from 'dayjs'
@@ -11,12 +12,28 @@ function getClusterLabel(cluster, reason) {
   return `${cluster} (${reason || 'unclustered'})`
 }
 
+// The drive as the schedule timed it, or the same estimate for services it did not time
+function getTravelMinutes(service) {
+  return (
+    service.travelTimeFromPrevious ??
+    calculateTravelTime(service.distanceFromPrevious, { to: service })
+  )
+}
+
 function formatBorough(borough) {
   if (!borough) return 'Unknown'
   if (borough === 'NJ') return 'New Jersey'
   return capitalize(borough)
 }
 
+// Bridges and tunnels of the drive from the previous stop, with what they add
+function formatCrossing(crossing) {
+  if (!crossing.allowed) return `No open crossing, +${crossing.minutes} min`
+  const via = crossing.via.length ? ` via ${crossing.via.map(formatBorough).join(', ')}` : ''
+  const toll = crossing.toll > 0 ? `, $${crossing.toll.toFixed(2)} toll` : ''
+  return `${crossing.names.join(', then ')}${via}: +${crossing.minutes} min${toll}`
+}
+
 export default function ServiceContent({ service }) {
   return (
     <div className="w-full max-w-sm text-sm leading-relaxed">
@@ -55,8 +72,13 @@ export default function ServiceContent({ service }) {
             </span>
           </div>
           <div className="text-xs text-gray-600">
-            {service.travelTimeFromPrevious} min from {service.previousCompany}
+            {getTravelMinutes(service)} min from {service.previousCompany}
           </div>
+          {service.crossingFromPrevious && (
+            <div className="text-xs text-gray-600">
+              {formatCrossing(service.crossingFromPrevious)}
+            </div>
+          )}
         </div>
       )}
 
@@ -74,16 +96,25 @@ export default function ServiceContent({ service }) {
         Time Range: {dayjs(service.time.range[0]).format('M/D h:mma')} -{' '}
         {dayjs(service.time.range[1]).format('h:mma')}
       </div>
+      {service.lateMinutes > 0 && (
+        <div className="font-semibold text-red-600">
+          Late: starts {service.lateMinutes} min after its window
+        </div>
+      )}
 
       {service.route && (
         <div className="-mx-4 my-3 border-y-2 border-dashed border-gray-300 px-4 py-1">
           <div>Route Time: {service.route?.time.join(' - ')}</div>
           <div>Route Days: {service.route?.days}</div>
+          {service.plannedFrom && (
+            <div>Moved from: {dayjs(service.plannedFrom).format('ddd M/D')}</div>
+          )}
         </div>
       )}
 
       <div className="mt-3">
-        <span className="font-semibold">{service.techId}</span> (was {service.tech.code})
+        <span className="font-semibold">{service.techName || service.techId}</span> (was{' '}
+        {service.tech.name || service.tech.code})
       </div>
       <div>
         <span className="font-semibold">
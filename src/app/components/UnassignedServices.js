@@ -4,7 +4,38 @@ import { Popover, PopoverTrigger, PopoverContent } from '@/app/components/ui/pop
 import { capitalize } from '@/app/utils/capitalize'
 import dayjs from 'dayjs'
 
-function ServicePopover({ service }) {
+// What each constraint in the worker's trace means for the shift it blocked
+const CONSTRAINT_LABELS = {
+  SHIFT_FIXED: 'the shift is kept as it was built',
+  TECH_NOT_QUALIFIED: 'the tech lacks a skill it needs',
+  SERVICE_CAP: 'the tech has as many services as allowed',
+  RADIUS: 'its neighbours in the shift are too far away',
+  TIME_WINDOW: 'no gap falls inside its time window',
+  TRAVEL_TIME: 'no gap leaves time for the drive',
+  MEAL_BREAK: 'the meal break would no longer fit',
+  SHIFT_LENGTH: 'the shift would run too long',
+}
+
+// What raised a service's priority tier
+const PRIORITY_REASON_LABELS = {
+  CONTRACT_TIER: 'contract tier',
+  INSPECTION_DEADLINE: 'health inspection due',
+  MISSED_LAST_VISIT: 'missed last visit',
+}
+
+// Why no shift on the service's day took it, from the constraints that blocked each one
+export function explainTrace(trace) {
+  if (!trace) return null
+  if (!trace.candidateShifts) return 'No tech had a shift that day.'
+  const counts = Object.entries(trace.blockedBy)
+    .sort((a, b) => b[1] - a[1])
+    .map(([constraint, count]) => `${count} where ${CONSTRAINT_LABELS[constraint]}`)
+  return counts.length
+    ? `Of ${trace.candidateShifts} shifts that day: ${counts.join('; ')}.`
+    : 'A shift that day had room, but the schedule did not use it.'
+}
+
+export function ServicePopover({ service }) {
   const [isOpen, setIsOpen] = useState(false)
   const timeoutRef = useRef(null)
 
@@ -60,11 +91,29 @@ function ServicePopover({ service }) {
             <h4 className="font-bold leading-normal">
               Unassigned: {service.reason || 'Unknown reason'}
             </h4>
+            {service.violation && (
+              <p>Taken off the schedule: {service.violation.message}.</p>
+            )}
+            {service.trace && <p>{explainTrace(service.trace)}</p>}
+            {service.trace?.shifts?.map((shift, index) => (
+              <p key={index} className="text-neutral-500">
+                {shift.techName || shift.techId}:{' '}
+                {shift.blockedBy.map(constraint => CONSTRAINT_LABELS[constraint]).join(', ') ||
+                  'has room'}
+              </p>
+            ))}
           </div>
           <div className="py-4">
             <p>Preferred Time: {formatTime(service.time?.preferred)}</p>
             <p>Duration: {service.time?.duration || 'Unknown'} min</p>
             <p>Tech: {service.tech?.code || 'Not assigned'}</p>
+            {service.priority && (
+              <p>
+                Priority: {capitalize(service.priority.tier)}
+                {service.priority.reasons.length > 0 &&
+                  ` (${service.priority.reasons.map(r => PRIORITY_REASON_LABELS[r]).join(', ')})`}
+              </p>
+            )}
             {service.time?.range && (
               <p>
                 Calc Range: {formatTime(service.time.range[0])} -{' '}
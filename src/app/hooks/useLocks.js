@@ -0,0 +1,90 @@
+import { useCallback, useEffect, useState } from 'react'
+import { saveInsertion } from '@/app/actions/adHocActions'
+import {
+  getScheduleLocks,
+  savePublishedSchedule,
+  updateFreezeHorizon,
+  updateServiceLocks,
+  updateTechDayLock,
+} from '@/app/actions/lockActions'
+import { dayjsInstance as dayjs, formatOperationalDate } from '@/app/utils/dayjs'
+import { EMPTY_LOCKS, getTechDayKey } from '@/app/utils/locks'
+
+// Only the published assignment is stored with a lock
+const toAssignment = ({ id, techId, techName, start, end }) => ({
+  id,
+  techId,
+  techName,
+  start,
+  end,
+})
+
+// Calendar days start at midnight, which is still the previous operational day
+const getMidday = date => dayjs(date).startOf('day').add(12, 'hour').toDate()
+
+export const useLocks = (services, onLocksChange) => {
+  const [locks, setLocks] = useState(EMPTY_LOCKS)
+
+  useEffect(() => {
+    getScheduleLocks().then(setLocks)
+  }, [])
+
+  const saveLocks = useCallback(
+    async update => {
+      const nextLocks = await update
+      setLocks(nextLocks)
+      onLocksChange(nextLocks)
+    },
+    [onLocksChange],
+  )
+
+  const lockService = useCallback(
+    (service, locked) => saveLocks(updateServiceLocks([toAssignment(service)], locked)),
+    [saveLocks],
+  )
+
+  const lockTechDay = useCallback(
+    (techId, date, locked) => {
+      const midday = getMidday(date)
+      const day = formatOperationalDate(midday)
+      const techDayServices = services.filter(
+        service => service.techId === techId && formatOperationalDate(service.start) === day,
+      )
+      return saveLocks(updateTechDayLock(techId, midday, techDayServices.map(toAssignment), locked))
+    },
+    [saveLocks, services],
+  )
+
+  // The server freezes what it published, not just the services on screen
+  const setFreezeHorizon = useCallback(
+    (horizon, expiresAt) => saveLocks(updateFreezeHorizon(horizon, expiresAt)),
+    [saveLocks],
+  )
+
+  // Publish the services on screen for the range, in place of what was published for it before
+  const publishSchedule = useCallback(
+    range => savePublishedSchedule(services.map(toAssignment), range),
+    [services],
+  )
+
+  // A place picked for a service is published locked, ad-hoc services with it
+  const lockInsertion = useCallback(
+    (service, option) => saveLocks(saveInsertion(service, option)),
+    [saveLocks],
+  )
+
+  const isTechDayLocked = useCallback(
+    (techId, date) => locks.techDays.includes(getTechDayKey(techId, getMidday(date))),
+    [locks],
+  )
+
+  return {
+    locks,
+    lockService,
+    lockTechDay,
+    lockInsertion,
+    setFreezeHorizon,
+    publishSchedule,
+    isTechDayLocked,
+  }
+}
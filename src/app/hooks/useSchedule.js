@@ -1,11 +1,14 @@
 import { useState, useEffect, useMemo, useRef, useCallback } from 'react'
 import { useEnforcement } from '@/app/hooks/useEnforcement'
-import { dayjsInstance as dayjs } from '@/app/utils/dayjs'
+import { useLocks } from '@/app/hooks/useLocks'
+import { dayjsInstance as dayjs, formatOperationalDate } from '@/app/utils/dayjs'
 import { logScheduleActivity } from '@/app/utils/serviceLogging'
 import { findShiftGaps } from '@/app/utils/gaps'
+import { applyLocks } from '@/app/utils/locks'
 
 const BATCH_SIZE = 100 // Adjust this value based on performance
 const PROGRESS_UPDATE_INTERVAL = 10 // Update progress every 10ms
+const SCHEDULING_PROGRESS_SHARE = 0.9 // Part of the bar for the server job, rendering gets the rest
 
 function debounce(func, wait, immediate = false) {
   let timeout
@@ -22,17 +25,85 @@ function debounce(func, wait, immediate = false) {
   }
 }
 
+// Calendar event for a scheduled service, with every field the Service component reads
+function toCalendarService(service) {
+  // Ensure all required fields exist
+  const tech = service.tech || {}
+  const location = service.location || {}
+  const time = service.time || {}
+  const comments = service.comments || {}
+  const route = service.route || {}
+
+  return {
+    ...service,
+    // Calendar fields
+    id: service.id,
+    title: `${service.company} - ${service.techName || service.techId || 'Unassigned'}`,
+    start: new Date(service.start),
+    end: new Date(service.end),
+    resourceId: service.techId || 'Unassigned',
+    // Service component fields
+    tech: {
+      code: tech.code || 'Unassigned',
+      name: tech.name || 'Unassigned',
+      enforced: tech.enforced || false,
+    },
+    company: service.company || '',
+    location: {
+      id: location.id || '',
+      code: location.code || '',
+      address: location.address || '',
+      address2: location.address2 || '',
+      latitude: location.latitude,
+      longitude: location.longitude,
+    },
+    time: {
+      range: [
+        time.range?.[0] ? new Date(time.range[0]) : null,
+        time.range?.[1] ? new Date(time.range[1]) : null,
+      ],
+      preferred: time.preferred ? new Date(time.preferred) : null,
+      duration: time.duration || 0,
+      lateTolerance: time.lateTolerance,
+      meta: time.meta || {},
+    },
+    comments: {
+      serviceSetup: comments.serviceSetup || '',
+      location: comments.location || '',
+    },
+    route: {
+      time: route.time || [],
+      days: route.days || '',
+    },
+  }
+}
+
+// Meal breaks show in their tech's column as events of their own
+function toMealBreakEvent(mealBreak) {
+  return {
+    ...mealBreak,
+    title: `Meal break - ${mealBreak.techName || mealBreak.techId}`,
+    start: new Date(mealBreak.start),
+    end: new Date(mealBreak.end),
+    resourceId: mealBreak.techId || 'Unassigned',
+    isMealBreak: true,
+  }
+}
+
 export function useSchedule(currentViewRange) {
   const [loading, setLoading] = useState(true)
   const [progress, setProgress] = useState(0)
   const [status, setStatus] = useState('Initializing...')
   const [result, setResult] = useState({
     assignedServices: [],
+    mealBreaks: [],
     resources: [],
+    unassignedServices: [],
   })
   const dataRef = useRef(null)
   const progressRef = useRef(0)
   const startTimeRef = useRef(null)
+  const jobRef = useRef(null) // Schedule job being followed: { id, events, reject }
 
   const dateRange = useMemo(
     () => ({
@@ -53,67 +124,14 @@ export function useSchedule(currentViewRange) {
     const { scheduledServices, unassignedServices, clusteringInfo } = dataRef.current
     const totalServices = scheduledServices?.length || 0
 
-    // Update progress based on how many services we've processed
-    const newProgress = Math.min(startIndex / totalServices, 0.9) // Cap at 90% until final render
-    setProgress(newProgress)
+    // Rendering fills the part of the progress bar left after the schedule job
+    const renderedShare = totalServices ? startIndex / totalServices : 1
+    setProgress(SCHEDULING_PROGRESS_SHARE + renderedShare * (1 - SCHEDULING_PROGRESS_SHARE))
     setStatus('Rendering services...')
 
     const endIndex = Math.min(startIndex + BATCH_SIZE, scheduledServices.length)
 
-    const newAssignedServices = scheduledServices.slice(startIndex, endIndex).map(service => {
-      // Ensure all required fields exist
-      const tech = service.tech || {}
-      const location = service.location || {}
-      const time = service.time || {}
-      const comments = service.comments || {}
-      const route = service.route || {}
-
-      const processedService = {
-        ...service,
-        // Calendar fields
-        id: service.id,
-        title: `${service.company} - ${service.techId || 'Unassigned'}`,
-        start: new Date(service.start),
-        end: new Date(service.end),
-        resourceId: service.techId || 'Unassigned',
-        // Service component fields
-        tech: {
-          code: tech.code || 'Unassigned',
-          name: tech.name || 'Unassigned',
-          enforced: tech.enforced || false,
-        },
-        company: service.company || '',
-        location: {
-          id: location.id || '',
-          code: location.code || '',
-          address: location.address || '',
-          address2: location.address2 || '',
-        },
-        time: {
-          range: [
-            time.range?.[0] ? new Date(time.range[0]) : null,
-            time.range?.[1] ? new Date(time.range[1]) : null,
-          ],
-          preferred: time.preferred ? new Date(time.preferred) : null,
-          duration: time.duration || 0,
-          meta: time.meta || {},
-        },
-        comments: {
-          serviceSetup: comments.serviceSetup || '',
-          location: comments.location || '',
-        },
-        route: {
-          time: route.time || [],
-          days: route.days || '',
-        },
-      }
-
-      // if (startIndex === 0) {
-      //   console.log('Sample processed service:', processedService)
-      // }
-
-      return processedService
-    })
+    const newAssignedServices = scheduledServices.slice(startIndex, endIndex).map(toCalendarService)
 
     setResult(prevResult => {
       const newResult = {
@@ -128,16 +146,27 @@ export function useSchedule(currentViewRange) {
       setTimeout(() => processDataBatch(endIndex), 0)
     } else {
       // Create resources from assigned services only
-      const techSet = new Set(scheduledServices.map(service => service.techId || 'Unassigned'))
-      const resources = Array.from(techSet)
-        .map(techId => ({ id: techId, title: techId }))
+      // Roster techs keep the same cluster number between runs, so order columns by it
+      const techMap = new Map()
+      for (const service of scheduledServices) {
+        const techId = service.techId || 'Unassigned'
+        if (!techMap.has(techId)) {
+          techMap.set(techId, {
+            id: techId,
+            title: service.techName || techId,
+            cluster: service.cluster ?? Infinity,
+          })
+        }
+      }
+      const resources = Array.from(techMap.values())
         .sort((a, b) => {
           if (a.id === 'Unassigned') return 1
           if (b.id === 'Unassigned') return -1
-          const aNum = Number.parseInt(a.id.split(' ')[1], 10)
-          const bNum = Number.parseInt(b.id.split(' ')[1], 10)
-          return aNum - bNum
+          return a.cluster - b.cluster
         })
+        .map(({ id, title }) => ({ id, title }))
+
+      const mealBreaks = dataRef.current.mealBreaks.map(toMealBreakEvent)
 
       // Update final performance duration
       const finalPerformanceDuration = Math.round(performance.now() - startTimeRef.current)
@@ -154,7 +183,9 @@ export function useSchedule(currentViewRange) {
 
       setResult(prevResult => ({
         ...prevResult,
+        mealBreaks,
         resources,
+        unassignedServices: dataRef.current.unassignedServices,
       }))
 
       // Final progress update
@@ -164,7 +195,66 @@ export function useSchedule(currentViewRange) {
     }
   }, [])
 
+  // Stop following the current schedule job, cancelling it on the server unless it finished
+  const stopScheduleJob = useCallback(({ cancel = true } = {}) => {
+    const job = jobRef.current
+    if (!job) return
+    jobRef.current = null
+    job.events.close()
+    if (cancel) {
+      fetch(`/api/schedule/jobs/${job.id}`, { method: 'DELETE' }).catch(() => {})
+      const error = new Error('Schedule cancelled')
+      error.name = 'AbortError'
+      job.reject(error)
+    }
+  }, [])
+
+  // Follow a schedule job's progress stream until it completes
+  const waitForScheduleJob = useCallback(
+    id =>
+      new Promise((resolve, reject) => {
+        const events = new EventSource(`/api/schedule/jobs/${id}/events`)
+        jobRef.current = { id, events, reject }
+
+        events.onmessage = event => {
+          const job = JSON.parse(event.data)
+          setProgress(job.progress * SCHEDULING_PROGRESS_SHARE)
+          setStatus(job.message || 'Scheduling...')
+        }
+        events.addEventListener('completed', () => {
+          stopScheduleJob({ cancel: false })
+          resolve()
+        })
+        events.addEventListener('failed', event => {
+          stopScheduleJob({ cancel: false })
+          reject(new Error(JSON.parse(event.data).error || 'Schedule job failed'))
+        })
+        events.addEventListener('cancelled', () => {
+          stopScheduleJob({ cancel: false })
+          reject(new Error('Schedule job was cancelled'))
+        })
+        // The stream dropped or the job is gone, ask once for where the job ended up
+        events.onerror = async () => {
+          if (jobRef.current?.events !== events) return
+          stopScheduleJob({ cancel: false })
+          try {
+            const response = await fetch(`/api/schedule/jobs/${id}`)
+            const job = response.ok ? await response.json() : null
+            if (job?.status === 'completed') {
+              resolve()
+            } else {
+              reject(new Error(job?.error || 'Lost track of the schedule job'))
+            }
+          } catch (error) {
+            reject(error)
+          }
+        }
+      }),
+    [stopScheduleJob],
+  )
+
   const fetchSchedule = useCallback(async () => {
+    stopScheduleJob()
     setLoading(true)
     setProgress(0)
     setStatus('Initializing...')
@@ -172,31 +262,40 @@ export function useSchedule(currentViewRange) {
 
     try {
       console.log('Fetching schedule for date range:', dateRange)
-      setStatus('Fetching services...')
-      setProgress(0.1)
+      setStatus('Submitting schedule...')
+
+      const submitResponse = await fetch('/api/schedule/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ start: dateRange.start, end: dateRange.end }),
+      })
+      if (!submitResponse.ok) {
+        throw new Error('Failed to start schedule job')
+      }
 
-      const response = await fetch(`/api/schedule?start=${dateRange.start}&end=${dateRange.end}`)
+      const { id } = await submitResponse.json()
+      await waitForScheduleJob(id)
 
+      const response = await fetch(`/api/schedule/jobs/${id}`)
       if (!response.ok) {
         throw new Error('Failed to fetch schedule')
       }
 
-      setProgress(0.3)
-      setStatus('Processing data...')
-
-      const data = await response.json()
+      const { result: data } = await response.json()
       console.log('Schedule API response:', {
         scheduledServices: data.scheduledServices?.length,
         unassignedServices: data.unassignedServices?.length,
         sample: data.scheduledServices?.[0],
       })
 
-      setProgress(0.4)
       setStatus('Preparing services...')
 
       dataRef.current = {
         scheduledServices: data.scheduledServices || [],
+        mealBreaks: data.mealBreaks || [],
         unassignedServices: data.unassignedServices || [],
+        // Insertions time their drives with the speed table the schedule was built with
+        speedProfile: data.speedProfile,
         clusteringInfo: {
           ...data.clusteringInfo,
           performanceDuration: Math.round(performance.now() - startTimeRef.current),
@@ -206,22 +305,35 @@ export function useSchedule(currentViewRange) {
       setStatus('Rendering...')
       setResult({
         assignedServices: [],
+        mealBreaks: [],
         resources: [],
+        unassignedServices: [],
       })
 
       // Start processing batches
       processDataBatch(0)
     } catch (error) {
+      // A newer request or the user stopped this one, whoever did that owns the state now
+      if (error.name === 'AbortError') return
       console.error('Error fetching schedule:', error)
       setStatus('Error occurred')
       setLoading(false)
     }
-  }, [dateRange, processDataBatch])
+  }, [dateRange, processDataBatch, stopScheduleJob, waitForScheduleJob])
+
+  const cancelSchedule = useCallback(() => {
+    stopScheduleJob()
+    setStatus('Cancelled')
+    setLoading(false)
+  }, [stopScheduleJob])
 
   useEffect(() => {
     fetchSchedule()
   }, [fetchSchedule])
 
+  // Cancel the server job if the calendar goes away mid-run
+  useEffect(() => () => stopScheduleJob(), [stopScheduleJob])
+
   const allServices = useMemo(() => {
     return [...result.assignedServices]
   }, [result])
@@ -229,6 +341,29 @@ export function useSchedule(currentViewRange) {
   const { updateServiceEnforcement, updateAllServicesEnforcement, allServicesEnforced } =
     useEnforcement(allServices, fetchSchedule)
 
+  // Locking changes nothing on screen but the lock marks, the next run plans around them
+  const markLockedServices = useCallback(locks => {
+    if (!dataRef.current) return
+    dataRef.current = {
+      ...dataRef.current,
+      scheduledServices: applyLocks(dataRef.current.scheduledServices, locks),
+    }
+    setResult(prevResult => ({
+      ...prevResult,
+      assignedServices: dataRef.current.scheduledServices.map(toCalendarService),
+    }))
+  }, [])
+
+  const {
+    locks,
+    lockService,
+    lockTechDay,
+    lockInsertion,
+    setFreezeHorizon,
+    publishSchedule,
+    isTechDayLocked,
+  } = useLocks(allServices, markLockedServices)
+
   const scheduleServices = useCallback(async (services) => {
     try {
       setLoading(true)
@@ -250,9 +385,74 @@ export function useSchedule(currentViewRange) {
     }
   }, [])
 
+  // Ranked places to add new services to the schedule on screen, see /api/schedule/insert
+  const findInsertionOptions = useCallback(async services => {
+    const response = await fetch('/api/schedule/insert', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        scheduledServices: dataRef.current?.scheduledServices || [],
+        services,
+        speedProfile: dataRef.current?.speedProfile,
+      }),
+    })
+    if (!response.ok) throw new Error('Failed to find insertion options')
+
+    const { insertions } = await response.json()
+    return insertions
+  }, [])
+
+  // Add a new service where the dispatcher picked, moving the services the option shifts and
+  // replacing the tech's meal break that day with the one the option plans. The pick is saved
+  // locked so the next run keeps it.
+  const applyInsertion = useCallback(async (service, option) => {
+    const changes = new Map(option.changes.map(change => [change.id, change]))
+    const day = formatOperationalDate(option.start)
+    const { techId, techName } = option
+    const placed = { ...service, techId, techName, start: option.start, end: option.end }
+    const mealBreak = option.mealBreak && {
+      id: `meal-break-${techId}-${option.mealBreak.start}`,
+      techId,
+      techName,
+      ...option.mealBreak,
+    }
+
+    const data = dataRef.current
+    dataRef.current = {
+      ...data,
+      scheduledServices: [
+        ...data.scheduledServices.map(scheduled => {
+          const change = changes.get(scheduled.id)
+          return change ? { ...scheduled, start: change.start, end: change.end } : scheduled
+        }),
+        placed,
+      ],
+      mealBreaks: [
+        ...data.mealBreaks.filter(
+          mealBreak =>
+            mealBreak.techId !== techId || formatOperationalDate(mealBreak.start) !== day,
+        ),
+        ...(mealBreak ? [mealBreak] : []),
+      ],
+      unassignedServices: data.unassignedServices.filter(
+        unassigned => unassigned.id !== service.id,
+      ),
+    }
+
+    setResult(prevResult => ({
+      ...prevResult,
+      assignedServices: dataRef.current.scheduledServices.map(toCalendarService),
+      mealBreaks: dataRef.current.mealBreaks.map(toMealBreakEvent),
+      unassignedServices: dataRef.current.unassignedServices,
+    }))
+    await lockInsertion(service, option)
+  }, [lockInsertion])
+
   return {
     assignedServices: result.assignedServices,
+    mealBreaks: result.mealBreaks,
     resources: result.resources,
+    unassignedServices: result.unassignedServices,
     isScheduling: loading,
     schedulingProgress: progress,
     schedulingStatus: status,
@@ -260,6 +460,15 @@ export function useSchedule(currentViewRange) {
     updateAllServicesEnforcement,
     allServicesEnforced,
     refetchSchedule: fetchSchedule,
+    cancelSchedule,
     scheduleServices,
+    findInsertionOptions,
+    applyInsertion,
+    locks,
+    lockService,
+    lockTechDay,
+    setFreezeHorizon,
+    publishSchedule: () => publishSchedule(dateRange),
+    isTechDayLocked,
   }
 }
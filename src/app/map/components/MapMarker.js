@@ -22,11 +22,9 @@ const MapMarker = ({ service, markerRefs, setActivePopup, children }) => {
   const markerRef = useRef(null)
   const timeoutRef = useRef(null)
 
-  function getMarkerIcon(techId) {
+  function getMarkerIcon(techId, cluster) {
     const colorKeys = Object.keys(COLORS)
-    const color = techId
-      ? COLORS[colorKeys[(parseInt(techId.replace('Tech ', '')) - 1) % colorKeys.length]]
-      : COLORS.darkgray
+    const color = techId ? COLORS[colorKeys[(cluster - 1) % colorKeys.length]] : COLORS.darkgray
     const icon = techId ? faMapMarker : faCircleExclamation
     const strokeColor = darkenColor(color, 0.25)
     const viewBoxWidth = icon.icon[0] + 32
@@ -119,8 +117,8 @@ const MapMarker = ({ service, markerRefs, setActivePopup, children }) => {
 
   // Memoize the marker icon
   const markerIcon = useMemo(
-    () => getMarkerIcon(service.techId),
-    [service.techId, service.sequenceNumber],
+    () => getMarkerIcon(service.techId, service.cluster),
+    [service.techId, service.cluster, service.sequenceNumber],
   )
 
   return (
@@ -1,17 +1,25 @@
 'use client'
 
 import { useRef, useEffect, useState } from 'react'
-import { dayjsInstance as dayjs } from '@/app/utils/dayjs'
+import {
+  addBusinessDays,
+  dayjsInstance as dayjs,
+  startOfDay,
+  toBusinessClock,
+} from '@/app/utils/dayjs'
 import { ChevronLeft, ChevronRight } from 'lucide-react'
+import { BUSINESS_TIME_ZONE, SCHEDULING_ALGORITHMS } from '@/app/utils/constants'
 
 /**
- * MapTools provides date selection for services
+ * MapTools provides date and scheduling strategy selection for services
  */
 const MapTools = ({
   date,
   setDate,
   handleNextDay,
   fetchClusteredServices,
+  algorithm,
+  setAlgorithm,
   isLoading,
   clearServices,
 }) => {
@@ -21,15 +29,20 @@ const MapTools = ({
    * - Handles date picker interactions
    */
   const toLocalDateString = isoString => {
-    return dayjs(isoString).tz('America/New_York').format('YYYY-MM-DD')
+    return toBusinessClock(isoString).format('YYYY-MM-DD')
   }
 
   const handleDateChange = async e => {
-    const selectedDate = dayjs.tz(e.target.value, 'America/New_York').startOf('day')
+    const selectedDate = startOfDay(dayjs.tz(e.target.value, BUSINESS_TIME_ZONE))
     await setDate(selectedDate.toISOString())
     fetchClusteredServices()
   }
 
+  const handleAlgorithmChange = e => {
+    setAlgorithm(e.target.value)
+    fetchClusteredServices(date, e.target.value)
+  }
+
   const dateRef = useRef(null)
 
   useEffect(() => {
@@ -89,7 +102,7 @@ const MapTools = ({
   }, [isLoading])
 
   const formatStatusDate = date => {
-    return dayjs(date).tz('America/New_York').format('M/D')
+    return toBusinessClock(date).format('M/D')
   }
 
   const handleRefreshDistances = async () => {
@@ -158,16 +171,29 @@ const MapTools = ({
                 className="w-full cursor-pointer rounded border p-2"
               />
             </div>
+            <div>
+              <label htmlFor="algorithm" className="mb-1 block text-sm font-bold">
+                Strategy:
+              </label>
+              <select
+                id="algorithm"
+                value={algorithm}
+                onChange={handleAlgorithmChange}
+                className="w-full cursor-pointer rounded border p-2"
+              >
+                {SCHEDULING_ALGORITHMS.map(name => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
 
           <div className="flex space-x-4">
             <button
               onClick={async () => {
-                const newDate = dayjs
-                  .tz(date, 'America/New_York')
-                  .subtract(1, 'day')
-                  .startOf('day')
-                  .toISOString()
+                const newDate = addBusinessDays(date, -1).toISOString()
                 await setDate(newDate)
                 fetchClusteredServices(newDate)
               }}
@@ -179,11 +205,7 @@ const MapTools = ({
 
             <button
               onClick={async () => {
-                const newDate = dayjs
-                  .tz(date, 'America/New_York')
-                  .add(1, 'day')
-                  .startOf('day')
-                  .toISOString()
+                const newDate = addBusinessDays(date, 1).toISOString()
                 await setDate(newDate)
                 fetchClusteredServices(newDate)
               }}
@@ -7,7 +7,13 @@ import MapTools from '@/app/map/components/MapTools'
 import { chunk } from '@/app/map/utils/array'
 import { getDistance } from '@/app/map/utils/distance'
 import { logMapActivity } from '@/app/map/utils/logging'
-import { SHIFT_DURATION_MS, DEFAULT_DATE } from '@/app/utils/constants'
+import { calculateTravelTime, getLegCrossing } from '@/app/map/utils/travelTime'
+import {
+  SHIFT_DURATION_MS,
+  BUSINESS_TIME_ZONE,
+  DEFAULT_DATE,
+  DEFAULT_SCHEDULING_ALGORITHM,
+} from '@/app/utils/constants'
 import axios from 'axios'
 import 'leaflet/dist/leaflet.css'
 import { MapContainer, TileLayer, Polygon, Polyline } from 'react-leaflet'
@@ -16,7 +22,7 @@ import { BOROUGH_BOUNDARIES } from '@/app/utils/boroughs'
 import { COLORS } from '@/app/map/utils/colors'
 import 'leaflet-polylinedecorator'
 import PolylineWithArrow from './PolylineWithArrow'
-import { dayjsInstance as dayjs } from '@/app/utils/dayjs'
+import { addBusinessDays, dayjsInstance as dayjs, startOfDay } from '@/app/utils/dayjs'
 import MapService from '@/app/map/components/MapService'
 
 // Add debug logging for import
@@ -46,11 +52,11 @@ const MapView = () => {
   // UI state
   const [activePopup, setActivePopup] = useState(null)
   const [date, setDate] = useState(() => {
-    return dayjs.tz(DEFAULT_DATE, 'America/New_York').startOf('day').toISOString()
+    return startOfDay(dayjs.tz(DEFAULT_DATE, BUSINESS_TIME_ZONE)).toISOString()
   })
   const center = [40.72, -73.97] // BK: [40.687, -73.965]
   const markerRefs = useRef({})
-  const [algorithm, setAlgorithm] = useState('kmeans')
+  const [algorithm, setAlgorithm] = useState(DEFAULT_SCHEDULING_ALGORITHM)
 
   const updateServiceEnforcement = useCallback((serviceId, checked) => {
     console.log(`Updating service ${serviceId} enforcement to ${checked}`)
@@ -126,7 +132,7 @@ const MapView = () => {
   }, [])
 
   const fetchClusteredServices = useCallback(
-    async (targetDate = date) => {
+    async (targetDate = date, targetAlgorithm = algorithm) => {
       try {
         setIsLoading(true)
         // Clear existing services first
@@ -136,9 +142,9 @@ const MapView = () => {
         // Force refresh the location and distance data
         await fetch('/api/distance/refresh')
 
-        // Set start date to midnight Eastern and end date to midnight Eastern the next day
-        const startDate = dayjs.tz(targetDate, 'America/New_York').startOf('day')
-        const endDate = dayjs.tz(targetDate, 'America/New_York').add(1, 'day').startOf('day')
+        // Set start date to midnight business time and end date to midnight the next day
+        const startDate = startOfDay(targetDate)
+        const endDate = addBusinessDays(targetDate, 1)
 
         if (!startDate.isValid() || !endDate.isValid()) {
           console.error('Invalid date range')
@@ -150,6 +156,7 @@ const MapView = () => {
           params: {
             start: startDate.toISOString(),
             end: endDate.toISOString(),
+            algorithm: targetAlgorithm,
           },
         })
 
@@ -196,12 +203,12 @@ const MapView = () => {
         setIsLoading(false)
       }
     },
-    [date, addDistanceInfo],
+    [date, algorithm, addDistanceInfo],
   )
 
   // biome-ignore lint/correctness/useExhaustiveDependencies: <explanation>
   useEffect(() => {
-    const defaultDate = dayjs.tz(DEFAULT_DATE, 'America/New_York').startOf('day').toISOString()
+    const defaultDate = startOfDay(dayjs.tz(DEFAULT_DATE, BUSINESS_TIME_ZONE)).toISOString()
     fetchClusteredServices(defaultDate)
   }, [])
 
@@ -214,7 +221,7 @@ const MapView = () => {
 
   // Update the handleNextDay function to properly handle the date
   const handleNextDay = useCallback(async () => {
-    const nextDate = dayjs(date).tz('America/New_York').add(1, 'day').startOf('day')
+    const nextDate = addBusinessDays(date, 1)
     await setDate(nextDate.toISOString())
     return nextDate.toISOString()
   }, [date])
@@ -267,16 +274,18 @@ const MapView = () => {
       // Sort services by sequence number
       const sortedServices = [...services].sort((a, b) => a.sequenceNumber - b.sequenceNumber)
 
-      // Create array of coordinates
-      const coordinates = sortedServices.map(service => [
-        service.location.latitude,
-        service.location.longitude,
-      ])
+      // Create array of coordinates, from the tech's start location and back to their end location
+      const { startLeg } = sortedServices[0]
+      const { endLeg } = sortedServices[sortedServices.length - 1]
+      const coordinates = [
+        ...(startLeg ? [[startLeg.location.latitude, startLeg.location.longitude]] : []),
+        ...sortedServices.map(service => [service.location.latitude, service.location.longitude]),
+        ...(endLeg ? [[endLeg.location.latitude, endLeg.location.longitude]] : []),
+      ]
 
-      // Get color based on tech number (matching marker colors)
+      // Get color based on the tech's stable cluster number (matching marker colors)
       const colorKeys = Object.keys(COLORS)
-      const techNumber = parseInt(techId.replace('Tech ', ''))
-      const color = COLORS[colorKeys[(techNumber - 1) % colorKeys.length]]
+      const color = COLORS[colorKeys[(sortedServices[0].cluster - 1) % colorKeys.length]]
 
       return {
         techId,
@@ -341,7 +350,10 @@ const MapView = () => {
       const distance = matrix[key] || 0
 
       currService.distanceFromPrevious = distance
-      currService.travelTimeFromPrevious = Math.ceil((distance / TECH_SPEED_MPH) * 60)
+      currService.travelTimeFromPrevious = distance
+        ? calculateTravelTime(distance, { from: prevService, to: currService })
+        : 0
+      currService.crossingFromPrevious = getLegCrossing(prevService, currService)
       currService.previousCompany = prevService.company
 
       totalDistance += distance
@@ -413,6 +425,8 @@ const MapView = () => {
         setDate={setDate}
         handleNextDay={handleNextDay}
         fetchClusteredServices={fetchClusteredServices}
+        algorithm={algorithm}
+        setAlgorithm={setAlgorithm}
         isLoading={isLoading}
         clearServices={clearServices}
       />
@@ -485,6 +499,9 @@ const MapView = () => {
           <p>Runtime: {clusteringInfo.performanceDuration} ms</p>
           <p>Connected Points: {clusteringInfo.connectedPointsCount}</p>
           <p>Techs: {Object.keys(clusteringInfo.techAssignments || {}).length}</p>
+          {Number.isFinite(clusteringInfo.continuity?.score) && (
+            <p>Usual tech kept: {clusteringInfo.continuity.score}%</p>
+          )}
           <p>Singles: {clusteringInfo.clusterSizes?.filter(size => size === 1).length || 0}</p>
         </div>
       )}
@@ -45,19 +45,18 @@ export function calculateHaversineDistance(lat1, lon1, lat2, lon2) {
   return R * c
 }
 
-export function calculateTravelTime(lat1, lon1, lat2, lon2) {
-  const R = 3959 // Earth's radius in miles
-  const dLat = ((lat2 - lat1) * Math.PI) / 180
-  const dLon = ((lon2 - lon1) * Math.PI) / 180
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2)
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-  const distance = R * c
-
-  // Assuming 20mph average speed
-  return (distance / 20) * 60 // Returns travel time in minutes
+// Miles between two services from a distance matrix keyed by location ids. Locations it does not
+// have, like tech start and end locations, fall back to a straight line.
+export function createMatrixDistance(distanceMatrix) {
+  return (a, b) => {
+    if (!a?.location || !b?.location) return null
+    const distance = distanceMatrix[`${a.location.id},${b.location.id}`]
+    if (distance !== undefined && distance !== null) return distance
+    return calculateHaversineDistance(
+      a.location.latitude,
+      a.location.longitude,
+      b.location.latitude,
+      b.location.longitude,
+    )
+  }
 }
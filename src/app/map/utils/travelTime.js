@@ -1,8 +1,135 @@
-import { TECH_SPEED_MPH } from '../../utils/constants.js'
+import { TRAVEL_SPEED_PROFILE } from '../../utils/constants.js'
+import { getCrossing, parseCrossings } from '../../utils/crossings.js'
+import { toBusinessClock } from '../../utils/dayjs.js'
 
-export function calculateTravelTime(distance) {
-  if (!distance) return 15 // Default to 15 minutes if no distance available
+const HOUR_MS = 60 * 60 * 1000
 
-  // Calculate travel time in minutes based on distance and speed
-  return Math.ceil((distance / TECH_SPEED_MPH) * 60)
+// Business hour and weekday of each UTC hour asked about. Time zone offsets are whole hours, so
+// every moment in a UTC hour shares them, and estimates in a search loop skip the time zone math.
+const clockCache = new Map()
+function getBusinessClock(at) {
+  const key = Math.floor(new Date(at).getTime() / HOUR_MS)
+  if (!clockCache.has(key)) {
+    const time = toBusinessClock(key * HOUR_MS)
+    clockCache.set(key, { hour: time.hour(), weekday: time.day() })
+  }
+  return clockCache.get(key)
 }
+
+// Keys each part of a speed table takes, and whether they are valid
+const TABLE_KEYS = {
+  hours: key => Number.isInteger(Number(key)) && key >= 0 && key <= 23,
+  weekdays: key => Number.isInteger(Number(key)) && key >= 0 && key <= 6,
+  boroughs: () => true,
+}
+
+/**
+ * Read a speed table to save, as an object or a JSON string
+ * @param {Object|string} values - { baseMph, hours, weekdays, boroughs, crossings }, all optional
+ * @returns {Object} { profile }, or { error } when the input is invalid
+ */
+export function parseSpeedProfile(values) {
+  let profile = values
+  if (typeof values === 'string') {
+    try {
+      profile = JSON.parse(values)
+    } catch {
+      return { error: 'Invalid speed table, expected a JSON object' }
+    }
+  }
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return { error: 'Invalid speed table, expected a JSON object' }
+  }
+
+  const parsed = {}
+  for (const [part, value] of Object.entries(profile)) {
+    if (part === 'baseMph') {
+      if (!(Number(value) > 0)) return { error: 'Invalid baseMph, expected a number above 0' }
+      parsed.baseMph = Number(value)
+      continue
+    }
+    if (part === 'crossings') {
+      const crossings = parseCrossings(value)
+      if (crossings.error) return crossings
+      parsed.crossings = crossings.crossings
+      continue
+    }
+    if (!TABLE_KEYS[part]) {
+      return {
+        error: `Unknown part ${part}, expected baseMph, hours, weekdays, boroughs or crossings`,
+      }
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { error: `Invalid ${part}, expected multipliers by key` }
+    }
+    parsed[part] = {}
+    for (const [key, multiplier] of Object.entries(value)) {
+      if (!TABLE_KEYS[part](key) || !(Number(multiplier) > 0)) {
+        return { error: `Invalid ${part} multiplier for ${key}, expected a number above 0` }
+      }
+      parsed[part][key] = Number(multiplier)
+    }
+  }
+  return { profile: parsed }
+}
+
+/**
+ * Drive estimates with a speed table, parts it leaves out keep the defaults
+ * @param {Object} [profile] - { baseMph, hours, weekdays, boroughs, crossings } as in
+ *   TRAVEL_SPEED_PROFILE
+ * @returns {Object} { getTravelSpeed, getLegCrossing, calculateTravelTime } estimating with it
+ */
+export function createTravelTime(profile = {}) {
+  const speedProfile = { ...TRAVEL_SPEED_PROFILE, ...profile }
+
+  /**
+   * Average speed of a drive leaving at a given time in a given borough
+   * baseMph is scaled by the multiplier of the business hour, of the weekday and of the borough,
+   * anything the table does not list drives at 1.
+   * @param {Object} [leg]
+   * @param {Date|string|number} [leg.at] - When the drive leaves, base speed without it
+   * @param {string[]} [leg.boroughs] - Boroughs of both ends, their multipliers are averaged
+   * @returns {number} Miles per hour
+   */
+  function getTravelSpeed({ at, boroughs = [] } = {}) {
+    const { baseMph, hours = {}, weekdays = {}, boroughs: byBorough = {} } = speedProfile
+    let mph = baseMph
+    if (at !== undefined && at !== null) {
+      const { hour, weekday } = getBusinessClock(at)
+      mph *= (hours[hour] ?? 1) * (weekdays[weekday] ?? 1)
+    }
+    const known = boroughs.filter(Boolean)
+    if (known.length) {
+      mph *= known.reduce((sum, borough) => sum + (byBorough[borough] ?? 1), 0) / known.length
+    }
+    return mph
+  }
+
+  // Bridges and tunnels between the boroughs of two services, null when they share one
+  function getLegCrossing(from, to) {
+    return getCrossing(from?.borough, to?.borough, speedProfile.crossings)
+  }
+
+  /**
+   * Minutes to drive a distance, the one estimate every schedule and view uses
+   * Legs between boroughs add the minutes of the crossings they take.
+   * @param {number} distance - Miles
+   * @param {Object} [leg]
+   * @param {Date|string|number} [leg.at] - When the drive leaves, the end of from by default
+   * @param {Object} [leg.from] - Service or stop driven from, its borough when it has one
+   * @param {Object} [leg.to] - Service or stop driven to
+   * @returns {number} Whole minutes
+   */
+  function calculateTravelTime(distance, { at, from, to } = {}) {
+    if (!distance) return 15 // Default to 15 minutes if no distance available
+
+    const mph = getTravelSpeed({ at: at ?? from?.end, boroughs: [from?.borough, to?.borough] })
+    return Math.ceil((distance / mph) * 60) + (getLegCrossing(from, to)?.minutes || 0)
+  }
+
+  return { getTravelSpeed, getLegCrossing, calculateTravelTime }
+}
+
+// Estimates with the default speed table, for views and anything not run with a saved one
+export const defaultTravelTime = createTravelTime()
+export const { getTravelSpeed, getLegCrossing, calculateTravelTime } = defaultTravelTime
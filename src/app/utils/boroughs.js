@@ -1,5 +1,4 @@
 import * as turf from '@turf/turf'
-import { ENFORCE_BOROUGH_BOUNDARIES } from './constants.js'
 
 /**
  * NYC Borough and NJ Service Area Boundaries
@@ -8,6 +7,7 @@ import { ENFORCE_BOROUGH_BOUNDARIES } from './constants.js'
  *   https://data.cityofnewyork.us/City-Government/Borough-Boundaries/tqmj-j8zm
  * - NJ: NJ State GIS Hudson County Boundary (2024)
  *   https://njogis-newjersey.opendata.arcgis.com/datasets/newjersey::county-boundaries-of-nj
+ * Staten Island and NJ are simplified outlines, close enough to tell which crossing a drive takes.
  * Last Updated: 2024-03-19
  */
 
@@ -301,6 +301,59 @@ export const BOROUGH_BOUNDARIES = {
       ],
     },
   },
+  'staten island': {
+    type: 'Feature',
+    properties: { borough: 'staten island' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [-74.068, 40.648], // Start at St. George
+          [-74.1, 40.645],
+          [-74.14, 40.642],
+          [-74.188, 40.64],
+          [-74.203, 40.633],
+          [-74.205, 40.595],
+          [-74.215, 40.56],
+          [-74.246, 40.516],
+          [-74.255, 40.496],
+          [-74.2, 40.519],
+          [-74.13, 40.542],
+          [-74.09, 40.575],
+          [-74.055, 40.604],
+          [-74.073, 40.628],
+          [-74.068, 40.648], // Close polygon
+        ],
+      ],
+    },
+  },
+  NJ: {
+    type: 'Feature',
+    properties: { borough: 'NJ' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [-74.002, 40.808], // Start at the Hudson in North Bergen
+          [-74.015, 40.77],
+          [-74.026, 40.75],
+          [-74.032, 40.718],
+          [-74.045, 40.695],
+          [-74.07, 40.665],
+          [-74.085, 40.652],
+          [-74.145, 40.646],
+          [-74.135, 40.67],
+          [-74.12, 40.7],
+          [-74.115, 40.735],
+          [-74.16, 40.745],
+          [-74.14, 40.79],
+          [-74.085, 40.8],
+          [-74.035, 40.83],
+          [-74.002, 40.808], // Close polygon
+        ],
+      ],
+    },
+  },
 }
 
 export function getBorough(lat, lng) {
@@ -315,9 +368,3 @@ export function getBorough(lat, lng) {
 
   return null
 }
-
-export function areSameBorough(lat1, lng1, lat2, lng2) {
-  const borough1 = getBorough(lat1, lng1)
-  const borough2 = getBorough(lat2, lng2)
-  return borough1 === borough2
-}
@@ -1,9 +1,35 @@
 // Clustering constants
 export const NUM_TECHS = -1 // Maximum number of techs to consider
-export const MAX_RADIUS_MILES_ACROSS_BOROUGHS = 3 // Soft cap - services beyond this distance get penalized
 export const HARD_MAX_RADIUS_MILES = 6 // Hard cap - services beyond this distance cannot be connected
-export const ENFORCE_BOROUGH_BOUNDARIES = true
 export const TECH_SPEED_MPH = 10 // Average technician travel speed in miles per hour
+// Bridges and tunnels between boroughs by pair of boroughs, sorted and joined with |. minutes are
+// added to the drive for queues and approaches, toll is the fare in dollars. Boroughs without an
+// allowed crossing between them are driven through the cheapest chain of crossings that are.
+export const BOROUGH_CROSSINGS = {
+  'brooklyn|manhattan': { name: 'East River bridges', minutes: 12, toll: 0, allowed: true },
+  'manhattan|queens': { name: 'Queensboro Bridge', minutes: 10, toll: 0, allowed: true },
+  'bronx|manhattan': { name: 'Harlem River bridges', minutes: 6, toll: 0, allowed: true },
+  'brooklyn|queens': { name: 'Newtown Creek', minutes: 3, toll: 0, allowed: true },
+  'bronx|queens': { name: 'Whitestone Bridge', minutes: 10, toll: 11.19, allowed: true },
+  'brooklyn|staten island': { name: 'Verrazzano Bridge', minutes: 12, toll: 7, allowed: true },
+  'NJ|manhattan': { name: 'Lincoln and Holland tunnels', minutes: 25, toll: 17.63, allowed: true },
+  'NJ|staten island': { name: 'Goethals Bridge', minutes: 12, toll: 17.63, allowed: true },
+  // The ferry takes no vans
+  'manhattan|staten island': { name: 'Staten Island Ferry', minutes: 30, toll: 0, allowed: false },
+}
+// Minutes charged for a drive between boroughs no chain of allowed crossings connects
+export const CLOSED_CROSSING_MINUTES = 120
+export const TOLL_COST = 2 // Objective minutes charged for every dollar of tolls, about a tech's pay
+// Drive speeds as multipliers of baseMph by business hour (0-23), weekday (0 is Sunday) and
+// borough, a leg between two boroughs averages them and adds its crossings. Dispatchers can save
+// their own table.
+export const TRAVEL_SPEED_PROFILE = {
+  baseMph: TECH_SPEED_MPH,
+  hours: { 7: 0.8, 8: 0.7, 9: 0.8, 16: 0.8, 17: 0.7, 18: 0.8, 22: 1.2, 23: 1.3, 0: 1.3, 1: 1.3 },
+  weekdays: { 0: 1.2, 6: 1.1 },
+  boroughs: { manhattan: 0.8, brooklyn: 0.9, queens: 1, bronx: 1 },
+  crossings: BOROUGH_CROSSINGS,
+}
 export const MERGE_CLOSEST_SHIFTS = 10 // Number of closest shifts to consider for merging
 export const MAX_TIME_SEARCH = 2 * 60 // 2 hours in minutes
 export const MAX_MERGE_ATTEMPTS = 6 // Limit merge attempts per shift
@@ -12,12 +38,113 @@ export const TECH_START_TIME_VARIANCE = 20 * 60 * 1000 // 20 minutes in millisec
 // Scheduling constraints
 export const MIN_BUFFER_BETWEEN_SERVICES = 15 * 60 * 1000 // 15 minute minimum buffer between services
 export const LONG_SERVICE_THRESHOLD = 240 // 4 hours in minutes - services longer than this get special handling
+export const MAX_SERVICES_PER_SHIFT = 14 // Safety limit for services a single tech can take in a day
+export const LOCAL_SEARCH_TIME_BUDGET_MS = 2000 // Time allowed for the post-optimizer to improve shifts
+// Where techs without a home base of their own start and end their day, null when not configured
+export const DEFAULT_DEPOT = process.env.NEXT_PUBLIC_DEPOT_LATITUDE
+  ? {
+      latitude: Number(process.env.NEXT_PUBLIC_DEPOT_LATITUDE),
+      longitude: Number(process.env.NEXT_PUBLIC_DEPOT_LONGITUDE),
+      address: process.env.NEXT_PUBLIC_DEPOT_ADDRESS || null,
+    }
+  : null
+export const MEAL_BREAK_MINUTES = 30 // Unpaid break in every shift that runs past the break window
+export const MEAL_BREAK_WINDOW_HOURS = [3, 5] // The break starts and ends between these hours into the shift
+export const UNASSIGNED_SERVICE_COST = 240 // Objective minutes charged for leaving a service unassigned
+export const CONTINUITY_WEIGHT = 10 // Objective minutes charged for a service done by someone other than its usual tech
+
+// Inserting a new service into a published schedule, options are ranked by the objective cost
+// they add plus this many minutes for every scheduled service the insertion moves
+export const INSERTION_DISRUPTION_WEIGHT = 15
+export const INSERTION_OPTIONS_LIMIT = 3 // Options returned for each new service
+
+// Shift templates techs can be rostered on, picked per tech with shift.template in the roster overrides.
+// spanHours is the longest a day may run from leaving the start location to getting back, overtime
+// and the unpaid meal break included.
+export const SHIFT_TEMPLATES = {
+  half: { hours: 4, spanHours: 5.5 },
+  standard: { hours: 8, spanHours: 9.5 },
+  extended: { hours: 10, spanHours: 11.5 },
+}
+export const DEFAULT_SHIFT_TEMPLATE = 'standard'
+
+// Overtime past a tech's regular hours, charged to the objective at costMultiplier per minute
+export const OVERTIME_POLICY = {
+  graceMinutes: 5, // Running up to 5 minutes over is not counted as overtime
+  allowedMinutes: 60, // Longest overtime a shift may run, a tech's own maxHours can lower it
+  costMultiplier: 1.5,
+}
+
+// Soft time windows: a visit may start up to its tolerance after its window closes, each minute
+// late costs LATENESS_COST in the objective. The tolerance is set per setup, or else by service
+// code for a whole class of customers.
+export const LATENESS_COST = 3
+export const DEFAULT_LATENESS_TOLERANCE_MINUTES = 0
+export const LATENESS_TOLERANCE_BY_CODE = {
+  MONTHLY: 30, // Routine visits, customers take them up to half an hour late
+  QUARTERLY: 30,
+  FUMIGATION: 0, // Treatments booked around the customer's hours are never late
+  'BED BUG HEAT': 0,
+}
+
+// Objective every schedule is scored with, the cost per unit of each term in minutes. A request
+// can pick a profile and override single weights.
+export const DEFAULT_OBJECTIVE_WEIGHTS = {
+  travelMinutes: 1, // Driving, including the legs from and back to the tech's start location
+  miles: 0,
+  idleMinutes: 1, // Paid waiting between services
+  overtimeMinutes: OVERTIME_POLICY.costMultiplier,
+  techs: 0, // Every tech-day with at least one service
+  windowDeviationMinutes: 0, // Minutes a service starts away from its preferred time
+  lateMinutes: LATENESS_COST, // Minutes a service starts after its window, within its tolerance
+  tolls: TOLL_COST, // Dollars of bridge and tunnel tolls between services
+  reassignedServices: CONTINUITY_WEIGHT,
+  unassignedServices: UNASSIGNED_SERVICE_COST, // Times the weight of the service's priority tier
+}
+export const OBJECTIVE_PROFILES = {
+  default: {},
+  fewerTechs: { techs: 120 },
+  shortestDrive: { miles: 2 },
+  onTime: { windowDeviationMinutes: 0.5, lateMinutes: 10 },
+}
+
+// Skills a tech needs for services with these PestPac service codes, techs get their skills in
+// the roster overrides. Codes not listed here can be done by any tech.
+export const SERVICE_CODE_SKILLS = {
+  FUMIGATION: ['fumigation'],
+  'BED BUG HEAT': ['heat-treatment'],
+  BIRD: ['bird'],
+}
+
+// Priority tiers, most urgent first. Leaving a service unassigned costs the unassignedServices
+// weight times its tier's weight, so higher tiers are protected first when capacity runs short.
+export const PRIORITY_TIERS = {
+  critical: { rank: 1, weight: 4 },
+  high: { rank: 2, weight: 2 },
+  standard: { rank: 3, weight: 1 },
+  low: { rank: 4, weight: 0.5 },
+}
+export const DEFAULT_PRIORITY_TIER = 'standard'
+export const HIGH_PRIORITY_VISITS_PER_YEAR = 52 // Contracts visited weekly or more are high tier
+export const INSPECTION_DEADLINE_DAYS = 7 // Visits this close to a health inspection are critical
+
+// Week planning moves visits due at most this often to another allowed day of their week, more
+// frequent visits keep their day so the time between them stays as scheduled
+export const WEEK_PLAN_MAX_VISITS_PER_YEAR = 12
+export const WEEK_PLAN_DEFAULT_DAYS = [1, 2, 3, 4, 5] // Monday to Friday, for setups without route days
+
+// Construction strategies the schedule worker can run, selected with ?algorithm=
+export const SCHEDULING_ALGORITHMS = ['shifts', 'savings', 'insertion']
+export const DEFAULT_SCHEDULING_ALGORITHM = 'shifts'
 
 // Time constants
+export const BUSINESS_TIME_ZONE = process.env.NEXT_PUBLIC_BUSINESS_TIME_ZONE || 'America/New_York'
 export const MINUTES_PER_HOUR = 60
-export const HOURS_PER_SHIFT = 8
+export const HOURS_PER_SHIFT = SHIFT_TEMPLATES[DEFAULT_SHIFT_TEMPLATE].hours
 export const SHIFT_DURATION = HOURS_PER_SHIFT * MINUTES_PER_HOUR
 export const SHIFT_DURATION_MS = HOURS_PER_SHIFT * 60 * 60 * 1000 // 8 hours in milliseconds
+export const MAX_SHIFT_DURATION_MS = SHIFT_DURATION_MS + OVERTIME_POLICY.allowedMinutes * 60 * 1000
+export const OPERATIONAL_DAY_CUTOFF_HOUR = 4 // Work before 4am belongs to the previous day's night routes
 
 // Default date for calendar and map views
 export const DEFAULT_DATE = '2025-01-06' // Default date in YYYY-MM-DD format
@@ -0,0 +1,62 @@
+// src/app/utils/constraintTrace.js
+
+// Constraints that kept a service out of a shift when the schedule tried to place it there. The
+// route ones are listed in the order a route is checked, so a later one means the service got
+// closer to fitting.
+export const CONSTRAINTS = {
+  SHIFT_FIXED: 'SHIFT_FIXED',
+  TECH_NOT_QUALIFIED: 'TECH_NOT_QUALIFIED',
+  SERVICE_CAP: 'SERVICE_CAP',
+  RADIUS: 'RADIUS', // Farther than HARD_MAX_RADIUS_MILES from the services around it
+  TIME_WINDOW: 'TIME_WINDOW',
+  TRAVEL_TIME: 'TRAVEL_TIME',
+  MEAL_BREAK: 'MEAL_BREAK',
+  SHIFT_LENGTH: 'SHIFT_LENGTH',
+}
+
+const ROUTE_CONSTRAINTS = [
+  CONSTRAINTS.RADIUS,
+  CONSTRAINTS.TIME_WINDOW,
+  CONSTRAINTS.TRAVEL_TIME,
+  CONSTRAINTS.MEAL_BREAK,
+  CONSTRAINTS.SHIFT_LENGTH,
+]
+
+// Of the constraints that blocked each position in a shift, the one that kept the service out:
+// a skill it lacks at any position, or else the route constraint closest to fitting
+export function getClosestConstraint(constraints) {
+  if (constraints.includes(CONSTRAINTS.TECH_NOT_QUALIFIED)) return CONSTRAINTS.TECH_NOT_QUALIFIED
+  return ROUTE_CONSTRAINTS[Math.max(...constraints.map(c => ROUTE_CONSTRAINTS.indexOf(c)))]
+}
+
+/**
+ * Which constraints blocked each shift when a service was tried in the shifts of its day
+ * @param {Object[]} attempts - { techId, techName, blockedBy } of every shift tried, blockedBy
+ *   empty when the shift had room
+ * @returns {{ candidateShifts: number, blockedBy: Object, shifts: Object[] }} Shifts tried, how
+ *   many of them each constraint blocked, and the constraints of each
+ */
+export function createTrace(attempts) {
+  const blockedBy = {}
+  for (const attempt of attempts) {
+    for (const constraint of attempt.blockedBy) {
+      blockedBy[constraint] = (blockedBy[constraint] || 0) + 1
+    }
+  }
+  return { candidateShifts: attempts.length, blockedBy, shifts: attempts }
+}
+
+// The constraint that blocked the most shifts, NO_SHIFT_ON_DAY without any and NO_VALID_SHIFT_FIT
+// when a shift had room the schedule did not use
+export function getMainConstraint(trace) {
+  if (!trace.candidateShifts) return 'NO_SHIFT_ON_DAY'
+  if (trace.shifts.some(shift => !shift.blockedBy.length)) return 'NO_VALID_SHIFT_FIT'
+  return Object.entries(trace.blockedBy).sort((a, b) => b[1] - a[1])[0][0]
+}
+
+// Fewest constraints that blocked any one shift, 0 when a shift had room and Infinity when there
+// was no shift on the day or no trace at all
+export function getClosestFit(trace) {
+  if (!trace?.shifts.length) return Infinity
+  return Math.min(...trace.shifts.map(shift => shift.blockedBy.length))
+}
@@ -0,0 +1,158 @@
+// src/app/utils/construction.js
+import { HARD_MAX_RADIUS_MILES, MAX_SERVICES_PER_SHIFT } from './constants.js'
+import { startOfOperationalDay } from './dayjs.js'
+import { timeRoute } from './localSearch.js'
+import { canTechServe } from './skills.js'
+
+const getDayKey = date => startOfOperationalDay(date).valueOf()
+
+// Existing shifts that can still take services become the starting routes
+function createSeedRoutes(seeds, context) {
+  return seeds
+    .map(seed => {
+      const services = [...seed.services].sort((a, b) => new Date(a.start) - new Date(b.start))
+      return {
+        seed,
+        services,
+        timing: timeRoute(services, context),
+        day: getDayKey(services[0].start),
+      }
+    })
+    .filter(route => route.timing)
+}
+
+// Where a day's routes start and end for the savings, the configured depot or else the middle of
+// the day's services
+function getDayDepot(services, depot) {
+  if (depot) return depot
+  const located = services.filter(s => s.location?.latitude && s.location?.longitude)
+  if (!located.length) return null
+  return {
+    id: `depot:${getDayKey(located[0].start || located[0].earliestStart)}`,
+    latitude: located.reduce((sum, s) => sum + Number(s.location.latitude), 0) / located.length,
+    longitude: located.reduce((sum, s) => sum + Number(s.location.longitude), 0) / located.length,
+  }
+}
+
+/**
+ * Savings (Clarke–Wright) construction
+ * Every service starts on its own route out of the depot and back. For every pair of services
+ * on the same day, joining their routes saves s(i, j) = d(0, i) + d(0, j) - d(i, j). Pairs are
+ * taken from the largest saving down, and the route ending in i is joined to the route starting
+ * with j as long as the joined route stays feasible and one tech is qualified for all of it.
+ * Routes are timed with the drive from the depot and back, days without a depot configured use
+ * the middle of their services for the savings only.
+ * @param {Object[]} services - Prepared services that still need a shift
+ * @param {Object[]} seeds - Shifts that already hold services and may be extended
+ * @param {Object} context - { getDistance, travelTime, maxShiftMs, weights } as used by timeRoute,
+ *   and the depot location
+ * @returns {Object[]} Routes with their seed shift (if any), services in order and timing
+ */
+export function buildSavingsRoutes(services, seeds, { depot = null, ...timingContext }) {
+  const context = { ...timingContext, startLocation: depot, endLocation: depot }
+  const routes = createSeedRoutes(seeds, context)
+  const routeOf = new Map()
+  routes.forEach(route => route.services.forEach(service => routeOf.set(service, route)))
+
+  for (const service of services) {
+    const timing = timeRoute([service], context)
+    if (!timing) continue
+    const route = { seed: null, services: [service], timing, day: getDayKey(service.earliestStart) }
+    routes.push(route)
+    routeOf.set(service, route)
+  }
+
+  const servicesByDay = new Map()
+  for (const [service, route] of routeOf) {
+    if (!servicesByDay.has(route.day)) servicesByDay.set(route.day, [])
+    servicesByDay.get(route.day).push(service)
+  }
+
+  const savings = []
+  for (const dayServices of servicesByDay.values()) {
+    const dayDepot = getDayDepot(dayServices, depot)
+    const fromDepot = service =>
+      dayDepot ? (context.getDistance({ location: dayDepot }, service) ?? 0) : 0
+    for (let i = 0; i < dayServices.length; i++) {
+      for (let j = i + 1; j < dayServices.length; j++) {
+        const a = dayServices[i]
+        const b = dayServices[j]
+        const distance = context.getDistance(a, b)
+        if (distance === null || distance > HARD_MAX_RADIUS_MILES) continue
+        const saving = fromDepot(a) + fromDepot(b) - distance
+        savings.push({ from: a, to: b, saving, distance }, { from: b, to: a, saving, distance })
+      }
+    }
+  }
+  savings.sort((a, b) => b.saving - a.saving || a.distance - b.distance)
+
+  for (const { from, to } of savings) {
+    const routeA = routeOf.get(from)
+    const routeB = routeOf.get(to)
+    if (routeA === routeB || (routeA.seed && routeB.seed)) continue
+    if (routeA.services[routeA.services.length - 1] !== from || routeB.services[0] !== to) continue
+    if (routeA.services.length + routeB.services.length > MAX_SERVICES_PER_SHIFT) continue
+
+    const joined = [...routeA.services, ...routeB.services]
+    if (!canTechServe((routeA.seed || routeB.seed)?.techId, joined)) continue
+    const timing = timeRoute(joined, context)
+    if (!timing) continue
+
+    routeA.seed = routeA.seed || routeB.seed
+    routeA.services = joined
+    routeA.timing = timing
+    routeB.services.forEach(service => routeOf.set(service, routeA))
+    routeB.services = []
+  }
+
+  return routes.filter(route => route.services.length)
+}
+
+/**
+ * Insertion construction
+ * Services are taken in order of their latest allowed start and placed at the cheapest
+ * feasible position of any route on the same day, opening a new route when none fits.
+ * Routes are timed with the drive from the depot and back, when one is configured.
+ * @param {Object[]} services - Prepared services that still need a shift
+ * @param {Object[]} seeds - Shifts that already hold services and may be extended
+ * @param {Object} context - { getDistance, travelTime, maxShiftMs, weights } as used by timeRoute,
+ *   and the depot location
+ * @returns {Object[]} Routes with their seed shift (if any), services in order and timing
+ */
+export function buildInsertionRoutes(services, seeds, { depot = null, ...timingContext }) {
+  const context = { ...timingContext, startLocation: depot, endLocation: depot }
+  const routes = createSeedRoutes(seeds, context)
+  const orderedServices = [...services].sort(
+    (a, b) => a.latestStart - b.latestStart || a.earliestStart - b.earliestStart,
+  )
+
+  for (const service of orderedServices) {
+    const day = getDayKey(service.earliestStart)
+    let best = null
+
+    for (const route of routes) {
+      if (route.day !== day || route.services.length >= MAX_SERVICES_PER_SHIFT) continue
+      for (let k = 0; k <= route.services.length; k++) {
+        const candidate = [...route.services.slice(0, k), service, ...route.services.slice(k)]
+        if (!canTechServe(route.seed?.techId, candidate)) break
+        const timing = timeRoute(candidate, context)
+        if (!timing) continue
+        const addedCost = timing.cost - route.timing.cost
+        if (!best || addedCost < best.addedCost) {
+          best = { route, services: candidate, timing, addedCost }
+        }
+      }
+    }
+
+    if (best) {
+      best.route.services = best.services
+      best.route.timing = best.timing
+      continue
+    }
+
+    const timing = timeRoute([service], context)
+    if (timing) routes.push({ seed: null, services: [service], timing, day })
+  }
+
+  return routes
+}
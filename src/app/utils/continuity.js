@@ -0,0 +1,25 @@
+// src/app/utils/continuity.js
+
+// The tech PestPac has on a service's setup, whom the customer is used to seeing
+export function getUsualTechCode(service) {
+  return service.tech?.code?.trim() || null
+}
+
+// Services without a usual tech are with theirs wherever they go
+export function isWithUsualTech(service, techId) {
+  const usualTechCode = getUsualTechCode(service)
+  return !usualTechCode || usualTechCode === techId
+}
+
+/**
+ * Share of scheduled services done by their usual tech
+ * @param {Object[]} services - Scheduled services with their techId
+ * @returns {{ kept: number, total: number, score: number|null }} Services kept with their usual
+ *   tech out of those that have one, score in percent or null when none have one
+ */
+export function getContinuityScore(services) {
+  const withUsualTech = services.filter(getUsualTechCode)
+  const kept = withUsualTech.filter(service => service.techId === getUsualTechCode(service)).length
+  const total = withUsualTech.length
+  return { kept, total, score: total ? Number(((kept / total) * 100).toFixed(1)) : null }
+}
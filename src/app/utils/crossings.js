@@ -0,0 +1,110 @@
+// src/app/utils/crossings.js
+import { BOROUGH_CROSSINGS, CLOSED_CROSSING_MINUTES } from './constants.js'
+
+export const getCrossingKey = (a, b) => [a, b].sort().join('|')
+
+// Cheapest chain of allowed crossings from each borough to every other one a table connects,
+// worked out once per table
+const routesCache = new WeakMap()
+function getCrossingRoutes(crossings) {
+  if (routesCache.has(crossings)) return routesCache.get(crossings)
+
+  const routes = new Map()
+  const boroughs = new Set()
+  const setRoute = (a, b, route) => {
+    routes.set(`${a}>${b}`, route)
+    routes.set(`${b}>${a}`, {
+      ...route,
+      names: [...route.names].reverse(),
+      via: [...route.via].reverse(),
+    })
+  }
+  for (const [key, crossing] of Object.entries(crossings)) {
+    const [a, b] = key.split('|')
+    boroughs.add(a).add(b)
+    if (crossing.allowed === false) continue
+    setRoute(a, b, {
+      names: [crossing.name || key],
+      via: [],
+      minutes: crossing.minutes || 0,
+      toll: crossing.toll || 0,
+    })
+  }
+
+  // Floyd-Warshall, the table has a handful of boroughs
+  for (const through of boroughs) {
+    for (const a of boroughs) {
+      for (const b of boroughs) {
+        if (a >= b || a === through || b === through) continue
+        const first = routes.get(`${a}>${through}`)
+        const second = routes.get(`${through}>${b}`)
+        const current = routes.get(`${a}>${b}`)
+        if (!first || !second || first.minutes + second.minutes >= (current?.minutes ?? Infinity)) {
+          continue
+        }
+        setRoute(a, b, {
+          names: [...first.names, ...second.names],
+          via: [...first.via, through, ...second.via],
+          minutes: first.minutes + second.minutes,
+          toll: first.toll + second.toll,
+        })
+      }
+    }
+  }
+
+  routesCache.set(crossings, routes)
+  return routes
+}
+
+/**
+ * Bridges and tunnels a drive between two boroughs takes
+ * A pair without an allowed crossing of its own goes through other boroughs, the chain with the
+ * fewest minutes wins. Drives within a borough, or from somewhere without a known borough, cross
+ * nothing.
+ * @param {string} [from] - Borough driven from
+ * @param {string} [to] - Borough driven to
+ * @param {Object} [crossings] - Crossings by pair as in BOROUGH_CROSSINGS
+ * @returns {Object|null} { names, via, minutes, toll, allowed } in driving order, allowed is false
+ *   when no chain connects the two and the drive is charged CLOSED_CROSSING_MINUTES
+ */
+export function getCrossing(from, to, crossings = BOROUGH_CROSSINGS) {
+  if (!from || !to || from === to) return null
+
+  const route = getCrossingRoutes(crossings).get(`${from}>${to}`)
+  if (!route) {
+    return { names: [], via: [], minutes: CLOSED_CROSSING_MINUTES, toll: 0, allowed: false }
+  }
+  return { ...route, allowed: true }
+}
+
+/**
+ * Read a crossing table to save, every pair needs its minutes
+ * @param {Object} crossings - { 'a|b': { name, minutes, toll, allowed } }
+ * @returns {Object} { crossings }, or { error } when the input is invalid
+ */
+export function parseCrossings(crossings) {
+  if (!crossings || typeof crossings !== 'object' || Array.isArray(crossings)) {
+    return { error: 'Invalid crossings, expected crossings by pair of boroughs' }
+  }
+
+  const parsed = {}
+  for (const [key, crossing] of Object.entries(crossings)) {
+    const [a, b, ...rest] = key.split('|')
+    if (!a || !b || rest.length || a === b) {
+      return { error: `Invalid crossing ${key}, expected two boroughs joined with |` }
+    }
+    if (!crossing || !(Number(crossing.minutes) >= 0)) {
+      return { error: `Invalid minutes for crossing ${key}, expected a number of 0 or more` }
+    }
+    if (crossing.toll !== undefined && !(Number(crossing.toll) >= 0)) {
+      return { error: `Invalid toll for crossing ${key}, expected a number of 0 or more` }
+    }
+    parsed[getCrossingKey(a, b)] = {
+      ...(crossing.name && { name: String(crossing.name) }),
+      minutes: Number(crossing.minutes),
+      toll: Number(crossing.toll || 0),
+      allowed: crossing.allowed !== false,
+    }
+  }
+  return { crossings: parsed }
+}
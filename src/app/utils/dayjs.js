@@ -8,6 +8,7 @@ import isSameOrBefore from 'dayjs/plugin/isSameOrBefore.js'
 import minMax from 'dayjs/plugin/minMax.js'
 import timezone from 'dayjs/plugin/timezone.js'
 import utc from 'dayjs/plugin/utc.js'
+import { BUSINESS_TIME_ZONE, OPERATIONAL_DAY_CUTOFF_HOUR } from './constants.js'
 
 dayjs.extend(utc)
 dayjs.extend(timezone)
@@ -20,19 +21,68 @@ dayjs.extend(duration)
 
 export const dayjsInstance = dayjs
 
-// Set the default timezone to 'America/New_York'
-dayjs.tz.setDefault('America/New_York')
+// Every business date and time of day is read in this time zone, whatever the server runs in
+dayjs.tz.setDefault(BUSINESS_TIME_ZONE)
 
-export const startOfDay = date =>
-  dayjs(date).tz('America/New_York').startOf('day')
-export const endOfDay = date => dayjs(date).tz('America/New_York').endOf('day')
+const offsetFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: BUSINESS_TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+})
+
+// Minutes the business zone is ahead of UTC at a moment, read from Intl rather than the host
+function getBusinessOffset(ms) {
+  const parts = Object.fromEntries(
+    offsetFormat.formatToParts(new Date(ms)).map(({ type, value }) => [type, Number(value)]),
+  )
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  )
+  return Math.round((wallClock - Math.floor(ms / 1000) * 1000) / 60000)
+}
+
+// Business wall clock of a moment as a UTC dayjs, so its date and time of day read the same in
+// every host zone. Zoned dayjs instances read theirs through the host's local Date, which is an
+// hour off around the host's own clock changes.
+export function toBusinessClock(date) {
+  const ms = ensureDayjs(date).valueOf()
+  return dayjs.utc(ms + getBusinessOffset(ms) * 60000)
+}
+
+// The moment a business wall clock (as a UTC dayjs or ms) falls on. A time the clocks skip in
+// spring is read with the offset from before the change, so 2:30 becomes 3:30. One the clocks
+// repeat in the fall is the first of the two.
+function fromBusinessClock(clock) {
+  const wallClock = dayjs.utc(clock).valueOf()
+  const before = wallClock - getBusinessOffset(wallClock - 24 * 3600 * 1000) * 60000
+  const after = wallClock - getBusinessOffset(wallClock + 24 * 3600 * 1000) * 60000
+  const ms = [before, after].find(time => time - wallClock === -getBusinessOffset(time) * 60000)
+  return toBusinessTime(ms ?? before)
+}
+
+// A moment with the business zone's offset at that moment. Its instant is exact in any host zone,
+// read its date and time of day with toBusinessClock.
+export function toBusinessTime(date) {
+  const ms = ensureDayjs(date).valueOf()
+  return dayjs(ms).utcOffset(getBusinessOffset(ms))
+}
+
+export const startOfDay = date => fromBusinessClock(toBusinessClock(date).startOf('day'))
+export const endOfDay = date => fromBusinessClock(toBusinessClock(date).endOf('day'))
 
 export function convertToETTime(timeString) {
   if (!timeString) return null
-  return dayjs(timeString)
-    .tz('America/New_York')
-    .add(5, 'hours')
-    .format('h:mma')
+  return toBusinessClock(timeString).add(5, 'hours').format('h:mma')
 }
 
 export function createDateRange(start, end) {
@@ -42,13 +92,46 @@ export function createDateRange(start, end) {
   }
 }
 
+// Wall clock time of day, so 9am is 9 hours even on the days clocks change
 export function secondsSinceMidnight(date) {
-  const midnight = startOfDay(date)
-  return dayjs(date).diff(midnight, 'second')
+  const clock = toBusinessClock(date)
+  return clock.hour() * 3600 + clock.minute() * 60 + clock.second()
+}
+
+// Midnight of the business day a number of days away, whatever the clock changes in between
+export function addBusinessDays(date, days) {
+  return fromBusinessClock(toBusinessClock(date).startOf('day').add(days, 'day'))
+}
+
+// The moment a wall clock time of day (in seconds, past 24 hours for overnight ranges) falls on the
+// business day of date
+export function businessTimeOn(date, seconds) {
+  return fromBusinessClock(toBusinessClock(date).startOf('day').add(seconds, 'second'))
+}
+
+// The same wall clock time a number of business days away
+export function moveBusinessDays(date, days) {
+  return businessTimeOn(addBusinessDays(date, days), secondsSinceMidnight(date))
+}
+
+// A night route that starts before midnight belongs to the day it started, so times before the
+// cutoff hour count toward the previous day
+export function startOfOperationalDay(date, cutoffHour = OPERATIONAL_DAY_CUTOFF_HOUR) {
+  const day = startOfDay(date)
+  return secondsSinceMidnight(date) < cutoffHour * 3600 ? addBusinessDays(day, -1) : day
+}
+
+export const formatOperationalDate = date =>
+  toBusinessClock(startOfOperationalDay(date)).format('YYYY-MM-DD')
+
+// Like secondsSinceMidnight, but 1am after a night route's start counts as 25 hours
+export function secondsIntoOperationalDay(date, cutoffHour = OPERATIONAL_DAY_CUTOFF_HOUR) {
+  const seconds = secondsSinceMidnight(date)
+  return seconds < cutoffHour * 3600 ? seconds + 24 * 3600 : seconds
 }
 
 export function dateFromSecondsSinceMidnight(seconds) {
-  return startOfDay().add(seconds, 'second')
+  return businessTimeOn(undefined, seconds)
 }
 
 export function ensureDayjs(date) {
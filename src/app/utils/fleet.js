@@ -0,0 +1,66 @@
+// src/app/utils/fleet.js
+import { getClosestFit } from './constraintTrace.js'
+import { formatOperationalDate } from './dayjs.js'
+import { comparePriority, getPriorityWeight } from './priority.js'
+
+// Value of covering a service, the minutes of work it brings in times the weight of its priority
+export function getServiceValue(service) {
+  return (service.time?.duration || 0) * getPriorityWeight(service)
+}
+
+const getShiftValue = shift => shift.services.reduce((sum, s) => sum + getServiceValue(s), 0)
+
+/**
+ * Keep at most fleetSize shifts on every operational day, the ones covering the most value
+ * Locked tech-days take their slots first, then shifts with locked services since those cannot
+ * move. Locks are kept even when they alone fill more than fleetSize slots.
+ * @param {Object[]} shifts - Shifts with timed services
+ * @param {number} fleetSize - Techs available each day
+ * @param {Object[]} [lockedShifts] - Shifts of locked tech-days, kept outside of shifts
+ * @returns {{ shifts: Object[], droppedServices: Object[] }} The kept shifts and the services of
+ *   the others, most valuable first
+ */
+export function limitFleet(shifts, fleetSize, lockedShifts = []) {
+  const getDay = shift => formatOperationalDate(shift.services[0].start)
+  const lockedCounts = new Map()
+  for (const shift of lockedShifts.filter(shift => shift.services.length)) {
+    lockedCounts.set(getDay(shift), (lockedCounts.get(getDay(shift)) || 0) + 1)
+  }
+
+  const shiftsByDay = new Map()
+  for (const shift of shifts.filter(shift => shift.services.length)) {
+    if (!shiftsByDay.has(getDay(shift))) shiftsByDay.set(getDay(shift), [])
+    shiftsByDay.get(getDay(shift)).push(shift)
+  }
+
+  const kept = []
+  const dropped = []
+  for (const [day, dayShifts] of shiftsByDay) {
+    const isLocked = shift => shift.services.some(service => service.locked)
+    dayShifts.sort((a, b) => isLocked(b) - isLocked(a) || getShiftValue(b) - getShiftValue(a))
+    let slots = fleetSize - (lockedCounts.get(day) || 0)
+    for (const shift of dayShifts) {
+      if (slots > 0 || isLocked(shift)) kept.push(shift)
+      else dropped.push(shift)
+      slots--
+    }
+  }
+
+  return {
+    shifts: kept,
+    droppedServices: dropped
+      .flatMap(shift => shift.services)
+      .sort((a, b) => getServiceValue(b) - getServiceValue(a)),
+  }
+}
+
+// Unassigned services ranked by priority, then by their value and by how close they came to
+// fitting a shift
+export function rankUnassignedServices(services) {
+  return [...services].sort(
+    (a, b) =>
+      comparePriority(a, b) ||
+      getServiceValue(b) - getServiceValue(a) ||
+      getClosestFit(a.trace) - getClosestFit(b.trace),
+  )
+}
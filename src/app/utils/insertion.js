@@ -0,0 +1,214 @@
+// src/app/utils/insertion.js
+import {
+  DEFAULT_OBJECTIVE_WEIGHTS,
+  INSERTION_DISRUPTION_WEIGHT,
+  INSERTION_OPTIONS_LIMIT,
+  MAX_SERVICES_PER_SHIFT,
+} from './constants.js'
+import { startOfOperationalDay } from './dayjs.js'
+import { timeRoute } from './localSearch.js'
+import { EMPTY_LOCKS, getTechDayKey, keepAfterHorizon } from './locks.js'
+import { isTechQualified } from './skills.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Services fixed to their tech by PestPac or to their time by the dispatcher never move
+export function isLockedService(service) {
+  return Boolean(service.locked || service.tech?.enforced || service.pinnedStart)
+}
+
+const pinAtStart = service => ({ ...service, pinnedStart: service.start })
+
+// Routes of the published schedule, one per tech and operational day, timed as published or,
+// when the published times no longer fit the travel between services, retimed from scratch
+function buildRoutes(scheduledServices, roster, { getDistance, travelTime }, weights) {
+  const techs = new Map(roster.map(tech => [tech.code, tech]))
+  const routes = new Map()
+
+  for (const service of scheduledServices) {
+    if (!service.techId || !service.time?.range) continue
+    const day = startOfOperationalDay(service.start).valueOf()
+    const key = `${service.techId}|${day}`
+    if (!routes.has(key)) {
+      const tech = techs.get(service.techId) || null
+      routes.set(key, {
+        techId: service.techId,
+        techName: service.techName || service.techId,
+        tech,
+        day,
+        services: [],
+        context: {
+          getDistance,
+          travelTime,
+          maxShiftMs: tech ? tech.shift.maxHours * HOUR_MS : undefined,
+          shiftHours: tech?.shift.hours,
+          startLocation: tech?.startLocation || null,
+          endLocation: tech?.endLocation || null,
+          weights,
+        },
+      })
+    }
+    routes.get(key).services.push(isLockedService(service) ? pinAtStart(service) : service)
+  }
+
+  return Array.from(routes.values()).filter(route => {
+    route.services.sort((a, b) => new Date(a.start) - new Date(b.start))
+    route.published =
+      timeRoute(route.services.map(pinAtStart), route.context) ||
+      timeRoute(route.services, route.context)
+    if (!route.published) {
+      console.warn('Published route cannot be timed, skipping it:', route.techId, route.day)
+    }
+    return route.published
+  })
+}
+
+// Time the route with the new service at position k, moving as little of it as possible: first
+// everything at its published time, then only the services after the new one, then anything
+// that is not locked
+function timeInsertion(route, service, k) {
+  const attempts = [
+    route.services.map(pinAtStart),
+    [...route.services.slice(0, k).map(pinAtStart), ...route.services.slice(k)],
+    route.services,
+  ]
+  for (const services of attempts) {
+    const candidate = [...services.slice(0, k), service, ...services.slice(k)]
+    const timing = timeRoute(candidate, route.context)
+    if (timing) return timing
+  }
+  return null
+}
+
+function describeInsertion(route, service, k, timing) {
+  const starts = [...timing.starts.slice(0, k), ...timing.starts.slice(k + 1)]
+  const changes = route.services.flatMap((existing, i) =>
+    starts[i] === new Date(existing.start).getTime()
+      ? []
+      : [
+          {
+            id: existing.id,
+            start: new Date(starts[i]).toISOString(),
+            end: new Date(starts[i] + existing.time.duration * 60000).toISOString(),
+            shiftedMinutes: Math.round((starts[i] - new Date(existing.start).getTime()) / 60000),
+          },
+        ],
+  )
+  const addedTravelMinutes = timing.travelMinutes - route.published.travelMinutes
+  const addedOvertimeMinutes = timing.overtimeMinutes - route.published.overtimeMinutes
+
+  return {
+    serviceId: service.id,
+    techId: route.techId,
+    techName: route.techName,
+    position: k,
+    start: new Date(timing.starts[k]).toISOString(),
+    end: new Date(timing.starts[k] + service.time.duration * 60000).toISOString(),
+    addedTravelMinutes: Math.round(addedTravelMinutes),
+    addedMiles: Number((timing.miles - route.published.miles).toFixed(2)),
+    addedOvertimeMinutes: Math.round(addedOvertimeMinutes),
+    movedServices: changes.length,
+    shiftedMinutes: changes.reduce((sum, change) => sum + Math.abs(change.shiftedMinutes), 0),
+    score: Math.round(
+      timing.cost - route.published.cost + changes.length * INSERTION_DISRUPTION_WEIGHT,
+    ),
+    mealBreak: timing.mealBreak && {
+      start: new Date(timing.mealBreak.start).toISOString(),
+      end: new Date(timing.mealBreak.end).toISOString(),
+    },
+    changes,
+  }
+}
+
+function findServiceInsertions(newService, routes, scheduledIds, { limit, locks }) {
+  if (scheduledIds.has(newService.id)) return { options: [], reason: 'ALREADY_SCHEDULED' }
+
+  // A service frozen at its slot has nowhere else to go
+  const service = keepAfterHorizon(newService, locks.horizon)
+  if (!service || service.locked) return { options: [], reason: 'FROZEN_HORIZON' }
+
+  const day = startOfOperationalDay(service.time.range[0]).valueOf()
+  const dayRoutes = routes.filter(
+    route =>
+      route.day === day &&
+      !locks.techDays.includes(getTechDayKey(route.techId, service.time.range[0])),
+  )
+  if (!dayRoutes.length) return { options: [], reason: 'NO_ROUTE_ON_DAY' }
+
+  // Enforced services only go to their own tech, skilled work only to qualified techs
+  const eligibleRoutes = dayRoutes.filter(
+    route =>
+      (!service.tech?.enforced || route.techId === service.tech.code) &&
+      isTechQualified(route.tech || {}, service),
+  )
+  if (!eligibleRoutes.length) return { options: [], reason: 'NO_QUALIFIED_TECH' }
+
+  const options = []
+  for (const route of eligibleRoutes) {
+    if (route.services.length >= MAX_SERVICES_PER_SHIFT) continue
+
+    // Keep the cheapest position in each route so the options offer different techs
+    let best = null
+    for (let k = 0; k <= route.services.length; k++) {
+      const timing = timeInsertion(route, service, k)
+      if (!timing) continue
+      const option = describeInsertion(route, service, k, timing)
+      if (!best || option.score < best.score) best = option
+    }
+    if (best) options.push(best)
+  }
+
+  options.sort(
+    (a, b) =>
+      a.score - b.score ||
+      a.addedTravelMinutes - b.addedTravelMinutes ||
+      a.shiftedMinutes - b.shiftedMinutes,
+  )
+  return {
+    options: options.slice(0, limit),
+    reason: options.length ? null : 'NO_FEASIBLE_POSITION',
+  }
+}
+
+/**
+ * Find the cheapest places to add new services to a published schedule
+ * Each new service is tried at every position of every route on its operational day, after the
+ * freeze horizon. Routes keep as much of their published timing as they can, locked services
+ * never move, locked tech-days take nothing new, and a tech only gets services they are
+ * qualified for. Options are ranked by the objective cost they add to their route and
+ * INSERTION_DISRUPTION_WEIGHT for every scheduled service they move.
+ * Every new service is fitted into the schedule as published, on its own.
+ * @param {Object[]} scheduledServices - Published services with their techId, start and end
+ * @param {Object[]} services - New services to place, with a time window and duration
+ * @param {Object} options
+ * @param {Object[]} options.roster - Technician roster, for start locations, hours and skills
+ * @param {Function} options.getDistance - Miles between two services
+ * @param {Object} [options.travelTime] - Drive estimates, see createTravelTime, the default speed
+ *   table without it
+ * @param {number} [options.limit] - Options returned per service, INSERTION_OPTIONS_LIMIT by
+ *   default
+ * @param {Object} [options.locks] - Schedule locks, for the locked tech-days and freeze horizon
+ * @param {Object} [options.weights] - Objective weights, DEFAULT_OBJECTIVE_WEIGHTS by default
+ * @returns {Object[]} For each new service its ranked options, each with the tech, start,
+ *   added drive and the scheduled services it moves, and the reason when there are none
+ */
+export function findInsertions(
+  scheduledServices,
+  services,
+  {
+    roster = [],
+    getDistance,
+    travelTime,
+    limit = INSERTION_OPTIONS_LIMIT,
+    locks = EMPTY_LOCKS,
+    weights = DEFAULT_OBJECTIVE_WEIGHTS,
+  },
+) {
+  const routes = buildRoutes(scheduledServices, roster, { getDistance, travelTime }, weights)
+  const scheduledIds = new Set(scheduledServices.map(service => service.id))
+
+  return services.map(service => ({
+    serviceId: service.id,
+    ...findServiceInsertions(service, routes, scheduledIds, { limit, locks }),
+  }))
+}
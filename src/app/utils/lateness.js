@@ -0,0 +1,27 @@
+// src/app/utils/lateness.js
+import { DEFAULT_LATENESS_TOLERANCE_MINUTES, LATENESS_TOLERANCE_BY_CODE } from './constants.js'
+
+// Minutes a service may start after its window closes, its own tolerance or its class's
+export function getLatenessTolerance(service) {
+  return (
+    service.time?.lateTolerance ??
+    LATENESS_TOLERANCE_BY_CODE[service.code] ??
+    DEFAULT_LATENESS_TOLERANCE_MINUTES
+  )
+}
+
+// Latest a service may start, the end of its window plus its tolerance
+export function getLatestStartMs(service) {
+  return new Date(service.time.range[1]).getTime() + getLatenessTolerance(service) * 60000
+}
+
+// Minutes a service starting at start is late for its window
+export function getLateMinutes(service, start) {
+  return Math.max(0, (new Date(start) - new Date(service.time.range[1])) / 60000)
+}
+
+// A tolerance as set for a setup, or null when it is not a number of minutes of at least 0
+export function parseLatenessTolerance(value) {
+  const minutes = Number(value)
+  return value !== null && value !== '' && Number.isFinite(minutes) && minutes >= 0 ? minutes : null
+}
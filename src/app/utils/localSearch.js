@@ -0,0 +1,720 @@
+// src/app/utils/localSearch.js
+import { defaultTravelTime } from '../map/utils/travelTime.js'
+import {
+  DEFAULT_OBJECTIVE_WEIGHTS,
+  HOURS_PER_SHIFT,
+  LOCAL_SEARCH_TIME_BUDGET_MS,
+  MAX_SERVICES_PER_SHIFT,
+  MAX_SHIFT_DURATION_MS,
+  MEAL_BREAK_MINUTES,
+  MIN_BUFFER_BETWEEN_SERVICES,
+} from './constants.js'
+import { CONSTRAINTS, createTrace, getClosestConstraint } from './constraintTrace.js'
+import { isWithUsualTech } from './continuity.js'
+import { startOfOperationalDay } from './dayjs.js'
+import { getLateMinutes, getLatestStartMs } from './lateness.js'
+import { findMealBreak, getMealBreakWindow, MEAL_BREAK_MS, needsMealBreak } from './mealBreak.js'
+import { getObjectiveCost, OBJECTIVE_TERMS } from './objective.js'
+import { comparePriority, getPriorityWeight } from './priority.js'
+import { getOvertimeMinutes } from './roster.js'
+import { canTechServe } from './skills.js'
+
+const MAX_SEGMENT_LENGTH = 3 // Longest chain moved by Or-opt and cross-exchange
+const EPSILON = 0.01 // Minutes, ignore improvements smaller than this
+const HOUR_MS = 60 * 60 * 1000
+
+function getTravelMinutes(distance, leg, travelTime = defaultTravelTime) {
+  return distance !== null && distance <= 0.2 ? 0 : travelTime.calculateTravelTime(distance, leg)
+}
+
+// Time needed between the end of one service and the start of the next, leaving at the given
+// time or when the first one ends, with the estimates of travelTime, see createTravelTime
+export function getRequiredGapMs(from, to, getDistance, at, travelTime) {
+  const travelMinutes = getTravelMinutes(getDistance(from, to), { at, from, to }, travelTime)
+  return Math.max(travelMinutes * 60 * 1000, MIN_BUFFER_BETWEEN_SERVICES)
+}
+
+// Drive between a tech's start or end location and a service around the time at, nothing when
+// the tech has none
+export function getLeg(location, service, getDistance, at, travelTime) {
+  if (!location) return { miles: 0, travelMinutes: 0 }
+  const distance = getDistance({ location }, service)
+  return {
+    miles: distance || 0,
+    travelMinutes: getTravelMinutes(distance, { at, to: service }, travelTime),
+  }
+}
+
+// Gap needed before the item at i, leaving at the given time. A meal break follows its service
+// directly and the service after it still needs the drive from the service before the break.
+function getGapBeforeMs(route, i, { getDistance, travelTime }, at) {
+  if (route[i].isMealBreak) return 0
+  const from = route[i - 1].isMealBreak ? route[i - 2] : route[i - 1]
+  return getRequiredGapMs(from, route[i], getDistance, at, travelTime)
+}
+
+// Start times as late as possible without stretching the route, or the constraint that rules
+// it out. A service may start late up to its tolerance, but is never pushed past its window to
+// get there.
+function getRouteStarts(route, context) {
+  const starts = []
+  for (let i = 0; i < route.length; i++) {
+    const service = route[i]
+    const windowStart = new Date(service.time.range[0]).getTime()
+    const previousEnd = i === 0 ? null : starts[i - 1] + route[i - 1].time.duration * 60000
+    const earliest =
+      i === 0 ? windowStart : previousEnd + getGapBeforeMs(route, i, context, previousEnd)
+
+    // Starting right as the service before ends is already too late for the window, or it is
+    // the drive that makes it late
+    const blockedBefore = limit => ({
+      blockedBy: service.isMealBreak
+        ? CONSTRAINTS.MEAL_BREAK
+        : Math.max(previousEnd ?? windowStart, windowStart) > limit
+          ? CONSTRAINTS.TIME_WINDOW
+          : CONSTRAINTS.TRAVEL_TIME,
+    })
+
+    let start = Math.max(earliest, windowStart)
+    if (service.pinnedStart) {
+      const pinned = new Date(service.pinnedStart).getTime()
+      if (start > pinned) return blockedBefore(pinned)
+      start = pinned
+    }
+    if (start > getLatestStartMs(service)) return blockedBefore(getLatestStartMs(service))
+    starts.push(start)
+  }
+
+  for (let i = route.length - 2; i >= 0; i--) {
+    const service = route[i]
+    if (service.pinnedStart) continue
+
+    // The drive is timed from the current end, then again from the later end it allows, since
+    // leaving in another hour can take longer
+    const gapFrom = at => getGapBeforeMs(route, i + 1, context, at)
+    const end = starts[i + 1] - gapFrom(starts[i] + service.time.duration * 60000)
+    const latest = Math.min(end, starts[i + 1] - gapFrom(end)) - service.time.duration * 60000
+    const windowEnd = new Date(service.time.range[1]).getTime()
+    starts[i] = Math.max(starts[i], Math.min(latest, windowEnd))
+  }
+
+  return { starts }
+}
+
+// No wait between services fits the meal break, so try it after each service in turn and keep
+// the cheapest timing that still has the break inside its window. Without one the break is what
+// rules the route out, or the shift cap when the break fit but made the shift too long.
+function timeRouteWithMealBreak(route, shiftStartMs, context) {
+  const { maxShiftMs } = context
+  const { earliestStart, latestEnd } = getMealBreakWindow(shiftStartMs)
+  const mealBreak = {
+    isMealBreak: true,
+    time: { duration: MEAL_BREAK_MINUTES, range: [earliestStart, latestEnd - MEAL_BREAK_MS] },
+  }
+
+  let best = null
+  let blockedBy = CONSTRAINTS.MEAL_BREAK
+  for (let k = 1; k < route.length; k++) {
+    const { starts } = getRouteStarts([...route.slice(0, k), mealBreak, ...route.slice(k)], context)
+    if (!starts) continue
+
+    const breakBlock = { start: starts[k], end: starts[k] + MEAL_BREAK_MS }
+    const serviceStarts = [...starts.slice(0, k), ...starts.slice(k + 1)]
+    const cost = measureRoute(route, serviceStarts, { ...context, mealBreak: breakBlock })
+    if (cost.paidMs > maxShiftMs) {
+      blockedBy = CONSTRAINTS.SHIFT_LENGTH
+      continue
+    }
+
+    // Pushing services later can move the start of the shift, and the break window with it
+    const window = getMealBreakWindow(cost.shiftStartMs)
+    if (breakBlock.start < window.earliestStart || breakBlock.end > window.latestEnd) continue
+    if (!best || cost.cost < best.cost) {
+      best = { starts: serviceStarts, ...cost, mealBreak: breakBlock }
+    }
+  }
+  return best || { blockedBy }
+}
+
+/**
+ * Time a route in the given order, as late as possible without stretching the shift
+ * Services start as early as their windows and travel allow, then earlier services are
+ * pushed later toward the next one so the tech is not paid for idle time at the start.
+ * The drive from startLocation and back to endLocation, when given, counts toward the shift.
+ * Shifts running past the meal break window get a break between two services, in a wait
+ * that is long enough or by pushing the services after it later. The unpaid break does not
+ * count toward maxShiftMs. The route is costed with the objective weights, where paid time past
+ * shiftHours is overtime, every service techId is not the usual tech for is reassigned and every
+ * minute a service starts past its window, within its tolerance, is late.
+ * @returns {Object|null} Start times, meal break and cost of the route, or null if it is
+ *   infeasible
+ */
+export function timeRoute(route, context) {
+  const timing = attemptRoute(route, context)
+  return timing.blockedBy ? null : timing
+}
+
+// Timing of the route as timeRoute has it, or { blockedBy } with the CONSTRAINTS that rules the
+// route out
+function attemptRoute(route, context) {
+  const { getDistance, travelTime, maxShiftMs = MAX_SHIFT_DURATION_MS } = context
+  if (!route.length) {
+    return {
+      starts: [],
+      cost: 0,
+      travelMinutes: 0,
+      idleMinutes: 0,
+      overtimeMinutes: 0,
+      reassignedServices: 0,
+      windowDeviationMinutes: 0,
+      lateMinutes: 0,
+      tolls: 0,
+      techs: 0,
+      miles: 0,
+      mealBreak: null,
+    }
+  }
+
+  const { starts, blockedBy } = getRouteStarts(route, context)
+  if (!starts) return { blockedBy }
+
+  const cost = measureRoute(route, starts, context)
+  const tooLong = { blockedBy: CONSTRAINTS.SHIFT_LENGTH }
+  if (!needsMealBreak(cost.shiftStartMs, cost.shiftStartMs + cost.spanMs)) {
+    return cost.paidMs > maxShiftMs ? tooLong : { starts, ...cost, mealBreak: null }
+  }
+
+  // A wait long enough for the break becomes unpaid time, so the cap is checked with the break
+  const mealBreak = findMealBreak(route, starts, {
+    getGapMs: (from, to, at) => getRequiredGapMs(from, to, getDistance, at, travelTime),
+    shiftStartMs: cost.shiftStartMs,
+  })
+  if (mealBreak) {
+    const breakCost = measureRoute(route, starts, { ...context, mealBreak })
+    return breakCost.paidMs > maxShiftMs ? tooLong : { starts, ...breakCost, mealBreak }
+  }
+
+  return timeRouteWithMealBreak(route, cost.shiftStartMs, { ...context, maxShiftMs })
+}
+
+// Travel, idle and overtime minutes of a route with known start times, including the legs to
+// and from the tech's start and end locations, and its objective cost. The meal break is unpaid,
+// so it is neither idle time nor part of the paid time the shift cap and overtime apply to.
+// Services away from their usual tech are only counted once the route has a techId.
+function measureRoute(
+  route,
+  starts,
+  {
+    getDistance,
+    travelTime = defaultTravelTime,
+    shiftHours = HOURS_PER_SHIFT,
+    startLocation = null,
+    endLocation = null,
+    mealBreak = null,
+    techId = null,
+    weights = DEFAULT_OBJECTIVE_WEIGHTS,
+  },
+) {
+  const last = route.length - 1
+  const getEnd = i => starts[i] + route[i].time.duration * 60000
+  const startLeg = getLeg(startLocation, route[0], getDistance, starts[0], travelTime)
+  const endLeg = getLeg(endLocation, route[last], getDistance, getEnd(last), travelTime)
+  let travelMinutes = startLeg.travelMinutes + endLeg.travelMinutes
+  let miles = startLeg.miles + endLeg.miles
+  let tolls = 0
+  let workMinutes = 0
+
+  route.forEach((service, i) => {
+    workMinutes += service.time.duration
+    if (i === 0) return
+    const from = route[i - 1]
+    const distance = getDistance(from, service)
+    miles += distance || 0
+    tolls += travelTime.getLegCrossing(from, service)?.toll || 0
+    travelMinutes += getTravelMinutes(
+      distance,
+      { at: getEnd(i - 1), from, to: service },
+      travelTime,
+    )
+  })
+
+  const shiftStartMs = starts[0] - startLeg.travelMinutes * 60000
+  const spanMs =
+    starts[last] + (route[last].time.duration + endLeg.travelMinutes) * 60000 - shiftStartMs
+  const breakMinutes = mealBreak ? (new Date(mealBreak.end) - new Date(mealBreak.start)) / 60000 : 0
+  const idleMinutes = Math.max(0, spanMs / 60000 - workMinutes - travelMinutes - breakMinutes)
+  const paidMs = spanMs - breakMinutes * 60000
+  const overtimeMinutes = getOvertimeMinutes(paidMs, shiftHours)
+  const reassignedServices = techId
+    ? route.filter(service => !isWithUsualTech(service, techId)).length
+    : 0
+  const windowDeviationMinutes = route.reduce(
+    (sum, service, i) =>
+      service.time.preferred
+        ? sum + Math.abs(starts[i] - new Date(service.time.preferred)) / 60000
+        : sum,
+    0,
+  )
+  const lateMinutes = route.reduce((sum, service, i) => sum + getLateMinutes(service, starts[i]), 0)
+  const amounts = {
+    travelMinutes,
+    idleMinutes,
+    overtimeMinutes,
+    reassignedServices,
+    windowDeviationMinutes,
+    lateMinutes,
+    tolls,
+    techs: 1,
+    miles,
+  }
+
+  return { shiftStartMs, spanMs, paidMs, ...amounts, cost: getObjectiveCost(amounts, weights) }
+}
+
+function summarize(routeCosts) {
+  const total = routeCosts.reduce(
+    (acc, cost) => ({
+      cost: acc.cost + cost.cost,
+      travelMinutes: acc.travelMinutes + cost.travelMinutes,
+      idleMinutes: acc.idleMinutes + cost.idleMinutes,
+      overtimeMinutes: acc.overtimeMinutes + cost.overtimeMinutes,
+      reassignedServices: acc.reassignedServices + cost.reassignedServices,
+      windowDeviationMinutes: acc.windowDeviationMinutes + cost.windowDeviationMinutes,
+      lateMinutes: acc.lateMinutes + cost.lateMinutes,
+      tolls: acc.tolls + cost.tolls,
+      miles: acc.miles + cost.miles,
+    }),
+    {
+      cost: 0,
+      travelMinutes: 0,
+      idleMinutes: 0,
+      overtimeMinutes: 0,
+      reassignedServices: 0,
+      windowDeviationMinutes: 0,
+      lateMinutes: 0,
+      tolls: 0,
+      miles: 0,
+    },
+  )
+
+  return {
+    value: Math.round(total.cost),
+    travelMinutes: Math.round(total.travelMinutes),
+    idleMinutes: Math.round(total.idleMinutes),
+    overtimeMinutes: Math.round(total.overtimeMinutes),
+    reassignedServices: total.reassignedServices,
+    windowDeviationMinutes: Math.round(total.windowDeviationMinutes),
+    lateMinutes: Math.round(total.lateMinutes),
+    tolls: Number(total.tolls.toFixed(2)),
+    miles: Number(total.miles.toFixed(2)),
+    routes: routeCosts.length,
+  }
+}
+
+function* intraRouteMoves(route) {
+  // 2-opt: reverse the order of a segment
+  for (let i = 0; i < route.length - 1; i++) {
+    for (let j = i + 1; j < route.length; j++) {
+      yield {
+        type: 'twoOpt',
+        route: [...route.slice(0, i), ...route.slice(i, j + 1).reverse(), ...route.slice(j + 1)],
+      }
+    }
+  }
+
+  // Or-opt: move a short chain of consecutive services elsewhere in the route
+  for (let length = 1; length <= MAX_SEGMENT_LENGTH; length++) {
+    for (let i = 0; i + length <= route.length; i++) {
+      const segment = route.slice(i, i + length)
+      const rest = [...route.slice(0, i), ...route.slice(i + length)]
+      for (let k = 0; k <= rest.length; k++) {
+        if (k === i) continue
+        yield { type: 'orOpt', route: [...rest.slice(0, k), ...segment, ...rest.slice(k)] }
+      }
+    }
+  }
+}
+
+function* interRouteMoves(routeA, routeB, canLeaveRoute) {
+  // Relocate: move one service from A into any position of B
+  if (routeB.length < MAX_SERVICES_PER_SHIFT) {
+    for (let i = 0; i < routeA.length; i++) {
+      if (!canLeaveRoute(routeA[i])) continue
+      const restA = [...routeA.slice(0, i), ...routeA.slice(i + 1)]
+      for (let k = 0; k <= routeB.length; k++) {
+        yield {
+          type: 'relocate',
+          routeA: restA,
+          routeB: [...routeB.slice(0, k), routeA[i], ...routeB.slice(k)],
+        }
+      }
+    }
+  }
+
+  // Swap: exchange one service of A with one of B in place
+  for (let i = 0; i < routeA.length; i++) {
+    if (!canLeaveRoute(routeA[i])) continue
+    for (let j = 0; j < routeB.length; j++) {
+      if (!canLeaveRoute(routeB[j])) continue
+      const newA = [...routeA]
+      const newB = [...routeB]
+      newA[i] = routeB[j]
+      newB[j] = routeA[i]
+      yield { type: 'swap', routeA: newA, routeB: newB }
+    }
+  }
+
+  // Cross-exchange: exchange two chains, at least one of them longer than a single service
+  for (let lengthA = 1; lengthA <= MAX_SEGMENT_LENGTH; lengthA++) {
+    for (let lengthB = 1; lengthB <= MAX_SEGMENT_LENGTH; lengthB++) {
+      if (lengthA === 1 && lengthB === 1) continue
+      const newLengthA = routeA.length - lengthA + lengthB
+      const newLengthB = routeB.length - lengthB + lengthA
+      if (newLengthA > MAX_SERVICES_PER_SHIFT || newLengthB > MAX_SERVICES_PER_SHIFT) continue
+
+      for (let i = 0; i + lengthA <= routeA.length; i++) {
+        const segmentA = routeA.slice(i, i + lengthA)
+        if (!segmentA.every(canLeaveRoute)) continue
+        for (let j = 0; j + lengthB <= routeB.length; j++) {
+          const segmentB = routeB.slice(j, j + lengthB)
+          if (!segmentB.every(canLeaveRoute)) continue
+          yield {
+            type: 'crossExchange',
+            routeA: [...routeA.slice(0, i), ...segmentB, ...routeA.slice(i + lengthA)],
+            routeB: [...routeB.slice(0, j), ...segmentA, ...routeB.slice(j + lengthB)],
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Improve constructed shifts with 2-opt, Or-opt, relocate, swap and cross-exchange moves
+ * Every accepted move keeps time windows, pinned times, the buffer between services, the meal
+ * break and the shift cap intact, counting each tech's drive from their startLocation and back
+ * to their endLocation. Overtime past a tech's regular hours is allowed up to their maxHours
+ * at its cost. Services only move between shifts on the same day and to techs qualified for
+ * them, enforced services stay with their tech. Shifts the greedy pass left infeasible are
+ * repaired first by moving the services that break them, and left untouched when that is not
+ * possible, or with leaveUnplaceable by leaving those services unassigned. A shift left without
+ * the meal break it needs always loses the services that keep the break out. Unassigned services
+ * are then inserted where they add the least cost, if any shift can take them for less than
+ * leaving them unassigned.
+ * @param {Object[]} shifts - Shifts with services carrying start and end times, and optionally
+ *   the startLocation, endLocation, hours and maxHours of their tech and a placed mealBreak
+ * @param {Object} options
+ * @param {Function} options.getDistance - Miles between two services
+ * @param {Object} [options.travelTime] - Drive estimates, see createTravelTime, the default
+ *   speed table without it
+ * @param {Object[]} [options.unassignedServices] - Timed services without a shift yet
+ * @param {number} [options.timeBudgetMs] - Stop searching after this long
+ * @param {Object} [options.weights] - Objective weights, DEFAULT_OBJECTIVE_WEIGHTS by default
+ * @param {boolean} [options.leaveUnplaceable] - Repair shifts by unassigning services that no
+ *   other shift can take
+ * @param {number} [options.maxShiftMs] - Longest allowed shift for every tech, first start to
+ *   last end without the meal break, instead of each shift's maxHours
+ * @param {Function} [options.onProgress] - Called each pass with the share of the budget used
+ * @returns {Object} { shifts, improvement, unassignedServices, mealBreakServices,
+ *   constraintTraces }, the retimed shifts with their meal breaks, before/after objective, the
+ *   services still unassigned, those of them taken off a shift to make room for its break, and
+ *   by service id what kept each still unassigned out of the shifts of its day
+ */
+export function improveShifts(shifts, options) {
+  const startedAt = Date.now()
+  const timeBudgetMs = options.timeBudgetMs ?? LOCAL_SEARCH_TIME_BUDGET_MS
+  const context = {
+    getDistance: options.getDistance,
+    travelTime: options.travelTime,
+    maxShiftMs: options.maxShiftMs,
+    weights: options.weights || DEFAULT_OBJECTIVE_WEIGHTS,
+  }
+  const isOutOfTime = () => Date.now() - startedAt > timeBudgetMs
+
+  // Every route is timed with the legs and hours of its own tech
+  const getShiftContext = shift => ({
+    getDistance: context.getDistance,
+    travelTime: context.travelTime,
+    maxShiftMs: context.maxShiftMs ?? (shift.maxHours ? shift.maxHours * HOUR_MS : undefined),
+    shiftHours: shift.hours,
+    startLocation: shift.startLocation,
+    endLocation: shift.endLocation,
+    techId: shift.techId,
+    weights: context.weights,
+  })
+  // Services never move to a tech without the skills they need
+  const attemptFor = (route, services) =>
+    canTechServe(route.shift.techId, services)
+      ? attemptRoute(services, getShiftContext(route.shift))
+      : { blockedBy: CONSTRAINTS.TECH_NOT_QUALIFIED }
+  const timeFor = (route, services) => {
+    const timing = attemptFor(route, services)
+    return timing.blockedBy ? null : timing
+  }
+
+  const routes = shifts.map(shift => {
+    const services = [...shift.services].sort((a, b) => new Date(a.start) - new Date(b.start))
+    const actualStarts = services.map(s => new Date(s.start).getTime())
+    const route = { shift, services, day: startOfOperationalDay(services[0].start).valueOf() }
+    route.before = measureRoute(services, actualStarts, {
+      ...getShiftContext(shift),
+      mealBreak: shift.mealBreak,
+    })
+    route.timing = shift.services.some(s => s.isLongService) ? null : timeFor(route, services)
+    route.frozen = !route.timing
+    return route
+  })
+
+  const originalRoute = new Map(routes.flatMap(route => route.services.map(s => [s.id, route])))
+  const moves = { twoOpt: 0, orOpt: 0, relocate: 0, swap: 0, crossExchange: 0 }
+  const canLeaveRoute = service => !service.tech?.enforced && !service.pinnedStart
+  let repairedServices = 0
+  let insertedServices = 0
+  let iterations = 0
+  let timedOut = false
+
+  const tryIntraRoute = route => {
+    for (const move of intraRouteMoves(route.services)) {
+      const timing = timeFor(route, move.route)
+      if (timing && timing.cost < route.timing.cost - EPSILON) {
+        route.services = move.route
+        route.timing = timing
+        moves[move.type]++
+        return true
+      }
+    }
+    return false
+  }
+
+  const tryInterRoute = (routeA, routeB) => {
+    const currentCost = routeA.timing.cost + routeB.timing.cost
+    for (const move of interRouteMoves(routeA.services, routeB.services, canLeaveRoute)) {
+      const timingA = timeFor(routeA, move.routeA)
+      if (!timingA) continue
+      const timingB = timeFor(routeB, move.routeB)
+      if (!timingB || timingA.cost + timingB.cost >= currentCost - EPSILON) continue
+
+      routeA.services = move.routeA
+      routeA.timing = timingA
+      routeB.services = move.routeB
+      routeB.timing = timingB
+      moves[move.type]++
+      return true
+    }
+    return false
+  }
+
+  // Cheapest place for the service in the shifts of its day. With attempts, each shift tried is
+  // recorded there with the constraints that kept the service out, none when it had room.
+  const findCheapestInsertion = (service, day, attempts = null) => {
+    let best = null
+    for (const route of routes) {
+      if (route.day !== day) continue
+      const blockedBy = []
+      if (route.frozen) blockedBy.push(CONSTRAINTS.SHIFT_FIXED)
+      if (route.services.length >= MAX_SERVICES_PER_SHIFT) blockedBy.push(CONSTRAINTS.SERVICE_CAP)
+
+      const blockedPositions = []
+      for (let k = 0; !blockedBy.length && k <= route.services.length; k++) {
+        const services = [...route.services.slice(0, k), service, ...route.services.slice(k)]
+        const timing = attemptFor(route, services)
+        if (timing.blockedBy) {
+          blockedPositions.push(timing.blockedBy)
+          continue
+        }
+        const addedCost = timing.cost - route.timing.cost
+        if (!best || addedCost < best.addedCost) best = { route, services, timing, addedCost }
+      }
+      if (!blockedBy.length && blockedPositions.length > route.services.length) {
+        blockedBy.push(getClosestConstraint(blockedPositions))
+      }
+      attempts?.push({ techId: route.shift.techId, techName: route.shift.techName, blockedBy })
+    }
+    return best
+  }
+
+  // Rebuild the shift from the services it can honor, the most urgent first and each at its
+  // cheapest position, and move the rest to the cheapest feasible spot on the same day, or leave
+  // the shift as the greedy pass built it if any of them can't move. With leaveUnplaceable those
+  // are unassigned instead.
+  const leftOutServices = []
+  const repairRoute = (route, leaveUnplaceable = options.leaveUnplaceable) => {
+    let kept = []
+    const ejected = []
+    for (const service of [...route.services].sort(comparePriority)) {
+      let best = null
+      for (let k = 0; k <= kept.length; k++) {
+        const services = [...kept.slice(0, k), service, ...kept.slice(k)]
+        const timing = timeFor(route, services)
+        if (timing && (!best || timing.cost < best.timing.cost)) best = { services, timing }
+      }
+      if (best) kept = best.services
+      else if (canLeaveRoute(service)) ejected.push(service)
+      else return false
+    }
+
+    const snapshot = ({ services, timing, frozen }) => ({ services, timing, frozen })
+    const changes = [[route, snapshot(route)]]
+    route.services = kept
+    route.timing = timeFor(route, kept)
+    route.frozen = false
+
+    const leftOut = []
+    for (const service of ejected) {
+      const insertion = findCheapestInsertion(service, route.day)
+      if (!insertion && leaveUnplaceable) {
+        leftOut.push(service)
+        continue
+      }
+      if (!insertion) {
+        for (const [changed, state] of changes.reverse()) Object.assign(changed, state)
+        return false
+      }
+      const target = insertion.route
+      changes.push([target, snapshot(target)])
+      target.services = insertion.services
+      target.timing = insertion.timing
+    }
+
+    leftOutServices.push(...leftOut)
+    repairedServices += ejected.length - leftOut.length
+    return leftOut
+  }
+
+  // Shifts that break the buffer or the shift cap are repaired before the search starts
+  routes
+    .filter(route => route.frozen && !route.services.some(s => s.isLongService))
+    .forEach(route => repairRoute(route))
+
+  // A shift is never left without the meal break it needs, the services keeping the break out
+  // stay unassigned when no other shift takes them
+  const lacksMealBreak = route =>
+    !route.shift.mealBreak &&
+    needsMealBreak(route.before.shiftStartMs, route.before.shiftStartMs + route.before.spanMs)
+  const mealBreakServices = routes
+    .filter(route => route.frozen && lacksMealBreak(route))
+    .flatMap(route => repairRoute(route, true) || [])
+
+  // The most urgent services take the open spots first, and are worth a costlier one. What kept
+  // the others out of each shift of their day is traced as they are tried.
+  const pendingServices = [...(options.unassignedServices || []), ...leftOutServices].sort(
+    comparePriority,
+  )
+  const constraintTraces = {}
+  const unassignedServices = pendingServices.filter(service => {
+    const attempts = []
+    const day = startOfOperationalDay(service.start).valueOf()
+    const insertion = findCheapestInsertion(service, day, attempts)
+    const unassignedCost = context.weights.unassignedServices * getPriorityWeight(service)
+    if (!insertion || insertion.addedCost >= unassignedCost) {
+      constraintTraces[service.id] = createTrace(attempts)
+      return true
+    }
+    insertion.route.services = insertion.services
+    insertion.route.timing = insertion.timing
+    insertedServices++
+    return false
+  })
+
+  // First-improvement descent until no move helps or the budget runs out
+  let improved = true
+  while (improved && !timedOut) {
+    improved = false
+    iterations++
+    // A zero budget still runs one pass, which is all of it
+    options.onProgress?.(
+      timeBudgetMs > 0 ? Math.min((Date.now() - startedAt) / timeBudgetMs, 1) : 1,
+    )
+    const activeRoutes = routes.filter(route => !route.frozen && route.services.length)
+
+    for (const route of activeRoutes) {
+      if ((timedOut = isOutOfTime())) break
+      if (tryIntraRoute(route)) improved = true
+    }
+
+    for (const routeA of activeRoutes) {
+      for (const routeB of activeRoutes) {
+        if (timedOut || routeA === routeB || routeA.day !== routeB.day) continue
+        if (!routeA.services.length) continue
+        if ((timedOut = isOutOfTime())) break
+        if (tryInterRoute(routeA, routeB)) improved = true
+      }
+    }
+  }
+
+  const improvedShifts = routes
+    .filter(route => route.services.length)
+    .map(route => {
+      if (route.frozen) return route.shift
+      const { techId, techName, cluster } = route.shift
+      const { mealBreak } = route.timing
+      return {
+        ...route.shift,
+        mealBreak: mealBreak && {
+          start: new Date(mealBreak.start).toISOString(),
+          end: new Date(mealBreak.end).toISOString(),
+        },
+        services: route.services.map((service, i) => ({
+          ...service,
+          // Services moved to another shift are done by that shift's tech
+          ...(originalRoute.get(service.id) !== route && { techId, techName, cluster }),
+          start: new Date(route.timing.starts[i]).toISOString(),
+          end: new Date(route.timing.starts[i] + service.time.duration * 60000).toISOString(),
+        })),
+      }
+    })
+
+  return {
+    shifts: improvedShifts,
+    unassignedServices,
+    mealBreakServices: mealBreakServices.filter(service => unassignedServices.includes(service)),
+    constraintTraces,
+    improvement: {
+      objectiveBefore: summarize(routes.map(route => route.before)),
+      objectiveAfter: summarize(
+        routes
+          .filter(route => route.services.length)
+          .map(route => (route.frozen ? route.before : route.timing)),
+      ),
+      moves,
+      repairedServices,
+      insertedServices,
+      skippedShifts: routes.filter(route => route.frozen).length,
+      iterations,
+      timedOut,
+      durationMs: Date.now() - startedAt,
+    },
+  }
+}
+
+/**
+ * Objective terms of finished shifts, as they are timed
+ * @param {Object[]} shifts - Shifts with timed services, their tech's locations and hours and
+ *   their placed mealBreak
+ * @param {Object} context - { getDistance, travelTime }
+ * @returns {Object} Amount of every objective term measured on a route, summed over the shifts
+ */
+export function measureSchedule(shifts, { getDistance, travelTime }) {
+  const totals = {}
+  for (const shift of shifts) {
+    if (!shift.services.length) continue
+    const services = [...shift.services].sort((a, b) => new Date(a.start) - new Date(b.start))
+    const measured = measureRoute(
+      services,
+      services.map(service => new Date(service.start).getTime()),
+      {
+        getDistance,
+        travelTime,
+        shiftHours: shift.hours,
+        startLocation: shift.startLocation,
+        endLocation: shift.endLocation,
+        mealBreak: shift.mealBreak,
+        techId: shift.techId,
+      },
+    )
+    for (const term of OBJECTIVE_TERMS) {
+      if (term in measured) totals[term] = (totals[term] || 0) + measured[term]
+    }
+  }
+  return totals
+}
@@ -0,0 +1,77 @@
+// src/app/utils/locks.js
+import { formatOperationalDate } from './dayjs.js'
+
+// Nothing locked: services locked on their own, tech-days locked whole, the freeze horizon and
+// when it lifts, and the published tech and times of every locked service
+export const EMPTY_LOCKS = {
+  services: [],
+  techDays: [],
+  horizon: null,
+  horizonExpiresAt: null,
+  assignments: {},
+}
+
+export function getTechDayKey(techId, date) {
+  return `${techId}|${formatOperationalDate(date)}`
+}
+
+// What locks a published service: the service itself, its tech's whole day, or the freeze
+// horizon it starts before. Null when it is free to move.
+export function getLockReason(service, locks) {
+  if (locks.services.includes(service.id)) return 'service'
+  if (service.techId && locks.techDays.includes(getTechDayKey(service.techId, service.start))) {
+    return 'techDay'
+  }
+  if (locks.horizon && new Date(service.start) < new Date(locks.horizon)) return 'horizon'
+  return null
+}
+
+/**
+ * Mark the services whose published assignment is locked
+ * Locked services get locked set to the tech and times they keep and what locks them. Services
+ * without a published assignment, such as ones added since, are never locked.
+ * @param {Object[]} services - Services, with or without an earlier locked mark
+ * @param {Object} locks - Schedule locks, see EMPTY_LOCKS
+ * @returns {Object[]} The services with locked set or cleared
+ */
+export function applyLocks(services, locks) {
+  return services.map(({ locked, ...service }) => {
+    const assignment = locks.assignments[service.id]
+    const lockedBy = assignment && getLockReason({ ...service, ...assignment }, locks)
+    return lockedBy ? { ...service, locked: { ...assignment, by: lockedBy } } : service
+  })
+}
+
+/**
+ * Keep a service that is not locked out of the frozen part of the schedule
+ * One with a slot of its own starting before the horizon stays there, locked by the horizon,
+ * even without a published assignment to keep. Otherwise it can only start once the horizon has
+ * passed.
+ * @param {Object} service - Service without a lock
+ * @param {string|null} horizon - Freeze horizon, see EMPTY_LOCKS
+ * @returns {Object|null} The service, locked at its slot or with its window cut to the horizon,
+ *   null when it has no slot and its whole window is frozen
+ */
+export function keepAfterHorizon(service, horizon) {
+  if (!horizon) return service
+  const techId = service.tech?.code?.trim()
+  if (techId && service.start && new Date(service.start) < new Date(horizon)) {
+    const start = new Date(service.start)
+    return {
+      ...service,
+      locked: {
+        techId,
+        techName: service.tech.name,
+        start: start.toISOString(),
+        end: new Date(start.getTime() + service.time.duration * 60000).toISOString(),
+        by: 'horizon',
+      },
+    }
+  }
+  if (new Date(service.time.range[0]) >= new Date(horizon)) return service
+  if (new Date(service.time.range[1]) < new Date(horizon)) return null
+  return {
+    ...service,
+    time: { ...service.time, range: [new Date(horizon).toISOString(), service.time.range[1]] },
+  }
+}
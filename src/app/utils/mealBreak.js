@@ -0,0 +1,43 @@
+// src/app/utils/mealBreak.js
+import { MEAL_BREAK_MINUTES, MEAL_BREAK_WINDOW_HOURS } from './constants.js'
+
+const HOUR_MS = 60 * 60 * 1000
+export const MEAL_BREAK_MS = MEAL_BREAK_MINUTES * 60 * 1000
+
+// Earliest start and latest end of the meal break for a shift starting at shiftStartMs
+export function getMealBreakWindow(shiftStartMs) {
+  return {
+    earliestStart: shiftStartMs + MEAL_BREAK_WINDOW_HOURS[0] * HOUR_MS,
+    latestEnd: shiftStartMs + MEAL_BREAK_WINDOW_HOURS[1] * HOUR_MS,
+  }
+}
+
+// Shifts over before the break window closes don't need a break
+export function needsMealBreak(shiftStartMs, shiftEndMs) {
+  return shiftEndMs > getMealBreakWindow(shiftStartMs).latestEnd
+}
+
+/**
+ * Find the earliest meal break that fits in the time a tech waits between services
+ * The break is taken before driving on, so the drive and buffer to the next service still
+ * have to fit after it.
+ * @param {Object[]} services - Services in route order, with time.duration in minutes
+ * @param {number[]} starts - Start time of each service in ms
+ * @param {Object} options
+ * @param {Function} options.getGapMs - Time needed between two services for the drive and buffer,
+ *   leaving at the given time
+ * @param {number} options.shiftStartMs - When the tech's shift starts, including the drive out
+ * @returns {{ start: number, end: number }|null} The break in ms, or null if none fits
+ */
+export function findMealBreak(services, starts, { getGapMs, shiftStartMs }) {
+  const { earliestStart, latestEnd } = getMealBreakWindow(shiftStartMs)
+
+  for (let i = 1; i < services.length; i++) {
+    const idleStart = starts[i - 1] + services[i - 1].time.duration * 60000
+    const start = Math.max(idleStart, earliestStart)
+    const end = start + MEAL_BREAK_MS
+    const idleEnd = starts[i] - getGapMs(services[i - 1], services[i], end)
+    if (end <= Math.min(idleEnd, latestEnd)) return { start, end }
+  }
+  return null
+}
@@ -0,0 +1,103 @@
+// src/app/utils/objective.js
+import { DEFAULT_OBJECTIVE_WEIGHTS, OBJECTIVE_PROFILES } from './constants.js'
+
+export const OBJECTIVE_TERMS = Object.keys(DEFAULT_OBJECTIVE_WEIGHTS)
+
+/**
+ * Read weights to override from a request, as an object or a JSON string
+ * Every weight is a number of objective minutes, at least 0. Leaving a service unassigned has to
+ * cost something, or nothing would be scheduled.
+ * @param {Object|string} values - Weights by objective term
+ * @returns {Object} { weights }, or { error } when the input is invalid
+ */
+export function parseObjectiveWeights(values) {
+  let weights = values
+  if (typeof values === 'string') {
+    try {
+      weights = JSON.parse(values)
+    } catch {
+      return { error: 'Invalid weights, expected a JSON object' }
+    }
+  }
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return { error: 'Invalid weights, expected a JSON object' }
+  }
+
+  const parsed = {}
+  for (const [term, value] of Object.entries(weights)) {
+    if (!OBJECTIVE_TERMS.includes(term)) {
+      return { error: `Unknown weight ${term}, expected one of: ${OBJECTIVE_TERMS.join(', ')}` }
+    }
+    const weight = Number(value)
+    if (value === null || value === '' || !Number.isFinite(weight) || weight < 0) {
+      return { error: `Invalid weight ${term}, expected a number of at least 0` }
+    }
+    parsed[term] = weight
+  }
+  if (parsed.unassignedServices === 0) {
+    return { error: 'Invalid weight unassignedServices, expected a number above 0' }
+  }
+  return { weights: parsed }
+}
+
+/**
+ * Weights of the objective for a schedule run
+ * The defaults are overridden by the profile, then by continuityWeight for reassignedServices,
+ * then by any single weight passed in.
+ * @param {Object} [options] - { profile, weights, continuityWeight } as given in the request
+ * @param {Object} [profiles] - Weights by profile name, OBJECTIVE_PROFILES by default
+ * @returns {Object} A weight for every objective term
+ */
+export function resolveObjectiveWeights(
+  { profile, weights = {}, continuityWeight } = {},
+  profiles = OBJECTIVE_PROFILES,
+) {
+  if (profile && !profiles[profile]) {
+    const error = new Error(
+      `Unknown objective profile, expected one of: ${Object.keys(profiles).join(', ')}`,
+    )
+    error.status = 400
+    throw error
+  }
+
+  return {
+    ...DEFAULT_OBJECTIVE_WEIGHTS,
+    ...(profile && profiles[profile]),
+    ...(continuityWeight !== undefined && { reassignedServices: continuityWeight }),
+    ...weights,
+  }
+}
+
+// Objective minutes of the given term amounts, terms without an amount cost nothing
+export function getObjectiveCost(amounts, weights = DEFAULT_OBJECTIVE_WEIGHTS) {
+  return OBJECTIVE_TERMS.reduce((sum, term) => sum + (amounts[term] || 0) * weights[term], 0)
+}
+
+/**
+ * What each term adds to the objective of a schedule
+ * @param {Object} amounts - Amount of every term, e.g. travelMinutes or unassignedServices
+ * @param {Object} weights - Weights the schedule was built with
+ * @returns {{ weights: Object, terms: Object, total: number }} The amount and cost of each term
+ *   and the objective they add up to
+ */
+export function getObjectiveBreakdown(amounts, weights) {
+  const terms = Object.fromEntries(
+    OBJECTIVE_TERMS.map(term => {
+      const amount = Number((amounts[term] || 0).toFixed(2))
+      return [term, { amount, cost: Number((amount * weights[term]).toFixed(2)) }]
+    }),
+  )
+  const total = Object.values(terms).reduce((sum, term) => sum + term.cost, 0)
+  return { weights, terms, total: Number(total.toFixed(2)) }
+}
+
+// Add up the breakdowns of schedules built separately with the same weights
+export function combineObjectiveBreakdowns(a, b) {
+  if (!a || !b) return a || b
+  return getObjectiveBreakdown(
+    Object.fromEntries(
+      OBJECTIVE_TERMS.map(term => [term, a.terms[term].amount + b.terms[term].amount]),
+    ),
+    a.weights,
+  )
+}
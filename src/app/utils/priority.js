@@ -0,0 +1,108 @@
+// src/app/utils/priority.js
+import {
+  DEFAULT_PRIORITY_TIER,
+  HIGH_PRIORITY_VISITS_PER_YEAR,
+  INSPECTION_DEADLINE_DAYS,
+  PRIORITY_TIERS,
+} from './constants.js'
+import { formatOperationalDate } from './dayjs.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Why a service has its priority tier
+export const PRIORITY_REASONS = {
+  CONTRACT_TIER: 'CONTRACT_TIER',
+  INSPECTION_DEADLINE: 'INSPECTION_DEADLINE',
+  MISSED_LAST_VISIT: 'MISSED_LAST_VISIT',
+}
+
+const TIERS_BY_RANK = Object.keys(PRIORITY_TIERS).sort(
+  (a, b) => PRIORITY_TIERS[a].rank - PRIORITY_TIERS[b].rank,
+)
+
+const getTier = service =>
+  PRIORITY_TIERS[service.priority?.tier] || PRIORITY_TIERS[DEFAULT_PRIORITY_TIER]
+
+export const getPriorityRank = service => getTier(service).rank
+
+// How much more a service is worth covering than a standard one
+export const getPriorityWeight = service => getTier(service).weight
+
+// Most urgent first, services without a priority are standard
+export function comparePriority(a, b) {
+  return getPriorityRank(a) - getPriorityRank(b)
+}
+
+export function isPriorityTier(tier) {
+  return Object.hasOwn(PRIORITY_TIERS, tier)
+}
+
+/**
+ * Read a priority override to save, every field is optional
+ * @param {Object} override - { tier, inspectionDeadline, missedLastVisit }
+ * @returns {Object} { override } with only the fields given, or { error } when one is invalid
+ */
+export function parsePriorityOverride(override) {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    return { error: 'Invalid priority override, expected an object' }
+  }
+
+  const { tier, inspectionDeadline, missedLastVisit } = override
+  if (tier !== undefined && !isPriorityTier(tier)) {
+    return {
+      error: `Invalid priority tier ${tier}, expected one of: ${Object.keys(PRIORITY_TIERS).join(', ')}`,
+    }
+  }
+  if (inspectionDeadline !== undefined && Number.isNaN(Date.parse(inspectionDeadline))) {
+    return { error: `Invalid inspection deadline ${inspectionDeadline}, expected a date` }
+  }
+  return {
+    override: {
+      ...(tier !== undefined && { tier }),
+      ...(inspectionDeadline !== undefined && { inspectionDeadline }),
+      ...(missedLastVisit !== undefined && { missedLastVisit: Boolean(missedLastVisit) }),
+    },
+  }
+}
+
+/**
+ * Priority of a visit, the most urgent of what its setup and the override store say
+ * The contract tier comes from the override or, without one, from how often the setup is
+ * visited. A missed last visit escalates it one tier, a health inspection within
+ * INSPECTION_DEADLINE_DAYS after the visit makes it critical.
+ * @param {Object} service - Visit with its time window and schedule.timesPerYear
+ * @param {Object} [override] - { tier, inspectionDeadline, missedLastVisit } for its setup
+ * @returns {{ tier: string, reasons: string[] }} The tier and what set it apart from the default
+ */
+export function getServicePriority(service, override = {}) {
+  const contractTier = isPriorityTier(override.tier)
+    ? override.tier
+    : service.schedule?.timesPerYear >= HIGH_PRIORITY_VISITS_PER_YEAR
+      ? 'high'
+      : DEFAULT_PRIORITY_TIER
+  const candidates = [{ tier: contractTier, reason: PRIORITY_REASONS.CONTRACT_TIER }]
+
+  if (override.missedLastVisit) {
+    const rank = Math.max(PRIORITY_TIERS[contractTier].rank - 1, 1)
+    candidates.push({ tier: TIERS_BY_RANK[rank - 1], reason: PRIORITY_REASONS.MISSED_LAST_VISIT })
+  }
+
+  if (override.inspectionDeadline) {
+    const visitDay = formatOperationalDate(service.time.range[0])
+    const daysLeft = (Date.parse(override.inspectionDeadline) - Date.parse(visitDay)) / DAY_MS
+    if (daysLeft >= 0 && daysLeft <= INSPECTION_DEADLINE_DAYS) {
+      candidates.push({ tier: 'critical', reason: PRIORITY_REASONS.INSPECTION_DEADLINE })
+    }
+  }
+
+  const rank = Math.min(...candidates.map(candidate => PRIORITY_TIERS[candidate.tier].rank))
+  return {
+    tier: TIERS_BY_RANK[rank - 1],
+    reasons: candidates
+      .filter(
+        candidate =>
+          candidate.tier !== DEFAULT_PRIORITY_TIER && PRIORITY_TIERS[candidate.tier].rank === rank,
+      )
+      .map(candidate => candidate.reason),
+  }
+}
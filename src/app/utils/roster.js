@@ -0,0 +1,141 @@
+// src/app/utils/roster.js
+import {
+  DEFAULT_DEPOT,
+  DEFAULT_SHIFT_TEMPLATE,
+  HOURS_PER_SHIFT,
+  MEAL_BREAK_MINUTES,
+  OVERTIME_POLICY,
+  SHIFT_TEMPLATES,
+} from './constants.js'
+import { secondsIntoOperationalDay, startOfOperationalDay, toBusinessClock } from './dayjs.js'
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6] // 0 = Sunday, 6 = Saturday
+
+export function formatTechName(fname, lname) {
+  if (!fname) return ''
+  if (!lname) return fname
+  return `${fname} ${lname.charAt(0)}.`
+}
+
+// Regular hours of a tech's shift template and the most they may work with overtime, either can
+// be overridden per tech, and the longest their day may span. The span grows with a tech's own
+// hours and never runs past their maximum and the meal break.
+function getShiftHours(shift = {}) {
+  const template = SHIFT_TEMPLATES[shift.template] ? shift.template : DEFAULT_SHIFT_TEMPLATE
+  if (shift.template && template !== shift.template) {
+    console.warn(`Unknown shift template ${shift.template}, using ${DEFAULT_SHIFT_TEMPLATE}`)
+  }
+  const { hours: templateHours, spanHours: templateSpanHours } = SHIFT_TEMPLATES[template]
+  const hours = shift.hours || templateHours
+  const maxHours = Math.min(shift.maxHours ?? Infinity, hours + OVERTIME_POLICY.allowedMinutes / 60)
+  const spanHours = Math.min(
+    templateSpanHours + hours - templateHours,
+    maxHours + MEAL_BREAK_MINUTES / 60,
+  )
+  return { template, hours, maxHours, spanHours }
+}
+
+// Start or end of a tech's day, with an id of its own so distance lookups never match a service
+function toRouteLocation(id, location) {
+  const latitude = Number(location?.latitude)
+  const longitude = Number(location?.longitude)
+  if (!latitude || !longitude) return null
+  return { id, latitude, longitude, address: location.address || null }
+}
+
+// Where routes without a tech yet start and end, null when no depot is configured
+export function getDepotLocation() {
+  return toRouteLocation('depot', DEFAULT_DEPOT)
+}
+
+/**
+ * Build the technician roster from PestPac technicians, their service setups and local overrides
+ * @param {Object[]} technicians - Rows from the Technicians table (code, fname, lname)
+ * @param {Object[]} serviceSetups - Transformed service setups, counted per tech
+ * @param {Object} overrides - Per-tech overrides keyed by tech code
+ * @param {Function} parseShiftStart - Converts a time string like '7:00am' to seconds since midnight
+ * @returns {Object[]} Roster sorted by tech code, with a stable cluster number per tech
+ */
+export function buildRoster(technicians, serviceSetups = [], overrides = {}, parseShiftStart) {
+  const setupsByTech = new Map()
+  for (const setup of serviceSetups) {
+    const code = setup.tech?.code
+    if (!code) continue
+    if (!setupsByTech.has(code)) setupsByTech.set(code, [])
+    setupsByTech.get(code).push(setup)
+  }
+
+  return technicians
+    .filter(tech => tech.code?.trim())
+    .map(tech => {
+      const code = tech.code.trim()
+      const override = overrides[code] || {}
+      const shiftStart = override.shift?.start ?? null
+      const setupCount = setupsByTech.get(code)?.length || 0
+      const homeBase = override.homeBase || null
+      // Techs without a home base on file start from the configured depot
+      const startLocation = override.startLocation || homeBase || DEFAULT_DEPOT
+
+      return {
+        id: tech.id,
+        code,
+        name: override.name || formatTechName(tech.fname, tech.lname) || code,
+        homeBase,
+        // Travel from and back to these counts toward the shift, defaulting to the home base
+        startLocation: toRouteLocation(`start:${code}`, startLocation),
+        endLocation: toRouteLocation(`end:${code}`, override.endLocation || startLocation),
+        shift: {
+          start:
+            typeof shiftStart === 'string' ? (parseShiftStart?.(shiftStart) ?? null) : shiftStart,
+          ...getShiftHours(override.shift),
+        },
+        activeDays: override.activeDays || ALL_DAYS,
+        // Licenses and specialties, matched against SERVICE_CODE_SKILLS
+        skills: override.skills || [],
+        // Techs without any setups are office staff unless an override says otherwise
+        active: override.active ?? setupCount > 0,
+        setupCount,
+      }
+    })
+    .filter(tech => tech.active)
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map((tech, index) => ({ ...tech, cluster: index + 1 }))
+}
+
+export function isTechActiveOn(tech, date) {
+  return (tech.activeDays || ALL_DAYS).includes(toBusinessClock(startOfOperationalDay(date)).day())
+}
+
+// Check that a shift spanning [start, end] fits inside a tech's shift span and starts no earlier
+// than their shift start, less toleranceMs
+export function fitsTechShiftHours(tech, start, end, toleranceMs = 0) {
+  const spanMs = new Date(end).getTime() - new Date(start).getTime()
+  if (spanMs > tech.shift.spanHours * 60 * 60 * 1000) return false
+  if (tech.shift.start === null || tech.shift.start === undefined) return true
+
+  const startSeconds = secondsIntoOperationalDay(start)
+  return startSeconds * 1000 >= tech.shift.start * 1000 - toleranceMs
+}
+
+// Minutes of paid time past a shift's regular hours, none while within the grace period
+export function getOvertimeMinutes(paidMs, hours = HOURS_PER_SHIFT) {
+  const overtimeMinutes = (paidMs - hours * 60 * 60 * 1000) / 60000
+  return overtimeMinutes > OVERTIME_POLICY.graceMinutes ? overtimeMinutes : 0
+}
+
+// Synthetic identity used when the roster has no one left to cover a shift
+export function createOverflowTech(number) {
+  return {
+    id: null,
+    code: `Tech ${number}`,
+    name: `Tech ${number}`,
+    homeBase: null,
+    startLocation: getDepotLocation(),
+    endLocation: getDepotLocation(),
+    shift: { start: null, ...getShiftHours() },
+    activeDays: ALL_DAYS,
+    skills: [],
+    active: true,
+    isOverflow: true,
+  }
+}
@@ -91,7 +91,7 @@ export function logTechServices(techServices) {
   const endTime = dayjs(lastService.end).format('h:mm A')
 
   // Log tech header
-  console.log(`${firstService.techId} (${startTime} - ${endTime}):`)
+  console.log(`${firstService.techName || firstService.techId} (${startTime} - ${endTime}):`)
 
   // Track overlapping services
   const overlappingGroups = []
@@ -189,12 +189,10 @@ export function logScheduleActivity({ services, clusteringInfo }) {
     servicesByTech.get(service.techId).push(service)
   }
 
-  // Sort techs numerically
-  const sortedTechIds = [...servicesByTech.keys()].sort((a, b) => {
-    const numA = parseInt(a.replace('Tech ', ''))
-    const numB = parseInt(b.replace('Tech ', ''))
-    return numA - numB
-  })
+  // Sort techs by their stable cluster number
+  const sortedTechIds = [...servicesByTech.keys()].sort(
+    (a, b) => servicesByTech.get(a)[0].cluster - servicesByTech.get(b)[0].cluster,
+  )
 
   // Log tech details
   console.log('\nTech Details:')
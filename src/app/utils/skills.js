@@ -0,0 +1,33 @@
+// src/app/utils/skills.js
+import { SERVICE_CODE_SKILLS } from './constants.js'
+
+// Skills a tech needs to perform a service, from its PestPac service code
+export function getRequiredSkills(service) {
+  const code = service.code?.trim().toUpperCase()
+  return (code && SERVICE_CODE_SKILLS[code]) || []
+}
+
+export function isTechQualified(tech, service) {
+  const skills = tech.skills || []
+  return getRequiredSkills(service).every(skill => skills.includes(skill))
+}
+
+// Codes of the roster techs who can perform every one of the services, null when anyone can.
+// Relies on the qualifiedTechs the schedule worker sets on services that need a skill.
+export function getQualifiedTechCodes(services) {
+  let codes = null
+  for (const service of services) {
+    if (!service.qualifiedTechs) continue
+    codes = codes
+      ? codes.filter(code => service.qualifiedTechs.includes(code))
+      : service.qualifiedTechs
+  }
+  return codes
+}
+
+// Check that one tech can do all of the services, the given tech or, without one, anyone
+export function canTechServe(techId, services) {
+  const codes = getQualifiedTechCodes(services)
+  if (!codes) return true
+  return techId ? codes.includes(techId) : codes.length > 0
+}
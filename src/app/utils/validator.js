@@ -0,0 +1,274 @@
+// src/app/utils/validator.js
+import { MAX_SERVICES_PER_SHIFT, MAX_SHIFT_DURATION_MS } from './constants.js'
+import { formatOperationalDate } from './dayjs.js'
+import { getLatestStartMs } from './lateness.js'
+import { getRequiredGapMs } from './localSearch.js'
+import { getTechDayKey } from './locks.js'
+import { getMealBreakWindow, needsMealBreak } from './mealBreak.js'
+import { getPriorityRank } from './priority.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Rules a complete schedule has to follow
+export const RULES = {
+  OVERLAP: 'OVERLAP',
+  TRAVEL_TIME: 'TRAVEL_TIME',
+  TIME_WINDOW: 'TIME_WINDOW',
+  SHIFT_LENGTH: 'SHIFT_LENGTH',
+  MEAL_BREAK: 'MEAL_BREAK',
+  SERVICE_CAP: 'SERVICE_CAP',
+  PINNED: 'PINNED',
+}
+
+const toMs = date => new Date(date).getTime()
+const toMinutes = ms => Math.round(ms / 60000)
+
+function createViolation(rule, techDay, message, details = {}) {
+  return { rule, techId: techDay.techId, date: techDay.date, message, ...details }
+}
+
+// A service has to start inside its window or late within its tolerance, and enforced or locked
+// ones stay where they were put
+function checkService(service, techDay) {
+  const violations = []
+  const start = toMs(service.start)
+  if (start < toMs(service.time.range[0]) || start > getLatestStartMs(service)) {
+    violations.push(
+      createViolation(RULES.TIME_WINDOW, techDay, 'Starts outside its time window', {
+        serviceIds: [service.id],
+      }),
+    )
+  }
+
+  const enforcedTech = service.tech?.enforced && service.tech.code?.trim()
+  if (
+    service.locked &&
+    (service.techId !== service.locked.techId || start !== toMs(service.locked.start))
+  ) {
+    violations.push(
+      createViolation(RULES.PINNED, techDay, 'Moved away from its locked tech or time', {
+        serviceIds: [service.id],
+      }),
+    )
+  } else if (!service.locked && enforcedTech && service.techId !== enforcedTech) {
+    violations.push(
+      createViolation(RULES.PINNED, techDay, `Not with its enforced tech ${enforcedTech}`, {
+        serviceIds: [service.id],
+      }),
+    )
+  }
+  return violations
+}
+
+// Consecutive services must not overlap and must leave time for the drive between them, after
+// the meal break when it falls between the two
+function checkSequence(services, mealBreak, techDay, { getDistance, travelTime }) {
+  const violations = []
+  for (let i = 1; i < services.length; i++) {
+    const previous = services[i - 1]
+    const service = services[i]
+    const serviceIds = [previous.id, service.id]
+    const waitMs = toMs(service.start) - toMs(previous.end)
+
+    if (waitMs < 0) {
+      violations.push(
+        createViolation(RULES.OVERLAP, techDay, 'Services overlap', {
+          serviceIds,
+          minutes: toMinutes(-waitMs),
+        }),
+      )
+      continue
+    }
+
+    const breakMs =
+      mealBreak &&
+      toMs(mealBreak.start) >= toMs(previous.end) &&
+      toMs(mealBreak.end) <= toMs(service.start)
+        ? toMs(mealBreak.end) - toMs(mealBreak.start)
+        : 0
+    const departure = breakMs ? toMs(mealBreak.end) : toMs(previous.end)
+    const shortMs =
+      getRequiredGapMs(previous, service, getDistance, departure, travelTime) - (waitMs - breakMs)
+    if (shortMs > 0) {
+      violations.push(
+        createViolation(RULES.TRAVEL_TIME, techDay, 'Not enough time to drive between services', {
+          serviceIds,
+          minutes: toMinutes(shortMs),
+        }),
+      )
+    }
+  }
+  return violations
+}
+
+// The paid day runs from leaving the start location to getting back, without the meal break,
+// which it needs inside its window once the day runs past it
+function checkShift(services, mealBreak, techDay, maxShiftMs) {
+  const violations = []
+  const serviceIds = services.map(service => service.id)
+  const first = services[0]
+  const last = services[services.length - 1]
+  const shiftStart = toMs(first.start) - (first.startLeg?.travelTime || 0) * 60000
+  const shiftEnd = toMs(last.end) + (last.endLeg?.travelTime || 0) * 60000
+  const breakMs = mealBreak ? toMs(mealBreak.end) - toMs(mealBreak.start) : 0
+
+  if (shiftEnd - shiftStart - breakMs > maxShiftMs) {
+    violations.push(
+      createViolation(RULES.SHIFT_LENGTH, techDay, 'Shift runs longer than the tech may work', {
+        serviceIds,
+        minutes: toMinutes(shiftEnd - shiftStart - breakMs - maxShiftMs),
+      }),
+    )
+  }
+
+  if (services.length > MAX_SERVICES_PER_SHIFT) {
+    violations.push(
+      createViolation(
+        RULES.SERVICE_CAP,
+        techDay,
+        `More than ${MAX_SERVICES_PER_SHIFT} services in one shift`,
+        { serviceIds },
+      ),
+    )
+  }
+
+  if (!mealBreak) {
+    if (needsMealBreak(shiftStart, shiftEnd)) {
+      violations.push(
+        createViolation(RULES.MEAL_BREAK, techDay, 'No meal break in a shift that needs one'),
+      )
+    }
+    return violations
+  }
+
+  const window = getMealBreakWindow(shiftStart)
+  if (toMs(mealBreak.start) < window.earliestStart || toMs(mealBreak.end) > window.latestEnd) {
+    violations.push(createViolation(RULES.MEAL_BREAK, techDay, 'Meal break outside its window'))
+  }
+  const clash = services.find(
+    service =>
+      toMs(service.start) < toMs(mealBreak.end) && toMs(mealBreak.start) < toMs(service.end),
+  )
+  if (clash) {
+    violations.push(
+      createViolation(RULES.MEAL_BREAK, techDay, 'Meal break overlaps a service', {
+        serviceIds: [clash.id],
+      }),
+    )
+  }
+  return violations
+}
+
+// Validation result for a list of violations, with a count by rule
+export function summarizeViolations(violations) {
+  const summary = {}
+  for (const violation of violations) {
+    summary[violation.rule] = (summary[violation.rule] || 0) + 1
+  }
+  return { valid: !violations.length, violations, summary }
+}
+
+/**
+ * Check a complete schedule against every scheduling rule
+ * Services are grouped into each tech's operational day and checked for overlaps, the drive
+ * between them, their time windows, the tech's longest shift, the meal break, the service cap
+ * and enforced or locked assignments.
+ * @param {Object} schedule - { scheduledServices, mealBreaks } as the schedule worker returns them
+ * @param {Object} context
+ * @param {Function} context.getDistance - Miles between two services
+ * @param {Object} [context.travelTime] - Drive estimates, see createTravelTime, the default speed
+ *   table without it
+ * @param {Object[]} [context.roster] - Roster techs, for the longest shift each may work
+ * @returns {{ valid: boolean, violations: Object[], summary: Object }} Violations with their
+ *   rule, techId, operational date, message and the services involved, and a count by rule
+ */
+export function validateSchedule({ scheduledServices = [], mealBreaks = [] }, context) {
+  const rosterByCode = new Map((context.roster || []).map(tech => [tech.code, tech]))
+  const techDays = new Map()
+  for (const service of scheduledServices) {
+    const key = getTechDayKey(service.techId, service.start)
+    if (!techDays.has(key)) {
+      techDays.set(key, {
+        techId: service.techId,
+        date: formatOperationalDate(service.start),
+        services: [],
+        mealBreak: null,
+      })
+    }
+    techDays.get(key).services.push(service)
+  }
+  for (const mealBreak of mealBreaks) {
+    const techDay = techDays.get(getTechDayKey(mealBreak.techId, mealBreak.start))
+    if (techDay) techDay.mealBreak = mealBreak
+  }
+
+  const violations = []
+  for (const techDay of techDays.values()) {
+    const services = techDay.services.sort((a, b) => toMs(a.start) - toMs(b.start))
+    const maxHours = rosterByCode.get(techDay.techId)?.shift?.maxHours
+    const maxShiftMs = maxHours ? maxHours * HOUR_MS : MAX_SHIFT_DURATION_MS
+
+    violations.push(
+      ...services.flatMap(service => checkService(service, techDay)),
+      ...checkSequence(services, techDay.mealBreak, techDay, context),
+      ...checkShift(services, techDay.mealBreak, techDay, maxShiftMs),
+    )
+  }
+
+  return summarizeViolations(violations)
+}
+
+// Of the services a violation names, or every service of its tech-day when it names none, the
+// one to take off: unlocked before locked, the least urgent, then the latest
+function pickServiceToRemove(violation, services) {
+  const named = violation.serviceIds
+    ? services.filter(service => violation.serviceIds.includes(service.id))
+    : services
+  return [...named].sort(
+    (a, b) =>
+      !!a.locked - !!b.locked ||
+      getPriorityRank(b) - getPriorityRank(a) ||
+      toMs(b.start) - toMs(a.start),
+  )[0]
+}
+
+/**
+ * Take services off a schedule until it follows every scheduling rule
+ * Every round takes one service off each tech-day that breaks a rule and checks again, so a
+ * service is only lost when the violation is still there without the ones taken off before it.
+ * Tech-days left empty lose their meal break.
+ * @param {Object} schedule - { scheduledServices, mealBreaks } as for validateSchedule
+ * @param {Object} context - As for validateSchedule
+ * @returns {Object} { scheduledServices, mealBreaks, validation, removed }, the schedule that is
+ *   left, its validation and each service taken off with the rule and violation it broke
+ */
+export function repairSchedule({ scheduledServices = [], mealBreaks = [] }, context) {
+  const removed = []
+  let validation = validateSchedule({ scheduledServices, mealBreaks }, context)
+  while (!validation.valid) {
+    const removedIds = new Set()
+    const repairedDays = new Set()
+    for (const violation of validation.violations) {
+      const key = `${violation.techId}|${violation.date}`
+      if (repairedDays.has(key)) continue
+      repairedDays.add(key)
+
+      const services = scheduledServices.filter(
+        service => getTechDayKey(service.techId, service.start) === key,
+      )
+      const service = pickServiceToRemove(violation, services)
+      removedIds.add(service.id)
+      removed.push({ service, rule: violation.rule, violation })
+    }
+
+    scheduledServices = scheduledServices.filter(service => !removedIds.has(service.id))
+    const workingDays = new Set(
+      scheduledServices.map(service => getTechDayKey(service.techId, service.start)),
+    )
+    mealBreaks = mealBreaks.filter(mealBreak =>
+      workingDays.has(getTechDayKey(mealBreak.techId, mealBreak.start)),
+    )
+    validation = validateSchedule({ scheduledServices, mealBreaks }, context)
+  }
+  return { scheduledServices, mealBreaks, validation, removed }
+}
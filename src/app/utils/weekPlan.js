@@ -0,0 +1,219 @@
+// src/app/utils/weekPlan.js
+import { calculateHaversineDistance } from '../map/utils/distance.js'
+import {
+  HARD_MAX_RADIUS_MILES,
+  HOURS_PER_SHIFT,
+  MIN_BUFFER_BETWEEN_SERVICES,
+  WEEK_PLAN_DEFAULT_DAYS,
+  WEEK_PLAN_MAX_VISITS_PER_YEAR,
+} from './constants.js'
+import {
+  addBusinessDays,
+  dayjsInstance as dayjs,
+  moveBusinessDays,
+  startOfDay,
+  toBusinessClock,
+} from './dayjs.js'
+
+const SHIFT_MINUTES = HOURS_PER_SHIFT * 60
+const VISIT_OVERHEAD_MINUTES = MIN_BUFFER_BETWEEN_SERVICES / 60000 // Drive and buffer per visit
+
+const getWeekday = day => (toBusinessClock(day).day() + 6) % 7 // Days since Monday
+
+/**
+ * Parse a setup's RouteOptIncludeDays into days of the week, 0 for Sunday
+ * PestPac keeps the days route optimization may put the visit on as one flag per day of the
+ * week, Sunday first, Y or 1 for an included day and N or 0 for the others ('NYYYYYN').
+ * @param {string} days - route.days of a service
+ * @returns {number[]|null} Allowed days, null when none are given or the value is not seven flags
+ */
+export function parseRouteDays(days) {
+  const value = days?.toString().trim().toUpperCase()
+  if (!value) return null
+
+  if (!/^[01YN]{7}$/.test(value)) {
+    console.warn(`Unknown route days format: ${days}`)
+    return null
+  }
+  return [...value].flatMap((flag, day) => (flag === '1' || flag === 'Y' ? [day] : []))
+}
+
+/**
+ * Whole weeks, Monday to Monday, that cover a range
+ * Visits move within their week, so a range starting or ending mid-week is planned with the
+ * rest of its weeks.
+ * @param {Date|string} start - Start of the range
+ * @param {Date|string} end - End of the range, exclusive
+ * @returns {{ start: Object, end: Object }} Monday of the first week and the Monday after the last
+ */
+export function getPlanningWeeks(start, end) {
+  const firstDay = startOfDay(start)
+  const lastDay = startOfDay(end).isBefore(end) ? startOfDay(end) : addBusinessDays(end, -1)
+  return {
+    start: addBusinessDays(firstDay, -getWeekday(firstDay)),
+    end: addBusinessDays(lastDay, 7 - getWeekday(lastDay)),
+  }
+}
+
+// Visits due more often than monthly, enforced ones and those without a time window keep their day
+function isFlexible(service) {
+  return (
+    !service.tech?.enforced &&
+    service.time?.range?.[0] &&
+    service.time?.range?.[1] &&
+    (service.schedule?.timesPerYear || Infinity) <= WEEK_PLAN_MAX_VISITS_PER_YEAR
+  )
+}
+
+// Days a visit may be done, as offsets from the day its schedule gives. A visit stays in its
+// week and month, so it still counts toward the same recurrence, and inside the planned weeks.
+function getDayOffsets(service, rangeStart, rangeEnd) {
+  if (!isFlexible(service)) return [0]
+
+  const day = startOfDay(service.date)
+  const weekStart = addBusinessDays(day, -getWeekday(day))
+  const allowedDays = parseRouteDays(service.route?.days) || WEEK_PLAN_DEFAULT_DAYS
+
+  const offsets = []
+  for (let offset = -6; offset <= 6; offset++) {
+    const candidate = addBusinessDays(day, offset)
+    if (offset !== 0 && !allowedDays.includes(toBusinessClock(candidate).day())) continue
+    if (!addBusinessDays(candidate, -getWeekday(candidate)).isSame(weekStart)) continue
+    if (toBusinessClock(candidate).month() !== toBusinessClock(day).month()) continue
+    if (candidate.isBefore(rangeStart) || !candidate.isBefore(rangeEnd)) continue
+    offsets.push(offset)
+  }
+  return offsets
+}
+
+// The same visit a number of days later or earlier, at the same times of day
+function moveService(service, offset) {
+  if (!offset) return service
+  const move = date => moveBusinessDays(date, offset).toDate()
+  return {
+    ...service,
+    plannedFrom: service.date,
+    date: addBusinessDays(service.date, offset).toDate(),
+    start: move(service.start),
+    end: move(service.end),
+    time: {
+      ...service.time,
+      range: service.time.range.map(move),
+      preferred: service.time.preferred ? move(service.time.preferred) : service.time.preferred,
+    },
+  }
+}
+
+function countNeighbors(service, services) {
+  const { latitude, longitude } = service.location
+  return services.filter(
+    other =>
+      calculateHaversineDistance(
+        latitude,
+        longitude,
+        other.location.latitude,
+        other.location.longitude,
+      ) <= HARD_MAX_RADIUS_MILES,
+  ).length
+}
+
+// Fewest techs needed on the day first, then the day with the most visits nearby, the lightest
+// day and the visit's own day
+function isBetterDay(a, b) {
+  if (a.techsNeeded !== b.techsNeeded) return a.techsNeeded < b.techsNeeded
+  if (a.neighbors !== b.neighbors) return a.neighbors > b.neighbors
+  if (a.workMinutes !== b.workMinutes) return a.workMinutes < b.workMinutes
+  return a.offset === 0
+}
+
+/**
+ * Spread visits that may move across the allowed days of their week
+ * Visits that have to stay on their day are counted first, then the flexible ones are placed
+ * in order of how few days they can go to, each on the day that needs the fewest techs with
+ * it, preferring days with visits nearby. A day is never filled past its tech capacity; a
+ * visit that fits on none of its days stays on its own.
+ * @param {Object[]} services - Services for the weeks, each on the day its schedule gives
+ * @param {Object} options
+ * @param {Date|string} options.start - First day of the planned weeks, see getPlanningWeeks
+ * @param {Date|string} options.end - End of the planned weeks, exclusive
+ * @param {Function} options.getCapacity - Number of techs available on a day
+ * @returns {{ services: Object[], summary: Object }} Services on their planned days, with
+ *   plannedFrom set on the moved ones, and the workload per day
+ */
+export function planWeek(services, { start, end, getCapacity }) {
+  const rangeStart = startOfDay(start)
+  const rangeEnd = dayjs(end)
+  const days = new Map()
+  const getDay = date => {
+    const key = toBusinessClock(date).format('YYYY-MM-DD')
+    if (!days.has(key)) {
+      days.set(key, { date: key, capacity: getCapacity(date), workMinutes: 0, services: [] })
+    }
+    return days.get(key)
+  }
+  const addToDay = (day, service) => {
+    day.services.push(service)
+    day.workMinutes += (service.time?.duration || 0) + VISIT_OVERHEAD_MINUTES
+  }
+
+  const planned = new Map()
+  const flexible = []
+  for (const service of services) {
+    const offsets = getDayOffsets(service, rangeStart, rangeEnd)
+    if (offsets.length > 1) {
+      flexible.push({ service, offsets })
+    } else {
+      planned.set(service, service)
+      addToDay(getDay(startOfDay(service.date)), service)
+    }
+  }
+
+  flexible.sort(
+    (a, b) =>
+      a.offsets.length - b.offsets.length || b.service.time.duration - a.service.time.duration,
+  )
+
+  let overCapacity = 0
+  for (const { service, offsets } of flexible) {
+    let best = null
+    for (const offset of offsets) {
+      const day = getDay(addBusinessDays(service.date, offset))
+      const workMinutes = day.workMinutes + service.time.duration + VISIT_OVERHEAD_MINUTES
+      const techsNeeded = Math.ceil(workMinutes / SHIFT_MINUTES)
+      if (techsNeeded > day.capacity) continue
+
+      const option = { day, offset, techsNeeded, workMinutes }
+      option.neighbors = countNeighbors(service, day.services)
+      if (!best || isBetterDay(option, best)) best = option
+    }
+
+    if (!best) {
+      overCapacity++
+      best = { day: getDay(startOfDay(service.date)), offset: 0 }
+    }
+    const plannedService = moveService(service, best.offset)
+    planned.set(service, plannedService)
+    addToDay(best.day, plannedService)
+  }
+
+  const movedServices = flexible.filter(({ service }) => planned.get(service) !== service).length
+  console.log('Week plan:', { flexible: flexible.length, moved: movedServices, overCapacity })
+
+  return {
+    services: services.map(service => planned.get(service)),
+    summary: {
+      flexibleServices: flexible.length,
+      movedServices,
+      overCapacityServices: overCapacity,
+      days: Array.from(days.values())
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(day => ({
+          date: day.date,
+          services: day.services.length,
+          workMinutes: Math.round(day.workMinutes),
+          techsNeeded: Math.ceil(day.workMinutes / SHIFT_MINUTES),
+          capacity: Number.isFinite(day.capacity) ? day.capacity : null,
+        })),
+    },
+  }
+}